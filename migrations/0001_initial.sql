@@ -1 +1,27 @@
 -- Migration number: 0001 	 2024-12-15T10:41:10.392Z
+-- Baseline schema the ingest worker was first deployed with. IF NOT EXISTS
+-- keeps it a no-op on databases created before this file was filled in;
+-- every later column is added by the migration that introduced it.
+CREATE TABLE IF NOT EXISTS vulnerabilities (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cve_id TEXT NOT NULL UNIQUE,
+  description TEXT,
+  source_identifier TEXT,
+  published TEXT,
+  last_modified TEXT,
+  base_score REAL,
+  base_severity TEXT,
+  vector_string TEXT,
+  cwe TEXT,
+  ref_urls TEXT,
+  created_at TEXT
+);
+
+-- Sync cursor of each ingest source
+CREATE TABLE IF NOT EXISTS fetch_metadata (
+  source TEXT PRIMARY KEY,
+  last_fetch_time TEXT,
+  last_success_time TEXT,
+  items_fetched INTEGER DEFAULT 0,
+  next_start_index INTEGER DEFAULT 0
+);
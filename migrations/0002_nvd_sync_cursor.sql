@@ -0,0 +1,6 @@
+-- Migration number: 0002 	 2026-10-19T08:02:41.517Z
+-- Incremental NVD sync: high-water mark of the last fully processed
+-- lastModified timestamp, plus the frozen window currently being paged.
+ALTER TABLE fetch_metadata ADD COLUMN high_water_mark TEXT;
+ALTER TABLE fetch_metadata ADD COLUMN window_start TEXT;
+ALTER TABLE fetch_metadata ADD COLUMN window_end TEXT;
@@ -0,0 +1,30 @@
+-- Migration number: 0003 	 2026-10-19T08:47:12.904Z
+-- One row per (CVE, CVSS version, scoring source, Primary/Secondary type).
+-- is_authoritative marks the metric copied into vulnerabilities.base_score.
+CREATE TABLE IF NOT EXISTS vulnerability_metrics (
+  cve_id TEXT NOT NULL REFERENCES vulnerabilities(cve_id) ON DELETE CASCADE,
+  cvss_version TEXT NOT NULL,
+  source TEXT NOT NULL,
+  type TEXT NOT NULL,
+  is_authoritative INTEGER NOT NULL DEFAULT 0,
+  vector_string TEXT,
+  base_score REAL,
+  base_severity TEXT,
+  exploitability_score REAL,
+  impact_score REAL,
+  attack_vector TEXT,
+  attack_complexity TEXT,
+  attack_requirements TEXT,
+  privileges_required TEXT,
+  user_interaction TEXT,
+  scope TEXT,
+  authentication TEXT,
+  confidentiality_impact TEXT,
+  integrity_impact TEXT,
+  availability_impact TEXT,
+  cvss_data TEXT,
+  PRIMARY KEY (cve_id, cvss_version, source, type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vulnerability_metrics_version
+  ON vulnerability_metrics (cvss_version, base_score);
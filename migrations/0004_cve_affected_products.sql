@@ -0,0 +1,32 @@
+-- Migration number: 0004 	 2026-10-19T09:31:05.226Z
+-- NVD configurations flattened to one row per cpeMatch. Non-vulnerable
+-- matches of an AND configuration are kept too, and are listed in
+-- running_on (JSON array of CPEs) of the vulnerable rows they qualify.
+CREATE TABLE IF NOT EXISTS cve_affected_products (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cve_id TEXT NOT NULL REFERENCES vulnerabilities(cve_id) ON DELETE CASCADE,
+  config_index INTEGER NOT NULL,
+  config_operator TEXT,
+  node_index INTEGER NOT NULL,
+  node_operator TEXT,
+  negate INTEGER NOT NULL DEFAULT 0,
+  vulnerable INTEGER NOT NULL,
+  criteria TEXT NOT NULL,
+  match_criteria_id TEXT,
+  part TEXT,
+  vendor TEXT,
+  product TEXT,
+  version TEXT,
+  cpe_update TEXT,
+  target_sw TEXT,
+  version_start_including TEXT,
+  version_start_excluding TEXT,
+  version_end_including TEXT,
+  version_end_excluding TEXT,
+  running_on TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_cve_affected_products_cve
+  ON cve_affected_products (cve_id);
+CREATE INDEX IF NOT EXISTS idx_cve_affected_products_product
+  ON cve_affected_products (vendor, product, vulnerable);
@@ -0,0 +1,21 @@
+-- Migration number: 0005 	 2026-10-19T10:12:38.671Z
+-- All NVD references with their tags (JSON array) and source, and all
+-- CWEs per weakness source. vulnerabilities.ref_urls / cwe stay as summaries.
+CREATE TABLE IF NOT EXISTS vulnerability_references (
+  cve_id TEXT NOT NULL REFERENCES vulnerabilities(cve_id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  source TEXT NOT NULL DEFAULT '',
+  tags TEXT NOT NULL DEFAULT '[]',
+  PRIMARY KEY (cve_id, url, source)
+);
+
+CREATE TABLE IF NOT EXISTS vulnerability_weaknesses (
+  cve_id TEXT NOT NULL REFERENCES vulnerabilities(cve_id) ON DELETE CASCADE,
+  cwe_id TEXT NOT NULL,
+  source TEXT NOT NULL DEFAULT '',
+  type TEXT,
+  PRIMARY KEY (cve_id, cwe_id, source)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vulnerability_weaknesses_cwe
+  ON vulnerability_weaknesses (cwe_id);
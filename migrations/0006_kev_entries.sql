@@ -0,0 +1,20 @@
+-- Migration number: 0006 	 2026-10-19T10:58:20.140Z
+-- CISA Known Exploited Vulnerabilities catalog, joined to vulnerabilities on cve_id.
+-- No foreign key: KEV entries may arrive before the CVE itself is ingested.
+CREATE TABLE IF NOT EXISTS kev_entries (
+  cve_id TEXT PRIMARY KEY,
+  vendor_project TEXT,
+  product TEXT,
+  vulnerability_name TEXT,
+  short_description TEXT,
+  required_action TEXT,
+  date_added TEXT,
+  due_date TEXT,
+  known_ransomware_campaign_use TEXT,
+  notes TEXT,
+  cwes TEXT,
+  catalog_version TEXT,
+  synced_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_kev_entries_date_added ON kev_entries (date_added);
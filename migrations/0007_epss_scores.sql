@@ -0,0 +1,15 @@
+-- Migration number: 0007 	 2026-10-19T11:40:53.365Z
+-- Current FIRST EPSS score on each CVE, plus a per-day history for tracked CVEs.
+ALTER TABLE vulnerabilities ADD COLUMN epss_score REAL;
+ALTER TABLE vulnerabilities ADD COLUMN epss_percentile REAL;
+ALTER TABLE vulnerabilities ADD COLUMN epss_date TEXT;
+
+CREATE TABLE IF NOT EXISTS epss_history (
+  cve_id TEXT NOT NULL,
+  score_date TEXT NOT NULL,
+  epss REAL NOT NULL,
+  percentile REAL NOT NULL,
+  PRIMARY KEY (cve_id, score_date)
+) WITHOUT ROWID;
+
+CREATE INDEX IF NOT EXISTS idx_epss_history_date ON epss_history (score_date);
@@ -0,0 +1,91 @@
+-- Migration number: 0008 	 2026-10-19T12:26:09.832Z
+-- Indicator storage shared by all IOC feeds, plus the MISP event structure
+-- (events, objects, tags) and threat objects such as MISP galaxy clusters.
+CREATE TABLE IF NOT EXISTS indicators (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source TEXT NOT NULL,
+  external_id TEXT NOT NULL,
+  type TEXT NOT NULL,
+  value TEXT NOT NULL,
+  category TEXT,
+  malware_family TEXT,
+  confidence INTEGER,
+  first_seen TEXT,
+  last_seen TEXT,
+  to_ids INTEGER NOT NULL DEFAULT 1,
+  status TEXT NOT NULL DEFAULT 'active',
+  comment TEXT,
+  event_ref TEXT,
+  object_ref TEXT,
+  context TEXT,
+  synced_at TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  UNIQUE (source, external_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_indicators_value ON indicators (type, value);
+CREATE INDEX IF NOT EXISTS idx_indicators_event ON indicators (source, event_ref);
+CREATE INDEX IF NOT EXISTS idx_indicators_status ON indicators (source, status, synced_at);
+
+CREATE TABLE IF NOT EXISTS indicator_tags (
+  indicator_id INTEGER NOT NULL REFERENCES indicators(id) ON DELETE CASCADE,
+  tag TEXT NOT NULL,
+  PRIMARY KEY (indicator_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_indicator_tags_tag ON indicator_tags (tag);
+
+CREATE TABLE IF NOT EXISTS misp_events (
+  uuid TEXT PRIMARY KEY,
+  event_id TEXT,
+  info TEXT,
+  org TEXT,
+  orgc TEXT,
+  threat_level_id INTEGER,
+  analysis INTEGER,
+  distribution INTEGER,
+  event_date TEXT,
+  published INTEGER,
+  timestamp INTEGER,
+  tags TEXT,
+  synced_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS misp_objects (
+  uuid TEXT PRIMARY KEY,
+  event_uuid TEXT NOT NULL,
+  name TEXT,
+  meta_category TEXT,
+  comment TEXT,
+  timestamp INTEGER,
+  deleted INTEGER NOT NULL DEFAULT 0,
+  synced_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_misp_objects_event ON misp_objects (event_uuid);
+
+-- Malware, threat actors, galaxy clusters, ... keyed by a STIX-style id
+CREATE TABLE IF NOT EXISTS threat_objects (
+  id TEXT PRIMARY KEY,
+  source TEXT NOT NULL,
+  type TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  aliases TEXT,
+  context TEXT,
+  synced_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_threat_objects_name ON threat_objects (type, name);
+
+CREATE TABLE IF NOT EXISTS threat_relationships (
+  source_ref TEXT NOT NULL,
+  relationship_type TEXT NOT NULL,
+  target_ref TEXT NOT NULL,
+  source TEXT NOT NULL,
+  synced_at TEXT NOT NULL,
+  PRIMARY KEY (source_ref, relationship_type, target_ref)
+);
+
+CREATE INDEX IF NOT EXISTS idx_threat_relationships_target ON threat_relationships (target_ref);
@@ -0,0 +1,30 @@
+-- Migration number: 0009 	 2026-10-19T13:05:47.290Z
+-- Vendor advisories and security news from RSS/Atom feeds, linked to the
+-- CVEs they mention. fetch_metadata keeps each feed's HTTP validators.
+ALTER TABLE fetch_metadata ADD COLUMN http_etag TEXT;
+ALTER TABLE fetch_metadata ADD COLUMN http_last_modified TEXT;
+
+CREATE TABLE IF NOT EXISTS advisories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  feed_id TEXT NOT NULL,
+  guid TEXT NOT NULL,
+  title TEXT NOT NULL,
+  link TEXT,
+  published TEXT,
+  summary TEXT,
+  ghsa_ids TEXT NOT NULL DEFAULT '[]',
+  products TEXT NOT NULL DEFAULT '[]',
+  synced_at TEXT NOT NULL,
+  UNIQUE (feed_id, guid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_advisories_published ON advisories (published);
+
+-- No foreign key to vulnerabilities: bulletins often precede the NVD record
+CREATE TABLE IF NOT EXISTS advisory_vulnerabilities (
+  advisory_id INTEGER NOT NULL REFERENCES advisories(id) ON DELETE CASCADE,
+  cve_id TEXT NOT NULL,
+  PRIMARY KEY (advisory_id, cve_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_advisory_vulnerabilities_cve ON advisory_vulnerabilities (cve_id);
@@ -0,0 +1,49 @@
+-- Migration number: 0010 	 2026-10-19T13:52:16.458Z
+-- OSV-format package advisories (OSV.dev, GitHub Security Advisories, ...):
+-- affected packages with their range events, and aliases used to join
+-- against vulnerabilities.cve_id.
+CREATE TABLE IF NOT EXISTS osv_advisories (
+  id TEXT PRIMARY KEY,
+  summary TEXT,
+  details TEXT,
+  published TEXT,
+  modified TEXT,
+  withdrawn TEXT,
+  severity TEXT,
+  refs TEXT,
+  synced_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS osv_aliases (
+  osv_id TEXT NOT NULL REFERENCES osv_advisories(id) ON DELETE CASCADE,
+  alias TEXT NOT NULL,
+  PRIMARY KEY (osv_id, alias)
+);
+
+CREATE INDEX IF NOT EXISTS idx_osv_aliases_alias ON osv_aliases (alias);
+
+CREATE TABLE IF NOT EXISTS osv_affected (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  osv_id TEXT NOT NULL REFERENCES osv_advisories(id) ON DELETE CASCADE,
+  affected_index INTEGER NOT NULL,
+  ecosystem TEXT NOT NULL,
+  name TEXT NOT NULL,
+  purl TEXT,
+  versions TEXT NOT NULL DEFAULT '[]',
+  UNIQUE (osv_id, affected_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_osv_affected_package ON osv_affected (ecosystem, name);
+CREATE INDEX IF NOT EXISTS idx_osv_affected_purl ON osv_affected (purl);
+
+-- One row per range event, in upstream order within each range
+CREATE TABLE IF NOT EXISTS osv_range_events (
+  affected_id INTEGER NOT NULL REFERENCES osv_affected(id) ON DELETE CASCADE,
+  range_index INTEGER NOT NULL,
+  range_type TEXT NOT NULL,
+  repo TEXT,
+  event_index INTEGER NOT NULL,
+  event_type TEXT NOT NULL,
+  version TEXT NOT NULL,
+  PRIMARY KEY (affected_id, range_index, event_index)
+);
@@ -0,0 +1,17 @@
+-- Migration number: 0011 	 2026-10-19T15:08:44.205Z
+-- Queue-driven NVD ingestion: one row per page of the frozen window,
+-- enqueued by the coordinator and acknowledged by the queue consumer.
+CREATE TABLE IF NOT EXISTS nvd_page_plan (
+  source TEXT NOT NULL,
+  window_start TEXT NOT NULL,
+  window_end TEXT NOT NULL,
+  start_index INTEGER NOT NULL,
+  results_per_page INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued', -- queued, done, dead
+  attempts INTEGER NOT NULL DEFAULT 0,
+  items_stored INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  enqueued_at TEXT NOT NULL,
+  completed_at TEXT,
+  PRIMARY KEY (source, window_start, start_index)
+);
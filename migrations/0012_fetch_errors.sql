@@ -0,0 +1,5 @@
+-- Migration number: 0012 	 2026-10-19T15:41:07.913Z
+-- Last upstream failure per source, classified retryable or fatal.
+ALTER TABLE fetch_metadata ADD COLUMN last_error TEXT;
+ALTER TABLE fetch_metadata ADD COLUMN last_error_at TEXT;
+ALTER TABLE fetch_metadata ADD COLUMN last_error_retryable INTEGER;
@@ -0,0 +1,11 @@
+-- Migration number: 0013 	 2026-10-19T16:12:30.577Z
+-- Retention policy support: when a CVE was last seen in an NVD response
+-- (the upsert never refreshes created_at), and a pin exempting rows from purges.
+ALTER TABLE vulnerabilities ADD COLUMN last_seen TEXT;
+ALTER TABLE vulnerabilities ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE indicators ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+
+UPDATE vulnerabilities SET last_seen = COALESCE(created_at, last_modified) WHERE last_seen IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_vulnerabilities_last_modified ON vulnerabilities (last_modified);
+CREATE INDEX IF NOT EXISTS idx_indicators_last_seen ON indicators (last_seen);
@@ -0,0 +1,49 @@
+-- Migration number: 0014 	 2026-10-19T16:47:55.102Z
+-- Change history of tracked CVE fields, written by triggers on every upsert
+-- that changes one. last_ingest_run_id is set by the ingest before the
+-- update so the trigger can attribute the change to its run.
+ALTER TABLE vulnerabilities ADD COLUMN last_ingest_run_id TEXT;
+
+CREATE TABLE IF NOT EXISTS vulnerability_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cve_id TEXT NOT NULL REFERENCES vulnerabilities(cve_id) ON DELETE CASCADE,
+  field TEXT NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  nvd_last_modified TEXT,
+  ingest_run_id TEXT,
+  changed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_vulnerability_history_cve ON vulnerability_history (cve_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_vulnerability_history_field ON vulnerability_history (field, changed_at);
+
+CREATE TRIGGER IF NOT EXISTS trg_vulnerability_history
+AFTER UPDATE ON vulnerabilities
+FOR EACH ROW
+WHEN OLD.description IS NOT NEW.description
+  OR OLD.base_score IS NOT NEW.base_score
+  OR OLD.base_severity IS NOT NEW.base_severity
+  OR OLD.vector_string IS NOT NEW.vector_string
+  OR OLD.cwe IS NOT NEW.cwe
+BEGIN
+  INSERT INTO vulnerability_history (cve_id, field, old_value, new_value, nvd_last_modified, ingest_run_id)
+  SELECT NEW.cve_id, field, old_value, new_value, NEW.last_modified, NEW.last_ingest_run_id
+  FROM (
+    SELECT 'description' AS field, OLD.description AS old_value, NEW.description AS new_value,
+      OLD.description IS NOT NEW.description AS changed
+    UNION ALL
+    SELECT 'base_score', CAST(OLD.base_score AS TEXT), CAST(NEW.base_score AS TEXT),
+      OLD.base_score IS NOT NEW.base_score
+    UNION ALL
+    SELECT 'base_severity', OLD.base_severity, NEW.base_severity,
+      OLD.base_severity IS NOT NEW.base_severity
+    UNION ALL
+    SELECT 'vector_string', OLD.vector_string, NEW.vector_string,
+      OLD.vector_string IS NOT NEW.vector_string
+    UNION ALL
+    SELECT 'cwe', OLD.cwe, NEW.cwe,
+      OLD.cwe IS NOT NEW.cwe
+  )
+  WHERE changed;
+END;
@@ -0,0 +1,81 @@
+-- Migration number: 0015 	 2026-10-19T17:20:13.640Z
+-- NVD vulnStatus lifecycle (Received, Awaiting Analysis, Undergoing Analysis,
+-- Analyzed, Modified, Deferred, Rejected). Status transitions are recorded in
+-- vulnerability_history; rejecting a CVE closes the findings that reference it.
+ALTER TABLE vulnerabilities ADD COLUMN vuln_status TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_vulnerabilities_vuln_status ON vulnerabilities (vuln_status);
+
+DROP TRIGGER IF EXISTS trg_vulnerability_history;
+
+CREATE TRIGGER IF NOT EXISTS trg_vulnerability_history
+AFTER UPDATE ON vulnerabilities
+FOR EACH ROW
+WHEN OLD.description IS NOT NEW.description
+  OR OLD.base_score IS NOT NEW.base_score
+  OR OLD.base_severity IS NOT NEW.base_severity
+  OR OLD.vector_string IS NOT NEW.vector_string
+  OR OLD.cwe IS NOT NEW.cwe
+  OR OLD.vuln_status IS NOT NEW.vuln_status
+BEGIN
+  INSERT INTO vulnerability_history (cve_id, field, old_value, new_value, nvd_last_modified, ingest_run_id)
+  SELECT NEW.cve_id, field, old_value, new_value, NEW.last_modified, NEW.last_ingest_run_id
+  FROM (
+    SELECT 'description' AS field, OLD.description AS old_value, NEW.description AS new_value,
+      OLD.description IS NOT NEW.description AS changed
+    UNION ALL
+    SELECT 'base_score', CAST(OLD.base_score AS TEXT), CAST(NEW.base_score AS TEXT),
+      OLD.base_score IS NOT NEW.base_score
+    UNION ALL
+    SELECT 'base_severity', OLD.base_severity, NEW.base_severity,
+      OLD.base_severity IS NOT NEW.base_severity
+    UNION ALL
+    SELECT 'vector_string', OLD.vector_string, NEW.vector_string,
+      OLD.vector_string IS NOT NEW.vector_string
+    UNION ALL
+    SELECT 'cwe', OLD.cwe, NEW.cwe,
+      OLD.cwe IS NOT NEW.cwe
+    UNION ALL
+    SELECT 'vuln_status', OLD.vuln_status, NEW.vuln_status,
+      OLD.vuln_status IS NOT NEW.vuln_status
+  )
+  WHERE changed;
+END;
+
+-- Downstream findings: a CVE matched against a subject (an SBOM component
+-- purl, a host, ...). No foreign key, findings may precede the NVD record.
+CREATE TABLE IF NOT EXISTS findings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cve_id TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  source TEXT,
+  status TEXT NOT NULL DEFAULT 'open', -- open, closed
+  closed_reason TEXT,
+  opened_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  closed_at TEXT,
+  UNIQUE (cve_id, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_findings_status ON findings (status, cve_id);
+
+CREATE TRIGGER IF NOT EXISTS trg_findings_close_rejected
+AFTER UPDATE OF vuln_status ON vulnerabilities
+FOR EACH ROW
+WHEN NEW.vuln_status = 'Rejected' AND OLD.vuln_status IS NOT 'Rejected'
+BEGIN
+  UPDATE findings
+  SET status = 'closed', closed_reason = 'cve-rejected',
+    closed_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+  WHERE cve_id = NEW.cve_id AND status = 'open';
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_findings_close_rejected_insert
+AFTER INSERT ON vulnerabilities
+FOR EACH ROW
+WHEN NEW.vuln_status = 'Rejected'
+BEGIN
+  UPDATE findings
+  SET status = 'closed', closed_reason = 'cve-rejected',
+    closed_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+  WHERE cve_id = NEW.cve_id AND status = 'open';
+END;
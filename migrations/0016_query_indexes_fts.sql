@@ -0,0 +1,41 @@
+-- Migration number: 0016 	 2026-10-19T20:04:37.118Z
+-- Indexes for the /cves query paths and full-text search over descriptions.
+-- src/cloudflare/schema.js checks this migration was applied before ingesting.
+CREATE INDEX IF NOT EXISTS idx_vulnerabilities_severity ON vulnerabilities (base_severity, base_score);
+CREATE INDEX IF NOT EXISTS idx_vulnerabilities_published ON vulnerabilities (published);
+CREATE INDEX IF NOT EXISTS idx_vulnerabilities_cwe ON vulnerabilities (cwe);
+
+-- External-content FTS5 index of vulnerabilities, kept in sync by triggers
+CREATE VIRTUAL TABLE IF NOT EXISTS vulnerabilities_fts USING fts5 (
+  cve_id UNINDEXED,
+  description,
+  content = 'vulnerabilities',
+  content_rowid = 'id',
+  tokenize = 'porter unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS trg_vulnerabilities_fts_insert
+AFTER INSERT ON vulnerabilities
+BEGIN
+  INSERT INTO vulnerabilities_fts (rowid, cve_id, description)
+  VALUES (NEW.id, NEW.cve_id, NEW.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_vulnerabilities_fts_delete
+AFTER DELETE ON vulnerabilities
+BEGIN
+  INSERT INTO vulnerabilities_fts (vulnerabilities_fts, rowid, cve_id, description)
+  VALUES ('delete', OLD.id, OLD.cve_id, OLD.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_vulnerabilities_fts_update
+AFTER UPDATE OF cve_id, description ON vulnerabilities
+BEGIN
+  INSERT INTO vulnerabilities_fts (vulnerabilities_fts, rowid, cve_id, description)
+  VALUES ('delete', OLD.id, OLD.cve_id, OLD.description);
+  INSERT INTO vulnerabilities_fts (rowid, cve_id, description)
+  VALUES (NEW.id, NEW.cve_id, NEW.description);
+END;
+
+-- Index the rows stored before this migration
+INSERT INTO vulnerabilities_fts (vulnerabilities_fts) VALUES ('rebuild');
@@ -0,0 +1,36 @@
+-- Migration number: 0017 	 2026-10-19T20:31:52.640Z
+-- Ingest ledger: one row per ingest invocation of a source, and the rows
+-- that failed to store during it.
+CREATE TABLE IF NOT EXISTS ingest_runs (
+  id TEXT PRIMARY KEY,
+  source TEXT NOT NULL,
+  trigger TEXT NOT NULL, -- cron, http, queue
+  status TEXT NOT NULL DEFAULT 'running', -- running, complete, partial, error
+  window_start TEXT,
+  window_end TEXT,
+  pages_fetched INTEGER,
+  inserted INTEGER,
+  updated INTEGER,
+  failed INTEGER,
+  error TEXT,
+  error_samples TEXT, -- JSON array of the first failed rows
+  started_at TEXT NOT NULL,
+  finished_at TEXT,
+  duration_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingest_runs_source ON ingest_runs (source, started_at);
+CREATE INDEX IF NOT EXISTS idx_ingest_runs_started ON ingest_runs (started_at);
+
+CREATE TABLE IF NOT EXISTS ingest_errors (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id TEXT NOT NULL REFERENCES ingest_runs(id) ON DELETE CASCADE,
+  source TEXT NOT NULL,
+  item_id TEXT,
+  error TEXT NOT NULL,
+  code TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingest_errors_run ON ingest_errors (run_id);
+CREATE INDEX IF NOT EXISTS idx_ingest_errors_item ON ingest_errors (item_id);
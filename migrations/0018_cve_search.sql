@@ -0,0 +1,136 @@
+-- Migration number: 0018 	 2026-10-19T21:12:06.553Z
+-- Full-text search over CVEs: description, CWE ids and names, affected
+-- vendors/products and advisory titles, one row per vulnerabilities.id.
+-- storeVulnerabilitiesInD1 rebuilds a CVE's row in the batch that replaces
+-- its child rows; the triggers cover deletes and advisory links.
+-- Supersedes the description-only vulnerabilities_fts of 0016.
+DROP TRIGGER IF EXISTS trg_vulnerabilities_fts_insert;
+DROP TRIGGER IF EXISTS trg_vulnerabilities_fts_delete;
+DROP TRIGGER IF EXISTS trg_vulnerabilities_fts_update;
+DROP TABLE IF EXISTS vulnerabilities_fts;
+
+-- CWE names, seeded with the CWE Top 25 and other common weaknesses.
+-- The full MITRE catalog can be loaded with INSERT OR REPLACE.
+CREATE TABLE IF NOT EXISTS cwe_catalog (
+  cwe_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL
+);
+
+INSERT OR IGNORE INTO cwe_catalog (cwe_id, name) VALUES
+  ('CWE-20', 'Improper Input Validation'),
+  ('CWE-22', 'Path Traversal'),
+  ('CWE-59', 'Link Following'),
+  ('CWE-74', 'Injection'),
+  ('CWE-77', 'Command Injection'),
+  ('CWE-78', 'OS Command Injection'),
+  ('CWE-79', 'Cross-site Scripting (XSS)'),
+  ('CWE-89', 'SQL Injection'),
+  ('CWE-94', 'Code Injection'),
+  ('CWE-119', 'Improper Restriction of Operations within the Bounds of a Memory Buffer'),
+  ('CWE-120', 'Classic Buffer Overflow'),
+  ('CWE-121', 'Stack-based Buffer Overflow'),
+  ('CWE-122', 'Heap-based Buffer Overflow'),
+  ('CWE-125', 'Out-of-bounds Read'),
+  ('CWE-190', 'Integer Overflow or Wraparound'),
+  ('CWE-200', 'Exposure of Sensitive Information to an Unauthorized Actor'),
+  ('CWE-269', 'Improper Privilege Management'),
+  ('CWE-284', 'Improper Access Control'),
+  ('CWE-287', 'Improper Authentication'),
+  ('CWE-295', 'Improper Certificate Validation'),
+  ('CWE-306', 'Missing Authentication for Critical Function'),
+  ('CWE-311', 'Missing Encryption of Sensitive Data'),
+  ('CWE-319', 'Cleartext Transmission of Sensitive Information'),
+  ('CWE-327', 'Use of a Broken or Risky Cryptographic Algorithm'),
+  ('CWE-352', 'Cross-Site Request Forgery (CSRF)'),
+  ('CWE-362', 'Race Condition'),
+  ('CWE-400', 'Uncontrolled Resource Consumption'),
+  ('CWE-401', 'Missing Release of Memory after Effective Lifetime'),
+  ('CWE-415', 'Double Free'),
+  ('CWE-416', 'Use After Free'),
+  ('CWE-434', 'Unrestricted Upload of File with Dangerous Type'),
+  ('CWE-476', 'NULL Pointer Dereference'),
+  ('CWE-502', 'Deserialization of Untrusted Data'),
+  ('CWE-522', 'Insufficiently Protected Credentials'),
+  ('CWE-601', 'Open Redirect'),
+  ('CWE-611', 'XML External Entity (XXE) Reference'),
+  ('CWE-639', 'Authorization Bypass Through User-Controlled Key'),
+  ('CWE-770', 'Allocation of Resources Without Limits or Throttling'),
+  ('CWE-787', 'Out-of-bounds Write'),
+  ('CWE-798', 'Use of Hard-coded Credentials'),
+  ('CWE-835', 'Infinite Loop'),
+  ('CWE-843', 'Type Confusion'),
+  ('CWE-862', 'Missing Authorization'),
+  ('CWE-863', 'Incorrect Authorization'),
+  ('CWE-917', 'Expression Language Injection'),
+  ('CWE-918', 'Server-Side Request Forgery (SSRF)'),
+  ('CWE-1321', 'Prototype Pollution'),
+  ('CWE-1333', 'Inefficient Regular Expression Complexity (ReDoS)'),
+  ('NVD-CWE-Other', 'Other'),
+  ('NVD-CWE-noinfo', 'Insufficient Information');
+
+CREATE VIRTUAL TABLE IF NOT EXISTS cve_search USING fts5 (
+  cve_id UNINDEXED,
+  description,
+  weaknesses,
+  products,
+  advisories,
+  tokenize = 'porter unicode61',
+  prefix = '2 3'
+);
+
+CREATE TRIGGER IF NOT EXISTS trg_cve_search_delete
+AFTER DELETE ON vulnerabilities
+BEGIN
+  DELETE FROM cve_search WHERE rowid = OLD.id;
+END;
+
+-- CVEs stored outside storeVulnerabilitiesInD1 (e.g. seen over TAXII)
+CREATE TRIGGER IF NOT EXISTS trg_cve_search_insert
+AFTER INSERT ON vulnerabilities
+BEGIN
+  INSERT INTO cve_search (rowid, cve_id, description) VALUES (NEW.id, NEW.cve_id, NEW.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_cve_search_advisory_insert
+AFTER INSERT ON advisory_vulnerabilities
+BEGIN
+  UPDATE cve_search
+  SET advisories = (
+    SELECT group_concat(a.title, ' ')
+    FROM advisory_vulnerabilities av JOIN advisories a ON a.id = av.advisory_id
+    WHERE av.cve_id = NEW.cve_id
+  )
+  WHERE rowid = (SELECT id FROM vulnerabilities WHERE cve_id = NEW.cve_id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_cve_search_advisory_delete
+AFTER DELETE ON advisory_vulnerabilities
+BEGIN
+  UPDATE cve_search
+  SET advisories = (
+    SELECT group_concat(a.title, ' ')
+    FROM advisory_vulnerabilities av JOIN advisories a ON a.id = av.advisory_id
+    WHERE av.cve_id = OLD.cve_id
+  )
+  WHERE rowid = (SELECT id FROM vulnerabilities WHERE cve_id = OLD.cve_id);
+END;
+
+-- Index the CVEs stored before this migration
+INSERT INTO cve_search (rowid, cve_id, description, weaknesses, products, advisories)
+SELECT v.id, v.cve_id, v.description,
+  (
+    SELECT group_concat(w.cwe_id || COALESCE(' ' || c.name, ''), ' ')
+    FROM vulnerability_weaknesses w LEFT JOIN cwe_catalog c ON c.cwe_id = w.cwe_id
+    WHERE w.cve_id = v.cve_id
+  ),
+  (
+    SELECT group_concat(DISTINCT p.vendor || ' ' || p.product)
+    FROM cve_affected_products p
+    WHERE p.cve_id = v.cve_id AND p.vulnerable = 1
+  ),
+  (
+    SELECT group_concat(a.title, ' ')
+    FROM advisory_vulnerabilities av JOIN advisories a ON a.id = av.advisory_id
+    WHERE av.cve_id = v.cve_id
+  )
+FROM vulnerabilities v;
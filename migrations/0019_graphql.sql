@@ -0,0 +1,57 @@
+-- Migration number: 0019 	 2026-10-19T21:40:12.318Z
+-- Findings belong to a project (the SBOM they were matched in), so the same
+-- component can be hit in several projects. SQLite cannot change a UNIQUE
+-- constraint in place: the table is rebuilt, existing findings get the
+-- empty project. Persisted GraphQL queries are stored by their SHA-256.
+DROP TRIGGER IF EXISTS trg_findings_close_rejected;
+DROP TRIGGER IF EXISTS trg_findings_close_rejected_insert;
+
+CREATE TABLE findings_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cve_id TEXT NOT NULL,
+  project TEXT NOT NULL DEFAULT '', -- '' when reported without a project
+  subject TEXT NOT NULL,
+  source TEXT,
+  status TEXT NOT NULL DEFAULT 'open', -- open, closed
+  closed_reason TEXT,
+  opened_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  closed_at TEXT,
+  UNIQUE (cve_id, project, subject)
+);
+
+INSERT INTO findings_new (id, cve_id, subject, source, status, closed_reason, opened_at, closed_at)
+SELECT id, cve_id, subject, source, status, closed_reason, opened_at, closed_at FROM findings;
+
+DROP TABLE findings;
+ALTER TABLE findings_new RENAME TO findings;
+
+CREATE INDEX IF NOT EXISTS idx_findings_status ON findings (status, cve_id);
+CREATE INDEX IF NOT EXISTS idx_findings_project ON findings (project, status);
+
+CREATE TRIGGER IF NOT EXISTS trg_findings_close_rejected
+AFTER UPDATE OF vuln_status ON vulnerabilities
+FOR EACH ROW
+WHEN NEW.vuln_status = 'Rejected' AND OLD.vuln_status IS NOT 'Rejected'
+BEGIN
+  UPDATE findings
+  SET status = 'closed', closed_reason = 'cve-rejected',
+    closed_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+  WHERE cve_id = NEW.cve_id AND status = 'open';
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_findings_close_rejected_insert
+AFTER INSERT ON vulnerabilities
+FOR EACH ROW
+WHEN NEW.vuln_status = 'Rejected'
+BEGIN
+  UPDATE findings
+  SET status = 'closed', closed_reason = 'cve-rejected',
+    closed_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+  WHERE cve_id = NEW.cve_id AND status = 'open';
+END;
+
+CREATE TABLE IF NOT EXISTS graphql_persisted_queries (
+  hash TEXT PRIMARY KEY, -- hex SHA-256 of the query text
+  query TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
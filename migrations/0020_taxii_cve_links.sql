@@ -0,0 +1,6 @@
+-- Migration number: 0020 	 2026-10-19T23:05:41.207Z
+-- CVEs named by STIX vulnerability objects are linked through their threat
+-- object only. Drop the empty rows TAXII polling inserted for CVEs NVD never
+-- returned; rows NVD has since filled in carry its source identifier.
+DELETE FROM vulnerabilities
+WHERE source_identifier LIKE 'taxii:%' AND published IS NULL;
@@ -0,0 +1,1172 @@
+import { camelizeRow } from "../core/utils.js";
+import { parseCpe, versionMatches } from "../core/cpe.js";
+import { parsePurl, osvRangeAffects } from "../core/sbom.js";
+
+/**
+ * Read-only API over the data stored by the ingest worker
+ */
+
+/**
+ * KEV columns selected alongside a vulnerability row aliased `v`,
+ * joined with `LEFT JOIN kev_entries k ON k.cve_id = v.cve_id`
+ */
+export const kevColumns = `
+  k.cve_id AS kev_cve_id, k.date_added AS kev_date_added, k.due_date AS kev_due_date,
+  k.required_action AS kev_required_action,
+  k.known_ransomware_campaign_use AS kev_known_ransomware_campaign_use,
+  k.vendor_project AS kev_vendor_project, k.product AS kev_product
+`;
+
+/**
+ * Move the kev_* columns of a joined row into a nested `kev` object
+ */
+export function withKev(row) {
+  const {
+    kev_cve_id, kev_date_added, kev_due_date, kev_required_action,
+    kev_known_ransomware_campaign_use, kev_vendor_project, kev_product,
+    ...rest
+  } = row;
+  return {
+    ...camelizeRow(rest),
+    kev: kev_cve_id
+      ? {
+        dateAdded: kev_date_added,
+        dueDate: kev_due_date,
+        requiredAction: kev_required_action,
+        knownRansomwareCampaignUse: kev_known_ransomware_campaign_use,
+        vendorProject: kev_vendor_project,
+        product: kev_product,
+      }
+      : null,
+  };
+}
+
+/**
+ * CVSS severities, lowest first
+ */
+const severityRank = { NONE: 0, LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+/**
+ * SQL expression ranking a severity column like severityRank, -1 when unknown
+ */
+const severityRankSql = (column) =>
+  `CASE ${column} ${Object.entries(severityRank).map(([severity, rank]) => `WHEN '${severity}' THEN ${rank}`).join(" ")} ELSE -1 END`;
+
+/**
+ * NVD statuses of a record that has not been analysed yet
+ */
+const pendingStatuses = ["Received", "Awaiting Analysis", "Undergoing Analysis"];
+
+/**
+ * Rejected CVEs are kept but left out of queries unless asked for
+ */
+const notRejected = "v.vuln_status IS NOT 'Rejected'";
+
+/**
+ * Flag a missing score of an unanalysed CVE as pending rather than null
+ */
+export function withScorePending(cve) {
+  return {
+    ...cve,
+    scorePending: cve.baseScore === null && pendingStatuses.includes(cve.vulnStatus),
+  };
+}
+
+/**
+ * Build a JSON response
+ */
+export function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Build the error envelope of the API: `{ error: { code, message } }`
+ */
+export function errorResponse(status, code, message) {
+  return jsonResponse({ error: { code, message } }, status);
+}
+
+/**
+ * vulnerability_metrics row as returned by the API
+ */
+function toMetric(row) {
+  const { cveId: _cveId, isAuthoritative, cvssData, ...metric } = camelizeRow(row);
+  return { ...metric, isAuthoritative: Boolean(isAuthoritative), cvssData: JSON.parse(cvssData || "{}") };
+}
+
+/**
+ * Advisory row with its JSON columns parsed
+ */
+function toAdvisory(row) {
+  const advisory = camelizeRow(row);
+  return {
+    ...advisory,
+    ghsaIds: JSON.parse(advisory.ghsaIds || "[]"),
+    products: JSON.parse(advisory.products || "[]"),
+  };
+}
+
+/**
+ * GET /cves/:id/metrics
+ * Every stored CVSS metric of a CVE, with the authoritative one called out
+ */
+export async function handleCveMetrics(env, cveId) {
+  const d1 = env.THREAT_INTEL_DB;
+  console.log(`[API] Fetching CVSS metrics for ${cveId}`);
+
+  const { results } = await d1.prepare(`
+    SELECT *
+    FROM vulnerability_metrics
+    WHERE cve_id = ?
+    ORDER BY is_authoritative DESC, cvss_version DESC, type, source
+  `).bind(cveId).all();
+
+  if (!results.length) {
+    return errorResponse(404, "not_found", `No metrics stored for ${cveId}`);
+  }
+
+  const metrics = results.map(toMetric);
+
+  return jsonResponse({
+    cveId,
+    authoritative: metrics.find((metric) => metric.isAuthoritative) || null,
+    metrics,
+  });
+}
+
+/**
+ * GET /affected?cpe=cpe:2.3:a:vendor:product:version:...
+ * CVEs whose vulnerable configurations match the given CPE
+ */
+export async function handleAffectedProducts(env, cpeString) {
+  const cpe = parseCpe(cpeString);
+  if (!cpe || cpe.vendor === "*" || cpe.product === "*") {
+    return errorResponse(400, "invalid_parameter", "Query parameter cpe must be a CPE 2.3 string with vendor and product");
+  }
+
+  const d1 = env.THREAT_INTEL_DB;
+  console.log('[API] Looking up affected products for:', cpe);
+
+  const { results } = await d1.prepare(`
+    SELECT p.*, v.description, v.base_score, v.base_severity, v.published, v.vuln_status, ${kevColumns}
+    FROM cve_affected_products p
+    JOIN vulnerabilities v ON v.cve_id = p.cve_id
+    LEFT JOIN kev_entries k ON k.cve_id = v.cve_id
+    WHERE p.vendor = ? AND p.product = ? AND p.vulnerable = 1 AND p.negate = 0
+      AND (? = '*' OR p.part = ?) AND ${notRejected}
+    ORDER BY p.cve_id
+  `).bind(cpe.vendor, cpe.product, cpe.part, cpe.part).all();
+
+  const matches = new Map();
+  for (const row of results.map(withKev)) {
+    if (!versionMatches(cpe.version, row)) continue;
+
+    if (!matches.has(row.cveId)) {
+      matches.set(row.cveId, {
+        cveId: row.cveId,
+        description: row.description,
+        baseScore: row.baseScore,
+        baseSeverity: row.baseSeverity,
+        published: row.published,
+        vulnStatus: row.vulnStatus,
+        scorePending: withScorePending(row).scorePending,
+        kev: row.kev,
+        matches: [],
+      });
+    }
+    matches.get(row.cveId).matches.push({
+      criteria: row.criteria,
+      version: row.version,
+      versionStartIncluding: row.versionStartIncluding,
+      versionStartExcluding: row.versionStartExcluding,
+      versionEndIncluding: row.versionEndIncluding,
+      versionEndExcluding: row.versionEndExcluding,
+      runningOn: row.runningOn ? JSON.parse(row.runningOn) : [],
+    });
+  }
+
+  return jsonResponse({
+    cpe: cpeString,
+    total: matches.size,
+    vulnerabilities: [...matches.values()],
+  });
+}
+
+/**
+ * Sort keys of GET /cves. Missing values sort as the lowest, so the keyset
+ * comparison of a cursor never meets a NULL.
+ */
+const cveSortColumns = {
+  published: "COALESCE(v.published, '')",
+  lastModified: "COALESCE(v.last_modified, '')",
+  baseScore: "COALESCE(v.base_score, -1)",
+  epssScore: "COALESCE(v.epss_score, -1)",
+};
+
+/**
+ * Opaque pagination cursors: base64url-encoded UTF-8 JSON
+ */
+export function encodeCursor(cursor) {
+  const bytes = new TextEncoder().encode(JSON.stringify(cursor));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function decodeCursor(value) {
+  try {
+    const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+    const cursor = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0))));
+    return cursor && typeof cursor === "object" ? cursor : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Numeric query parameter within [min, max]: `{ value }` (null when
+ * absent) or `{ error }`
+ */
+function numberParam(params, name, { min, max }) {
+  const raw = params.get(name);
+  if (raw === null || raw === "") return { value: null };
+  const value = Number(raw);
+  if (Number.isNaN(value) || value < min || value > max) {
+    return { error: `${name} must be a number between ${min} and ${max}` };
+  }
+  return { value };
+}
+
+/**
+ * Date query parameter as the timestamp format NVD dates are stored in.
+ * A date-only upper bound covers that whole day.
+ */
+function dateParam(params, name, { upperBound = false } = {}) {
+  const raw = params.get(name);
+  if (!raw) return { value: null };
+  const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T00:00:00Z` : raw);
+  if (Number.isNaN(time)) return { error: `${name} must be an ISO 8601 date` };
+  const wholeDay = upperBound && raw.length === 10;
+  return {
+    value: new Date(wholeDay ? time + 24 * 60 * 60 * 1000 : time).toISOString().slice(0, 23),
+    exclusive: wholeDay,
+  };
+}
+
+/**
+ * Values of a repeatable parameter, also accepting comma-separated lists
+ */
+function listParam(params, name) {
+  return params.getAll(name).flatMap((value) => value.split(",")).map((value) => value.trim()).filter(Boolean);
+}
+
+/**
+ * FTS5 query from a search string: every word must match, "quoted phrases"
+ * match as phrases, a trailing * makes a prefix query and OR joins
+ * alternatives. Any other FTS syntax in the input is dropped.
+ */
+function ftsQuery(input) {
+  const terms = [];
+  for (const [, phrase, word, prefix] of String(input).matchAll(/"([^"]*)"|([\p{L}\p{N}_]+)(\*)?/gu)) {
+    if (phrase !== undefined) {
+      const words = phrase.match(/[\p{L}\p{N}_]+/gu);
+      if (words) terms.push(`"${words.join(" ")}"`);
+    } else if (word === "OR") {
+      if (terms.length && terms[terms.length - 1] !== "OR") terms.push("OR");
+    } else {
+      terms.push(`"${word}"${prefix ? "*" : ""}`);
+    }
+  }
+  if (terms[terms.length - 1] === "OR") terms.pop();
+  return terms.join(" ");
+}
+
+/**
+ * WHERE conditions of the filters shared by /cves and /search, over
+ * `vulnerabilities v LEFT JOIN kev_entries k`: `{ conditions, bindings }`,
+ * or `{ error }` for an invalid parameter. `keywords: false` leaves `q` to
+ * the caller.
+ */
+export function cveFilters(params, { keywords = true } = {}) {
+  const conditions = [];
+  const bindings = [];
+
+  for (const tag of listParam(params, "referenceTag")) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM vulnerability_references r, json_each(r.tags) t
+      WHERE r.cve_id = v.cve_id AND t.value = ?
+    )`);
+    bindings.push(tag);
+  }
+
+  const cwes = listParam(params, "cwe");
+  if (cwes.length) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM vulnerability_weaknesses w
+      WHERE w.cve_id = v.cve_id AND w.cwe_id IN (SELECT value FROM json_each(?))
+    )`);
+    bindings.push(JSON.stringify(cwes.map((cwe) => cwe.toUpperCase())));
+  }
+
+  const severities = listParam(params, "severity").map((severity) => severity.toUpperCase());
+  const unknownSeverity = severities.find((severity) => !(severity in severityRank));
+  if (unknownSeverity) {
+    return { error: `severity must be one of ${Object.keys(severityRank).join(", ")}` };
+  }
+  if (severities.length) {
+    conditions.push(`v.base_severity IN (SELECT value FROM json_each(?))`);
+    bindings.push(JSON.stringify(severities));
+  }
+
+  const numberFilters = [
+    ["minScore", "v.base_score >= ?", { min: 0, max: 10 }],
+    ["maxScore", "v.base_score <= ?", { min: 0, max: 10 }],
+    ["minEpss", "v.epss_score >= ?", { min: 0, max: 1 }],
+    ["minEpssPercentile", "v.epss_percentile >= ?", { min: 0, max: 1 }],
+  ];
+  for (const [name, condition, range] of numberFilters) {
+    const { value, error } = numberParam(params, name, range);
+    if (error) return { error };
+    if (value !== null) {
+      conditions.push(condition);
+      bindings.push(value);
+    }
+  }
+
+  const dateFilters = [
+    ["publishedFrom", "v.published", false],
+    ["publishedTo", "v.published", true],
+    ["modifiedFrom", "v.last_modified", false],
+    ["modifiedTo", "v.last_modified", true],
+  ];
+  for (const [name, column, upperBound] of dateFilters) {
+    const { value, exclusive, error } = dateParam(params, name, { upperBound });
+    if (error) return { error };
+    if (value !== null) {
+      conditions.push(`${column} ${upperBound ? (exclusive ? "<" : "<=") : ">="} ?`);
+      bindings.push(value);
+    }
+  }
+
+  const sources = listParam(params, "source");
+  if (sources.length) {
+    conditions.push(`v.source_identifier IN (SELECT value FROM json_each(?))`);
+    bindings.push(JSON.stringify(sources));
+  }
+
+  const kev = params.get("kev");
+  if (kev === "true" || kev === "false") {
+    conditions.push(kev === "true" ? "k.cve_id IS NOT NULL" : "k.cve_id IS NULL");
+  }
+
+  if (keywords && params.get("q")) {
+    const match = ftsQuery(params.get("q"));
+    if (!match) return { error: "q must contain at least one word" };
+    conditions.push(`v.id IN (SELECT rowid FROM cve_search WHERE cve_search MATCH ?)`);
+    bindings.push(match);
+  }
+
+  const statuses = listParam(params, "status");
+  if (statuses.length) {
+    conditions.push(`v.vuln_status IN (SELECT value FROM json_each(?))`);
+    bindings.push(JSON.stringify(statuses));
+  } else if (params.get("includeRejected") !== "true") {
+    conditions.push(notRejected);
+  }
+
+  return { conditions, bindings };
+}
+
+/**
+ * GET /cves
+ * Stored CVEs, filtered by any combination of:
+ * - `severity` (repeatable), `minScore` / `maxScore` base score range
+ * - `cwe` (repeatable), `referenceTag` (repeatable, NVD reference tags)
+ * - `publishedFrom` / `publishedTo`, `modifiedFrom` / `modifiedTo` dates
+ * - `source` (repeatable) source identifier of the CNA
+ * - `kev=true|false`, `minEpss`, `minEpssPercentile`
+ * - `q` search terms, matched like /search against descriptions, CWE names,
+ *   affected products and advisory titles
+ * - `status` (repeatable) NVD status; Rejected CVEs are left out unless
+ *   `includeRejected=true` or asked for by status
+ *
+ * `sort` is published (default), lastModified, baseScore or epssScore and
+ * `order` desc (default) or asc. Pages of `limit` rows follow `nextCursor`
+ * (pass it as `cursor` with the same filters), keyed on the sort value and
+ * row id. CVEs stored after the first page are left out. Only the published
+ * order is stable while ingestion runs: updates rewrite last_modified, base
+ * scores and EPSS, so a CVE changed between two pages can move across the
+ * cursor and be repeated or skipped under the other sorts.
+ */
+export async function handleCveList(env, params) {
+  const d1 = env.THREAT_INTEL_DB;
+  const limit = Math.min(Math.max(parseInt(params.get("limit"), 10) || 100, 1), 500);
+  const sort = params.get("sort") || "published";
+  const order = (params.get("order") || "desc").toLowerCase();
+
+  if (!(sort in cveSortColumns)) {
+    return errorResponse(400, "invalid_parameter", `sort must be one of ${Object.keys(cveSortColumns).join(", ")}`);
+  }
+  if (order !== "asc" && order !== "desc") {
+    return errorResponse(400, "invalid_parameter", "order must be asc or desc");
+  }
+
+  let cursor = null;
+  if (params.get("cursor")) {
+    cursor = decodeCursor(params.get("cursor"));
+    if (!cursor || cursor.sort !== sort || cursor.order !== order ||
+      !Number.isInteger(cursor.id) || !Number.isInteger(cursor.asOf) ||
+      !["string", "number"].includes(typeof cursor.value)) {
+      return errorResponse(400, "invalid_cursor", "cursor is invalid or was issued for another sort order");
+    }
+  }
+
+  const filters = cveFilters(params);
+  if (filters.error) return errorResponse(400, "invalid_parameter", filters.error);
+  const { conditions, bindings } = filters;
+
+  // Snapshot of the first page: later inserts get higher ids
+  const sortColumn = cveSortColumns[sort];
+  if (cursor) {
+    const comparison = order === "desc" ? "<" : ">";
+    conditions.push(`v.id <= ?`);
+    conditions.push(`(${sortColumn} ${comparison} ? OR (${sortColumn} = ? AND v.id ${comparison} ?))`);
+    bindings.push(cursor.asOf, cursor.value, cursor.value, cursor.id);
+  } else {
+    conditions.push(`v.id <= (SELECT COALESCE(MAX(id), 0) FROM vulnerabilities)`);
+  }
+
+  const where = `WHERE ${conditions.join(" AND ")}`;
+  console.log('[API] Listing CVEs:', { conditions: conditions.length, sort, order, limit, cursor: Boolean(cursor) });
+
+  const [snapshot, page] = await d1.batch([
+    d1.prepare(`SELECT COALESCE(MAX(id), 0) AS max_id FROM vulnerabilities`),
+    d1.prepare(`
+      SELECT v.id AS row_id, ${sortColumn} AS sort_value,
+        v.cve_id, v.description, v.source_identifier, v.published,
+        v.last_modified, v.vuln_status, v.base_score, v.base_severity, v.vector_string, v.cwe,
+        v.epss_score, v.epss_percentile, v.epss_date,
+        ${kevColumns}
+      FROM vulnerabilities v
+      LEFT JOIN kev_entries k ON k.cve_id = v.cve_id
+      ${where}
+      ORDER BY ${sortColumn} ${order}, v.id ${order}
+      LIMIT ?
+    `).bind(...bindings, limit + 1),
+  ]);
+
+  const rows = page.results.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const nextCursor = page.results.length > limit
+    ? encodeCursor({
+      sort,
+      order,
+      value: last.sort_value,
+      id: last.row_id,
+      asOf: cursor ? cursor.asOf : snapshot.results[0].max_id,
+    })
+    : null;
+
+  return jsonResponse({
+    count: rows.length,
+    sort,
+    order,
+    stable: sort === "published",
+    nextCursor,
+    vulnerabilities: rows.map(({ row_id, sort_value, ...row }) => withScorePending(withKev(row))),
+  });
+}
+
+/**
+ * BM25 weight of each cve_search column: cve_id (unindexed), description,
+ * weaknesses, products, advisories
+ */
+const searchWeights = [0, 4.0, 2.0, 3.0, 1.0];
+
+/**
+ * Deepest row /search pages reach. BM25 ranks move as the corpus changes, so
+ * pages are offsets into this bounded result set, not a keyset on the rank.
+ */
+const maxSearchResults = 1000;
+
+/**
+ * GET /search?q=
+ * CVEs matching `q` in their description, CWE ids and names, affected
+ * vendors/products or advisory titles, best BM25 match first, each with a
+ * snippet of its best matching column (matches wrapped in <mark>). `q` takes
+ * words (all required), "quoted phrases", prefix* terms and OR. The /cves
+ * filters apply as well; pages of `limit` rows follow `nextCursor` up to the
+ * first 1000 results.
+ */
+export async function handleSearch(env, params) {
+  const d1 = env.THREAT_INTEL_DB;
+  const limit = Math.min(Math.max(parseInt(params.get("limit"), 10) || 20, 1), 100);
+  const query = params.get("q") || "";
+  const match = ftsQuery(query);
+
+  if (!match) {
+    return errorResponse(400, "invalid_parameter", "q must contain at least one word");
+  }
+
+  let cursor = null;
+  if (params.get("cursor")) {
+    cursor = decodeCursor(params.get("cursor"));
+    if (!cursor || cursor.sort !== "rank" || cursor.q !== query || !Number.isInteger(cursor.offset) ||
+      cursor.offset < 0 || cursor.offset >= maxSearchResults || !Number.isInteger(cursor.asOf)) {
+      return errorResponse(400, "invalid_cursor", "cursor is invalid or was issued for another query");
+    }
+  }
+
+  const filters = cveFilters(params, { keywords: false });
+  if (filters.error) return errorResponse(400, "invalid_parameter", filters.error);
+  const { conditions, bindings } = filters;
+
+  if (cursor) {
+    conditions.push(`v.id <= ?`);
+    bindings.push(cursor.asOf);
+  } else {
+    conditions.push(`v.id <= (SELECT COALESCE(MAX(id), 0) FROM vulnerabilities)`);
+  }
+
+  const offset = cursor ? cursor.offset : 0;
+  const pageSize = Math.min(limit, maxSearchResults - offset);
+  console.log('[API] Searching CVEs:', { match, conditions: conditions.length, limit, cursor: Boolean(cursor) });
+
+  const [snapshot, page] = await d1.batch([
+    d1.prepare(`SELECT COALESCE(MAX(id), 0) AS max_id FROM vulnerabilities`),
+    d1.prepare(`
+      SELECT v.id AS row_id, bm25(cve_search, ${searchWeights.join(", ")}) AS rank,
+        snippet(cve_search, -1, '<mark>', '</mark>', '…', 16) AS snippet,
+        v.cve_id, v.description, v.source_identifier, v.published,
+        v.last_modified, v.vuln_status, v.base_score, v.base_severity, v.vector_string, v.cwe,
+        v.epss_score, v.epss_percentile, v.epss_date,
+        ${kevColumns}
+      FROM cve_search
+      JOIN vulnerabilities v ON v.id = cve_search.rowid
+      LEFT JOIN kev_entries k ON k.cve_id = v.cve_id
+      WHERE cve_search MATCH ? AND ${conditions.join(" AND ")}
+      ORDER BY rank, v.id
+      LIMIT ? OFFSET ?
+    `).bind(match, ...bindings, pageSize + 1, offset),
+  ]);
+
+  const rows = page.results.slice(0, pageSize);
+  const nextCursor = page.results.length > pageSize && offset + pageSize < maxSearchResults
+    ? encodeCursor({
+      sort: "rank",
+      q: query,
+      offset: offset + pageSize,
+      asOf: cursor ? cursor.asOf : snapshot.results[0].max_id,
+    })
+    : null;
+
+  return jsonResponse({
+    query,
+    count: rows.length,
+    nextCursor,
+    results: rows.map(({ row_id, rank, snippet, ...row }) => ({
+      ...withScorePending(withKev(row)),
+      rank,
+      snippet,
+    })),
+  });
+}
+
+/**
+ * GET /cves/:id/advisories
+ * Vendor bulletins and news items that mention a CVE
+ */
+export async function handleCveAdvisories(env, cveId) {
+  const d1 = env.THREAT_INTEL_DB;
+  console.log(`[API] Fetching advisories for ${cveId}`);
+
+  const { results } = await d1.prepare(`
+    SELECT a.feed_id, a.title, a.link, a.published, a.summary, a.ghsa_ids, a.products
+    FROM advisory_vulnerabilities av
+    JOIN advisories a ON a.id = av.advisory_id
+    WHERE av.cve_id = ?
+    ORDER BY a.published DESC
+  `).bind(cveId).all();
+
+  return jsonResponse({
+    cveId,
+    count: results.length,
+    advisories: results.map(toAdvisory),
+  });
+}
+
+/**
+ * GET /epss/movers?delta=0.2&days=7&limit=100
+ * CVEs whose EPSS score rose by at least `delta` between the latest score
+ * date and the closest score date at least `days` earlier
+ */
+export async function handleEpssMovers(env, params) {
+  const d1 = env.THREAT_INTEL_DB;
+  const delta = Number(params.get("delta") ?? 0.2);
+  const days = parseInt(params.get("days"), 10) || 7;
+  const limit = Math.min(Math.max(parseInt(params.get("limit"), 10) || 100, 1), 500);
+
+  if (Number.isNaN(delta)) {
+    return errorResponse(400, "invalid_parameter", "Query parameter delta must be a number");
+  }
+
+  console.log('[API] Listing EPSS movers:', { delta, days, limit });
+
+  const { results } = await d1.prepare(`
+    WITH latest AS (
+      SELECT MAX(score_date) AS score_date FROM epss_history
+    ),
+    baseline AS (
+      SELECT MAX(score_date) AS score_date FROM epss_history
+      WHERE score_date <= date((SELECT score_date FROM latest), ?)
+    )
+    SELECT cur.cve_id, prev.score_date AS previous_date, prev.epss AS previous_epss,
+      cur.score_date AS current_date, cur.epss AS current_epss,
+      cur.percentile AS current_percentile, cur.epss - prev.epss AS epss_delta,
+      v.base_score, v.base_severity
+    FROM epss_history cur
+    JOIN epss_history prev
+      ON prev.cve_id = cur.cve_id AND prev.score_date = (SELECT score_date FROM baseline)
+    JOIN vulnerabilities v ON v.cve_id = cur.cve_id
+    WHERE cur.score_date = (SELECT score_date FROM latest)
+      AND cur.epss - prev.epss >= ? AND ${notRejected}
+    ORDER BY epss_delta DESC, cur.cve_id
+    LIMIT ?
+  `).bind(`-${days} days`, delta, limit).all();
+
+  return jsonResponse({
+    delta,
+    days,
+    count: results.length,
+    vulnerabilities: results.map(camelizeRow),
+  });
+}
+
+/**
+ * GET /packages/vulnerabilities?purl= or ?ecosystem=&name=&version=
+ * OSV advisories affecting a package, optionally narrowed to one version,
+ * with their CVE aliases joined against the stored vulnerabilities
+ */
+export async function handlePackageVulnerabilities(env, params) {
+  const purl = params.get("purl") ? parsePurl(params.get("purl")) : null;
+  if (params.get("purl") && !purl) {
+    return errorResponse(400, "invalid_parameter", "Query parameter purl must be a package URL (pkg:type/name@version)");
+  }
+
+  const ecosystem = purl?.ecosystem || params.get("ecosystem");
+  const name = purl?.packageName || params.get("name");
+  const version = purl?.version || params.get("version");
+  if (!ecosystem || !name) {
+    return errorResponse(400, "invalid_parameter", "Provide purl, or ecosystem and name");
+  }
+
+  const d1 = env.THREAT_INTEL_DB;
+  console.log('[API] Looking up package vulnerabilities for:', { ecosystem, name, version });
+
+  const [affected, events, cves] = await d1.batch([
+    d1.prepare(`
+      SELECT a.id AS affected_id, a.osv_id, a.purl, a.versions, o.summary, o.published, o.modified, o.severity
+      FROM osv_affected a
+      JOIN osv_advisories o ON o.id = a.osv_id
+      WHERE a.ecosystem = ? AND a.name = ? AND o.withdrawn IS NULL
+      ORDER BY o.published DESC, a.osv_id
+    `).bind(ecosystem, name),
+    d1.prepare(`
+      SELECT e.affected_id, e.range_index, e.range_type, e.repo, e.event_type, e.version
+      FROM osv_range_events e
+      JOIN osv_affected a ON a.id = e.affected_id
+      WHERE a.ecosystem = ? AND a.name = ?
+      ORDER BY e.affected_id, e.range_index, e.event_index
+    `).bind(ecosystem, name),
+    d1.prepare(`
+      SELECT al.osv_id, v.cve_id, v.vuln_status, v.base_score, v.base_severity, v.epss_score, ${kevColumns}
+      FROM osv_aliases al
+      JOIN vulnerabilities v ON v.cve_id = al.alias
+      LEFT JOIN kev_entries k ON k.cve_id = v.cve_id
+      WHERE al.osv_id IN (SELECT osv_id FROM osv_affected WHERE ecosystem = ? AND name = ?)
+        AND ${notRejected}
+    `).bind(ecosystem, name),
+  ]);
+
+  // Group range events by affected row, then by range
+  const rangesByAffected = new Map();
+  for (const row of events.results) {
+    if (!rangesByAffected.has(row.affected_id)) rangesByAffected.set(row.affected_id, []);
+    const ranges = rangesByAffected.get(row.affected_id);
+    if (!ranges[row.range_index]) {
+      ranges[row.range_index] = { type: row.range_type, repo: row.repo, events: [] };
+    }
+    ranges[row.range_index].events.push({ type: row.event_type, version: row.version });
+  }
+
+  const cvesByAdvisory = new Map();
+  for (const row of cves.results) {
+    const { osvId, ...cve } = withScorePending(withKev(row));
+    if (!cvesByAdvisory.has(osvId)) cvesByAdvisory.set(osvId, []);
+    cvesByAdvisory.get(osvId).push(cve);
+  }
+
+  const advisories = new Map();
+  for (const row of affected.results) {
+    const ranges = (rangesByAffected.get(row.affected_id) || []).filter(Boolean);
+    const versions = JSON.parse(row.versions || "[]");
+    if (version && !versions.includes(version) && !ranges.some((range) => osvRangeAffects(version, range))) {
+      continue;
+    }
+
+    if (!advisories.has(row.osv_id)) {
+      advisories.set(row.osv_id, {
+        id: row.osv_id,
+        summary: row.summary,
+        published: row.published,
+        modified: row.modified,
+        severity: JSON.parse(row.severity || "[]"),
+        vulnerabilities: cvesByAdvisory.get(row.osv_id) || [],
+        affected: [],
+      });
+    }
+    advisories.get(row.osv_id).affected.push({ purl: row.purl, ranges, versions });
+  }
+
+  return jsonResponse({
+    ecosystem,
+    name,
+    version,
+    total: advisories.size,
+    advisories: [...advisories.values()],
+  });
+}
+
+const epssHistoryDays = 30;
+const maxRelatedIndicators = 100;
+
+/**
+ * Sections of the GET /cves/:id document beyond the stored NVD fields: the
+ * query reading each (the CVE id is bound as ?1) and how its rows are shaped.
+ * Only the sections a `fields` projection asks for are queried.
+ */
+export const cveDetailSections = {
+  metrics: {
+    sql: `
+      SELECT * FROM vulnerability_metrics WHERE cve_id = ?1
+      ORDER BY is_authoritative DESC, cvss_version DESC, type, source
+    `,
+    map: (rows) => rows.map(toMetric),
+  },
+  references: {
+    sql: `SELECT url, source, tags FROM vulnerability_references WHERE cve_id = ?1 ORDER BY url`,
+    map: (rows) => rows.map((row) => ({ ...row, tags: JSON.parse(row.tags || "[]") })),
+  },
+  weaknesses: {
+    sql: `
+      SELECT w.cwe_id, c.name, w.source, w.type
+      FROM vulnerability_weaknesses w
+      LEFT JOIN cwe_catalog c ON c.cwe_id = w.cwe_id
+      WHERE w.cve_id = ?1
+      ORDER BY w.cwe_id, w.source
+    `,
+    map: (rows) => rows.map(camelizeRow),
+  },
+  affected: {
+    sql: `SELECT * FROM cve_affected_products WHERE cve_id = ?1 ORDER BY config_index, node_index, id`,
+    map: (rows) => rows.map((row) => {
+      const { id: _id, cveId: _cveId, negate, vulnerable, runningOn, ...product } = camelizeRow(row);
+      return {
+        ...product,
+        negate: Boolean(negate),
+        vulnerable: Boolean(vulnerable),
+        runningOn: runningOn ? JSON.parse(runningOn) : [],
+      };
+    }),
+  },
+  history: {
+    sql: `
+      SELECT field, old_value, new_value, nvd_last_modified, ingest_run_id, changed_at
+      FROM vulnerability_history WHERE cve_id = ?1
+      ORDER BY changed_at DESC, id DESC
+    `,
+    map: (rows) => rows.map(camelizeRow),
+  },
+  epss: {
+    sql: `
+      SELECT score_date, epss, percentile FROM epss_history WHERE cve_id = ?1
+      ORDER BY score_date DESC LIMIT ${epssHistoryDays}
+    `,
+    map: (rows, cve) => cve.epssScore === null && !rows.length
+      ? null
+      : { score: cve.epssScore, percentile: cve.epssPercentile, date: cve.epssDate, history: rows.map(camelizeRow) },
+  },
+  advisories: {
+    sql: `
+      SELECT a.feed_id, a.title, a.link, a.published, a.summary, a.ghsa_ids, a.products
+      FROM advisory_vulnerabilities av
+      JOIN advisories a ON a.id = av.advisory_id
+      WHERE av.cve_id = ?1
+      ORDER BY a.published DESC
+    `,
+    map: (rows) => rows.map(toAdvisory),
+  },
+  osvAdvisories: {
+    sql: `
+      SELECT o.id, o.summary, o.published, o.modified, o.severity
+      FROM osv_aliases al
+      JOIN osv_advisories o ON o.id = al.osv_id
+      WHERE al.alias = ?1 AND o.withdrawn IS NULL
+      ORDER BY o.published DESC, o.id
+    `,
+    map: (rows) => rows.map((row) => ({ ...row, severity: JSON.parse(row.severity || "[]") })),
+  },
+  // Indicators tagged with the CVE, MISP vulnerability attributes, and STIX
+  // indicators related to the CVE's vulnerability object
+  indicators: {
+    sql: `
+      SELECT i.id, i.source, i.type, i.value, i.category, i.malware_family, i.confidence,
+        i.status, i.first_seen, i.last_seen
+      FROM indicators i
+      WHERE i.id IN (
+        SELECT indicator_id FROM indicator_tags WHERE tag IN (?1, lower(?1))
+        UNION
+        SELECT id FROM indicators WHERE type = 'vulnerability' AND value = ?1
+        UNION
+        SELECT ri.id
+        FROM threat_objects t
+        JOIN threat_relationships r ON t.id IN (r.source_ref, r.target_ref)
+        JOIN indicators ri ON ri.source = r.source
+          AND (ri.external_id = CASE WHEN r.source_ref = t.id THEN r.target_ref ELSE r.source_ref END
+            OR ri.external_id GLOB (CASE WHEN r.source_ref = t.id THEN r.target_ref ELSE r.source_ref END) || '#*')
+        WHERE t.type = 'vulnerability' AND t.name = ?1
+      )
+      ORDER BY i.last_seen DESC, i.id
+      LIMIT ${maxRelatedIndicators}
+    `,
+    map: (rows) => rows.map(camelizeRow),
+  },
+};
+
+/**
+ * Strong ETag of a response body
+ */
+async function etagOf(body) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(body));
+  const hex = [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+  return `"${hex.slice(0, 32)}"`;
+}
+
+/**
+ * Whether an If-None-Match header matches the ETag
+ */
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch.split(",").some((tag) => {
+    const candidate = tag.trim().replace(/^W\//, "");
+    return candidate === "*" || candidate === etag;
+  });
+}
+
+/**
+ * GET /cves/:id?fields=&refresh=true
+ * The full record of a CVE: the stored NVD fields with KEV enrichment, and
+ * every section of cveDetailSections. `fields` (comma-separated) projects
+ * the document onto the listed keys. A CVE that is not stored yet is
+ * fetched from NVD first when `refresh=true`, through `refresh(env, cveId)`.
+ * Responses carry an ETag and honour If-None-Match.
+ */
+export async function handleCveDetail(env, cveId, params, request, { refresh } = {}) {
+  const d1 = env.THREAT_INTEL_DB;
+  const fields = listParam(params, "fields");
+  console.log(`[API] Fetching CVE detail for ${cveId}`, { fields });
+
+  const readCve = () => d1.prepare(`
+    SELECT v.*, ${kevColumns}
+    FROM vulnerabilities v
+    LEFT JOIN kev_entries k ON k.cve_id = v.cve_id
+    WHERE v.cve_id = ?
+  `).bind(cveId).first();
+
+  let row = await readCve();
+  if (!row && params.get("refresh") === "true" && refresh) {
+    const refreshed = await refresh(env, cveId);
+    if (refreshed.error) {
+      return errorResponse(502, "upstream_error", refreshed.error);
+    }
+    row = await readCve();
+  }
+  if (!row) {
+    return errorResponse(404, "not_found", `${cveId} not found`);
+  }
+
+  const { id: _id, refUrls: _refUrls, ...cve } = withScorePending(withKev(row));
+  const knownFields = [...Object.keys(cve), ...Object.keys(cveDetailSections)];
+  const unknownField = fields.find((field) => !knownFields.includes(field));
+  if (unknownField) {
+    return errorResponse(400, "invalid_parameter", `Unknown field ${unknownField}, expected any of ${knownFields.join(", ")}`);
+  }
+
+  const sections = Object.keys(cveDetailSections).filter((section) => !fields.length || fields.includes(section));
+  const results = sections.length
+    ? await d1.batch(sections.map((section) => d1.prepare(cveDetailSections[section].sql).bind(cveId)))
+    : [];
+
+  const document = { ...cve };
+  sections.forEach((section, index) => {
+    document[section] = cveDetailSections[section].map(results[index].results, cve);
+  });
+
+  const projected = fields.length
+    ? Object.fromEntries(Object.entries(document).filter(([key]) => key === "cveId" || fields.includes(key)))
+    : document;
+
+  const body = JSON.stringify(projected);
+  const etag = await etagOf(body);
+  if (etagMatches(request.headers.get("If-None-Match"), etag)) {
+    return new Response(null, { status: 304, headers: { ETag: etag } });
+  }
+
+  return new Response(body, {
+    status: 200,
+    headers: { "Content-Type": "application/json", ETag: etag },
+  });
+}
+
+/**
+ * GET /cves/:id/history
+ * Timeline of changes to the tracked fields of a CVE, newest first
+ */
+export async function handleCveHistory(env, cveId) {
+  const d1 = env.THREAT_INTEL_DB;
+  console.log(`[API] Fetching history for ${cveId}`);
+
+  const [current, history] = await d1.batch([
+    d1.prepare(`
+      SELECT cve_id, vuln_status, base_score, base_severity, last_modified FROM vulnerabilities WHERE cve_id = ?
+    `).bind(cveId),
+    d1.prepare(`
+      SELECT field, old_value, new_value, nvd_last_modified, ingest_run_id, changed_at
+      FROM vulnerability_history
+      WHERE cve_id = ?
+      ORDER BY changed_at DESC, id DESC
+    `).bind(cveId),
+  ]);
+
+  if (!current.results.length) {
+    return errorResponse(404, "not_found", `${cveId} not found`);
+  }
+
+  return jsonResponse({
+    ...camelizeRow(current.results[0]),
+    count: history.results.length,
+    timeline: history.results.map(camelizeRow),
+  });
+}
+
+/**
+ * GET /cves/rescored?days=&escalated=true&minSeverity=
+ * CVEs whose severity or base score changed recently, with the first and
+ * latest value in the period. `escalated=true` keeps only increases.
+ */
+export async function handleRescoredCves(env, params) {
+  const d1 = env.THREAT_INTEL_DB;
+  const days = Math.max(parseInt(params.get("days"), 10) || 7, 1);
+  const escalated = params.get("escalated") === "true";
+  const minSeverity = params.get("minSeverity")?.toUpperCase() || null;
+  const limit = Math.min(Math.max(parseInt(params.get("limit"), 10) || 100, 1), 500);
+
+  if (minSeverity && !(minSeverity in severityRank)) {
+    return errorResponse(400, "invalid_parameter", `minSeverity must be one of ${Object.keys(severityRank).join(", ")}`);
+  }
+
+  // Value before the first score / severity change of each CVE in the period;
+  // a field that did not change keeps its current value as the previous one
+  const { results } = await d1.prepare(`
+    WITH changes AS (
+      SELECT cve_id, field, old_value, changed_at,
+        ROW_NUMBER() OVER (PARTITION BY cve_id, field ORDER BY changed_at, id) AS change_rank
+      FROM vulnerability_history
+      WHERE field IN ('base_score', 'base_severity')
+        AND changed_at >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', ?1)
+    ),
+    rescored AS (
+      SELECT v.cve_id, v.description, v.base_score, v.base_severity, v.last_modified,
+        CASE WHEN MAX(c.field = 'base_score')
+          THEN CAST(MAX(CASE WHEN c.field = 'base_score' AND c.change_rank = 1 THEN c.old_value END) AS REAL)
+          ELSE v.base_score
+        END AS previous_score,
+        CASE WHEN MAX(c.field = 'base_severity')
+          THEN MAX(CASE WHEN c.field = 'base_severity' AND c.change_rank = 1 THEN c.old_value END)
+          ELSE v.base_severity
+        END AS previous_severity,
+        MAX(c.changed_at) AS rescored_at
+      FROM changes c
+      JOIN vulnerabilities v ON v.cve_id = c.cve_id
+      WHERE ${notRejected}
+      GROUP BY v.cve_id
+    )
+    SELECT * FROM rescored
+    WHERE (?2 = 0
+        OR ${severityRankSql("base_severity")} > ${severityRankSql("previous_severity")}
+        OR COALESCE(base_score, -1) > COALESCE(previous_score, -1))
+      AND ${severityRankSql("base_severity")} >= ?3
+    ORDER BY rescored_at DESC, cve_id
+    LIMIT ?4
+  `).bind(`-${days} days`, escalated ? 1 : 0, minSeverity ? severityRank[minSeverity] : -1, limit).all();
+
+  return jsonResponse({
+    days,
+    escalated,
+    minSeverity,
+    count: results.length,
+    vulnerabilities: results.map(camelizeRow),
+  });
+}
+
+const findingStatuses = ["open", "closed"];
+
+/**
+ * Finding row for the API, `project` null when reported without one
+ */
+export function toFinding(row) {
+  const { project, ...finding } = camelizeRow(row);
+  return { ...finding, project: project || null };
+}
+
+/**
+ * GET /findings?status=open&cveId=&project=
+ * Downstream findings, with the NVD status of their CVE
+ */
+export async function handleFindingList(env, params) {
+  const d1 = env.THREAT_INTEL_DB;
+  const status = params.get("status");
+  const cveId = params.get("cveId");
+  const project = params.get("project");
+  const limit = Math.min(Math.max(parseInt(params.get("limit"), 10) || 100, 1), 500);
+
+  if (status && !findingStatuses.includes(status)) {
+    return errorResponse(400, "invalid_parameter", `status must be one of ${findingStatuses.join(", ")}`);
+  }
+
+  const { results } = await d1.prepare(`
+    SELECT f.*, v.vuln_status, v.base_score, v.base_severity
+    FROM findings f
+    LEFT JOIN vulnerabilities v ON v.cve_id = f.cve_id
+    WHERE (? IS NULL OR f.status = ?) AND (? IS NULL OR f.cve_id = ?) AND (? IS NULL OR f.project = ?)
+    ORDER BY f.opened_at DESC, f.id DESC
+    LIMIT ?
+  `).bind(status, status, cveId, cveId, project, project, limit).all();
+
+  return jsonResponse({
+    count: results.length,
+    findings: results.map(toFinding),
+  });
+}
+
+/**
+ * POST /findings { cveId, subject, project, source }
+ * Record a CVE matched against a subject of a project (e.g. a component of
+ * the project's SBOM), so that rejecting the CVE can close it. A finding for
+ * a CVE that is already rejected is recorded closed; reporting an existing
+ * finding again returns it unchanged.
+ */
+export async function handleFindingCreate(env, body) {
+  const { cveId, subject, project = null, source = null } = body || {};
+  if (typeof cveId !== "string" || !/^CVE-\d{4}-\d{4,}$/.test(cveId) ||
+    typeof subject !== "string" || !subject) {
+    return errorResponse(400, "invalid_body", "Provide cveId (CVE-YYYY-NNNN) and subject as strings");
+  }
+  if (project !== null && typeof project !== "string") {
+    return errorResponse(400, "invalid_body", "project must be a string");
+  }
+  if (source !== null && typeof source !== "string") {
+    return errorResponse(400, "invalid_body", "source must be a string");
+  }
+
+  const d1 = env.THREAT_INTEL_DB;
+  console.log('[API] Recording finding:', { cveId, subject, project, source });
+
+  // The no-op update on conflict makes RETURNING yield the existing row
+  const finding = await d1.prepare(`
+    INSERT INTO findings (cve_id, subject, source, project, status, closed_reason, closed_at)
+    SELECT ?1, ?2, ?3, ?4,
+      CASE WHEN rejected THEN 'closed' ELSE 'open' END,
+      CASE WHEN rejected THEN 'cve-rejected' END,
+      CASE WHEN rejected THEN strftime('%Y-%m-%dT%H:%M:%fZ', 'now') END
+    FROM (SELECT EXISTS (
+      SELECT 1 FROM vulnerabilities WHERE cve_id = ?1 AND vuln_status = 'Rejected'
+    ) AS rejected)
+    WHERE true
+    ON CONFLICT (cve_id, project, subject) DO UPDATE SET status = findings.status
+    RETURNING *
+  `).bind(cveId, subject, source, project || "").first();
+
+  return jsonResponse(toFinding(finding), 201);
+}
+
+const runTriggers = ["cron", "http", "queue"];
+const runStatuses = ["running", "complete", "partial", "error"];
+
+/**
+ * Parse the JSON columns of an ingest_runs row
+ */
+function toIngestRun(row) {
+  const run = camelizeRow(row);
+  return { ...run, errorSamples: JSON.parse(run.errorSamples || "[]") };
+}
+
+/**
+ * GET /runs?source=&trigger=&status=&limit=
+ * Ingest ledger, newest run first
+ */
+export async function handleRunList(env, params) {
+  const d1 = env.THREAT_INTEL_DB;
+  const source = params.get("source");
+  const trigger = params.get("trigger");
+  const status = params.get("status");
+  const limit = Math.min(Math.max(parseInt(params.get("limit"), 10) || 50, 1), 500);
+
+  if (trigger && !runTriggers.includes(trigger)) {
+    return errorResponse(400, "invalid_parameter", `trigger must be one of ${runTriggers.join(", ")}`);
+  }
+  if (status && !runStatuses.includes(status)) {
+    return errorResponse(400, "invalid_parameter", `status must be one of ${runStatuses.join(", ")}`);
+  }
+
+  console.log('[API] Listing ingest runs:', { source, trigger, status, limit });
+
+  const { results } = await d1.prepare(`
+    SELECT *
+    FROM ingest_runs
+    WHERE (? IS NULL OR source = ?) AND (? IS NULL OR trigger = ?) AND (? IS NULL OR status = ?)
+    ORDER BY started_at DESC, id
+    LIMIT ?
+  `).bind(source, source, trigger, trigger, status, status, limit).all();
+
+  return jsonResponse({
+    count: results.length,
+    runs: results.map(toIngestRun),
+  });
+}
+
+/**
+ * GET /runs/:id
+ * One ingest run with every row that failed to store during it
+ */
+export async function handleRun(env, runId) {
+  const d1 = env.THREAT_INTEL_DB;
+  console.log(`[API] Fetching ingest run ${runId}`);
+
+  const [run, errors] = await d1.batch([
+    d1.prepare(`SELECT * FROM ingest_runs WHERE id = ?`).bind(runId),
+    d1.prepare(`
+      SELECT item_id, error, code, created_at FROM ingest_errors WHERE run_id = ? ORDER BY id
+    `).bind(runId),
+  ]);
+
+  if (!run.results.length) {
+    return errorResponse(404, "not_found", `Ingest run ${runId} not found`);
+  }
+
+  return jsonResponse({
+    ...toIngestRun(run.results[0]),
+    errors: errors.results.map(camelizeRow),
+  });
+}
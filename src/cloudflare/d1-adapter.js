@@ -0,0 +1,313 @@
+/**
+ * D1 helpers shared by the ingest feeds
+ */
+
+/**
+ * Fetch existing metadata from D1
+ */
+export async function getFetchMetadata(d1, source) {
+  console.log('[D1] Fetching metadata for source:', source);
+  
+  const sql = `
+    SELECT
+      last_fetch_time,
+      last_success_time,
+      items_fetched,
+      next_start_index,
+      high_water_mark,
+      window_start,
+      window_end,
+      http_etag,
+      http_last_modified,
+      last_error,
+      last_error_at,
+      last_error_retryable
+    FROM fetch_metadata
+    WHERE source = ?
+  `;
+
+  try {
+    const startTime = Date.now();
+    const result = await d1.prepare(sql).bind(source).first();
+    
+    console.log('[D1] Successfully retrieved fetch metadata:', {
+      duration: `${Date.now() - startTime}ms`,
+      result
+    });
+    return result;
+  } catch (error) {
+    console.error('[D1] Failed to get fetch metadata:', {
+      error: error.message,
+      sql: sql,
+      source: source,
+      code: error.code,
+      stack: error.stack
+    });
+    return null;
+  }
+}
+
+/**
+ * Update metadata after fetching chunk
+ */
+export async function updateFetchMetadata(d1, source, fetchTime, nextStartIndex, itemsFetched = 0) {
+  console.log('[D1] Updating fetch metadata:', {
+    source,
+    fetchTime,
+    nextStartIndex
+  });
+
+  const sql = `
+    INSERT INTO fetch_metadata (
+      source, last_fetch_time, last_success_time, items_fetched, next_start_index
+    ) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(source) DO UPDATE SET
+      last_fetch_time = excluded.last_fetch_time,
+      last_success_time = CASE 
+        WHEN excluded.items_fetched > 0 THEN excluded.last_fetch_time 
+        ELSE fetch_metadata.last_success_time 
+      END,
+      items_fetched = fetch_metadata.items_fetched + excluded.items_fetched,
+      next_start_index = excluded.next_start_index
+  `;
+
+  try {
+    const startTime = Date.now();
+    await d1.prepare(sql)
+      .bind(source, fetchTime, fetchTime, itemsFetched, nextStartIndex)
+      .run();
+    
+    console.log('[D1] Successfully updated fetch metadata:', {
+      duration: `${Date.now() - startTime}ms`,
+      newStartIndex: nextStartIndex
+    });
+  } catch (error) {
+    console.error('[D1] Failed to update fetch metadata:', {
+      error: error.message,
+      sql: sql,
+      params: {source, fetchTime, nextStartIndex},
+      code: error.code,
+      stack: error.stack
+    });
+    throw error; // Propagate error up
+  }
+}
+
+/**
+ * Persist the sync cursor: the end of the last fully processed date window
+ * and the frozen window currently being paged, if any
+ */
+export async function saveSyncCursor(d1, source, { highWaterMark, windowStart, windowEnd }) {
+  console.log('[D1] Saving sync cursor:', { source, highWaterMark, windowStart, windowEnd });
+
+  const sql = `
+    UPDATE fetch_metadata
+    SET high_water_mark = ?, window_start = ?, window_end = ?
+    WHERE source = ?
+  `;
+
+  try {
+    await d1.prepare(sql)
+      .bind(highWaterMark, windowStart, windowEnd, source)
+      .run();
+  } catch (error) {
+    console.error('[D1] Failed to save sync cursor:', {
+      error: error.message,
+      sql: sql,
+      params: { source, highWaterMark, windowStart, windowEnd },
+      code: error.code,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+
+/**
+ * Remember the ETag / Last-Modified validators of a feed for conditional requests
+ */
+export async function saveHttpValidators(d1, source, etag, lastModified) {
+  await d1.prepare(`
+    UPDATE fetch_metadata
+    SET http_etag = ?, http_last_modified = ?
+    WHERE source = ?
+  `).bind(etag || null, lastModified || null, source).run();
+}
+
+/**
+ * Record the last upstream failure of a source. Retryable errors leave the
+ * cursor where it was for the next run to pick up; fatal ones need attention.
+ */
+export async function recordFetchError(d1, source, error) {
+  console.error('[D1] Recording fetch error:', { source, error: error.message, retryable: error.retryable });
+
+  try {
+    await d1.prepare(`
+      INSERT INTO fetch_metadata (source, last_fetch_time, last_error, last_error_at, last_error_retryable)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(source) DO UPDATE SET
+        last_error = excluded.last_error,
+        last_error_at = excluded.last_error_at,
+        last_error_retryable = excluded.last_error_retryable
+    `).bind(
+      source,
+      new Date().toISOString(),
+      error.message,
+      new Date().toISOString(),
+      error.retryable === undefined ? null : error.retryable ? 1 : 0
+    ).run();
+  } catch (dbError) {
+    // Never let bookkeeping hide the original failure
+    console.error('[D1] Failed to record fetch error:', dbError.message);
+  }
+}
+
+/**
+ * Upsert normalized indicators (see core/threat.js) and replace their tags.
+ * Rows are keyed by (source, external_id); each batch is one transaction.
+ */
+export async function storeIndicators(d1, indicators, syncedAt, batchSize = 50) {
+  console.log(`[D1] Storing ${indicators.length} indicators`);
+
+  const stmt = d1.prepare(`
+    INSERT INTO indicators (
+      source, external_id, type, value, category, malware_family,
+      confidence, first_seen, last_seen, to_ids, status, comment,
+      event_ref, object_ref, context, synced_at, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(source, external_id) DO UPDATE SET
+      type = excluded.type,
+      value = excluded.value,
+      category = excluded.category,
+      malware_family = COALESCE(excluded.malware_family, indicators.malware_family),
+      confidence = COALESCE(excluded.confidence, indicators.confidence),
+      first_seen = COALESCE(indicators.first_seen, excluded.first_seen),
+      last_seen = COALESCE(excluded.last_seen, indicators.last_seen),
+      to_ids = excluded.to_ids,
+      status = excluded.status,
+      comment = excluded.comment,
+      event_ref = excluded.event_ref,
+      object_ref = excluded.object_ref,
+      context = excluded.context,
+      synced_at = excluded.synced_at,
+      updated_at = excluded.updated_at
+  `);
+
+  const deleteTagsStmt = d1.prepare(`
+    DELETE FROM indicator_tags
+    WHERE indicator_id = (SELECT id FROM indicators WHERE source = ? AND external_id = ?)
+  `);
+
+  const tagStmt = d1.prepare(`
+    INSERT OR IGNORE INTO indicator_tags (indicator_id, tag)
+    SELECT id, ? FROM indicators WHERE source = ? AND external_id = ?
+  `);
+
+  let stored = 0;
+  let failed = 0;
+  for (let i = 0; i < indicators.length; i += batchSize) {
+    const batch = indicators.slice(i, i + batchSize);
+    const statements = batch.flatMap((indicator) => [
+      stmt.bind(
+        indicator.source,
+        indicator.externalId,
+        indicator.type,
+        indicator.value,
+        indicator.category,
+        indicator.malwareFamily,
+        indicator.confidence,
+        indicator.firstSeen,
+        indicator.lastSeen,
+        indicator.toIds ? 1 : 0,
+        indicator.status,
+        indicator.comment,
+        indicator.eventRef,
+        indicator.objectRef,
+        indicator.context,
+        syncedAt,
+        syncedAt,
+        syncedAt
+      ),
+      deleteTagsStmt.bind(indicator.source, indicator.externalId),
+      ...indicator.tags.map((tag) => tagStmt.bind(tag, indicator.source, indicator.externalId)),
+    ]);
+
+    try {
+      await d1.batch(statements);
+      stored += batch.length;
+    } catch (error) {
+      failed += batch.length;
+      console.error('[D1] Failed to store indicator batch:', {
+        error: error.message,
+        firstExternalId: batch[0]?.externalId,
+        size: batch.length,
+      });
+    }
+  }
+
+  console.log('[D1] Indicator storage complete:', { stored, failed });
+  return { stored, failed };
+}
+
+/**
+ * Mark indicators of a source that were not seen since `syncedAt` with a new
+ * status, optionally restricted to one upstream event
+ */
+export async function retireIndicators(d1, source, syncedAt, status, eventRef = null) {
+  const result = await d1.prepare(`
+    UPDATE indicators
+    SET status = ?, updated_at = ?
+    WHERE source = ? AND status = 'active' AND synced_at < ?
+      AND (? IS NULL OR event_ref = ?)
+  `).bind(status, new Date().toISOString(), source, syncedAt, eventRef, eventRef).run();
+  return result.meta?.changes || 0;
+}
+
+/**
+ * Upsert threat objects (malware, threat actors, galaxy clusters, ...)
+ * and the relationships between them
+ */
+export async function storeThreatObjects(d1, objects, relationships, syncedAt) {
+  const objectStmt = d1.prepare(`
+    INSERT INTO threat_objects (id, source, type, name, description, aliases, context, synced_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      type = excluded.type,
+      name = excluded.name,
+      description = excluded.description,
+      aliases = excluded.aliases,
+      context = excluded.context,
+      synced_at = excluded.synced_at
+  `);
+
+  const relationshipStmt = d1.prepare(`
+    INSERT INTO threat_relationships (source_ref, relationship_type, target_ref, source, synced_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(source_ref, relationship_type, target_ref) DO UPDATE SET
+      synced_at = excluded.synced_at
+  `);
+
+  const statements = [
+    ...objects.map((object) => objectStmt.bind(
+      object.id,
+      object.source,
+      object.type,
+      object.name,
+      object.description || null,
+      JSON.stringify(object.aliases || []),
+      object.context ? JSON.stringify(object.context) : null,
+      syncedAt
+    )),
+    ...relationships.map((rel) => relationshipStmt.bind(
+      rel.sourceRef,
+      rel.relationshipType,
+      rel.targetRef,
+      rel.source,
+      syncedAt
+    )),
+  ];
+
+  for (let i = 0; i < statements.length; i += 100) {
+    await d1.batch(statements.slice(i, i + 100));
+  }
+  return { objects: objects.length, relationships: relationships.length };
+}
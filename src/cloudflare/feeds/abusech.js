@@ -0,0 +1,244 @@
+import {
+  getFetchMetadata,
+  updateFetchMetadata,
+  saveHttpValidators,
+  storeIndicators,
+  retireIndicators,
+  recordFetchError,
+} from "../d1-adapter.js";
+import { normalizeIndicator, indicatorStatus } from "../../core/threat.js";
+import { fetchWithRetry } from "../../utils/http.js";
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+/**
+ * abuse.ch community feeds. `snapshot` feeds list every live entry, so
+ * anything missing from a download is expired at once; the others are
+ * rolling windows, where entries expire once unseen for `expireAfterDays`.
+ */
+export const abuseChFeeds = {
+  urlhaus: {
+    url: "https://urlhaus.abuse.ch/downloads/csv_online/",
+    parse: parseUrlhausCsv,
+    snapshot: true,
+  },
+  threatfox: {
+    url: "https://threatfox.abuse.ch/export/json/recent/",
+    parse: parseThreatFoxJson,
+    snapshot: false,
+    expireAfterDays: 30,
+  },
+  feodotracker: {
+    url: "https://feodotracker.abuse.ch/downloads/ipblocklist.json",
+    parse: parseFeodoBlocklist,
+    snapshot: true,
+  },
+};
+
+/**
+ * abuse.ch timestamps are UTC `YYYY-MM-DD HH:MM:SS`
+ */
+function abuseChTime(value) {
+  if (!value) return null;
+  const date = new Date(`${String(value).trim().replace(" ", "T")}Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields with `""` escapes
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * URLhaus CSV dump: `#` comment header, then
+ * id,dateadded,url,url_status,last_online,threat,tags,urlhaus_link,reporter
+ */
+export function parseUrlhausCsv(text) {
+  return text
+    .split(/\r?\n/)
+    .filter((line) => line.trim() && !line.startsWith("#"))
+    .map(parseCsvLine)
+    .filter((fields) => fields.length >= 7 && fields[2])
+    .map(([id, dateAdded, url, urlStatus, lastOnline, threat, tags, urlhausLink, reporter]) => {
+      const tagList = tags ? tags.split(",").map((tag) => tag.trim()).filter(Boolean) : [];
+      return normalizeIndicator({
+        source: "urlhaus",
+        externalId: id,
+        type: "url",
+        value: url,
+        category: threat || null,
+        // URLhaus tags carry the malware family, e.g. "elf,Mozi"
+        malwareFamily: tagList.find((tag) => !/^(elf|exe|dll|doc|zip|32-bit|64-bit|arm|mips)$/i.test(tag)) || null,
+        confidence: urlStatus === "online" ? 90 : 60,
+        firstSeen: abuseChTime(dateAdded),
+        lastSeen: abuseChTime(lastOnline) || abuseChTime(dateAdded),
+        tags: [...tagList, threat],
+        context: { urlStatus, urlhausLink, reporter },
+      });
+    });
+}
+
+/**
+ * ThreatFox JSON export: an object keyed by IOC id, each holding a one-element array
+ */
+export function parseThreatFoxJson(text) {
+  const data = typeof text === "string" ? JSON.parse(text) : text;
+  return Object.entries(data || {}).flatMap(([id, entries]) =>
+    (Array.isArray(entries) ? entries : [entries])
+      .filter((entry) => entry?.ioc_value)
+      .map((entry) => normalizeIndicator({
+        source: "threatfox",
+        externalId: id,
+        type: entry.ioc_type,
+        value: entry.ioc_value,
+        category: entry.threat_type || null,
+        malwareFamily: entry.malware_printable || entry.malware || null,
+        confidence: entry.confidence_level ?? null,
+        firstSeen: abuseChTime(entry.first_seen_utc),
+        lastSeen: abuseChTime(entry.last_seen_utc) || abuseChTime(entry.first_seen_utc),
+        tags: [
+          ...(entry.tags ? String(entry.tags).split(",").map((tag) => tag.trim()) : []),
+          entry.threat_type,
+        ],
+        context: {
+          malware: entry.malware || null,
+          malwareAlias: entry.malware_alias || null,
+          reference: entry.reference || null,
+          reporter: entry.reporter || null,
+          // ip:port IOCs keep the port here; the value is the address
+          port: /^ip:port$/i.test(entry.ioc_type || "") ? entry.ioc_value.split(":").pop() : null,
+        },
+      }))
+  );
+}
+
+/**
+ * Feodo Tracker botnet C2 IP blocklist (JSON)
+ */
+export function parseFeodoBlocklist(text) {
+  const data = typeof text === "string" ? JSON.parse(text) : text;
+  if (!Array.isArray(data)) throw new Error("Invalid Feodo Tracker blocklist: expected an array");
+
+  return data
+    .filter((entry) => entry?.ip_address)
+    .map((entry) => normalizeIndicator({
+      source: "feodotracker",
+      externalId: `${entry.ip_address}:${entry.port ?? ""}`,
+      type: "ipv4-addr",
+      value: entry.ip_address,
+      category: "botnet_cc",
+      malwareFamily: entry.malware || null,
+      confidence: entry.status === "online" ? 100 : 75,
+      firstSeen: abuseChTime(entry.first_seen),
+      lastSeen: abuseChTime(entry.last_online) || abuseChTime(entry.first_seen),
+      tags: [entry.malware, "botnet_cc"],
+      context: {
+        port: entry.port ?? null,
+        status: entry.status || null,
+        hostname: entry.hostname || null,
+        asNumber: entry.as_number ?? null,
+        asName: entry.as_name || null,
+        country: entry.country || null,
+      },
+    }));
+}
+
+/**
+ * Ingest one abuse.ch feed. When `payloadText` is given (an uploaded copy of
+ * the dump) it is used instead of downloading the feed.
+ */
+export async function fetchAbuseChFeed(env, feedId, { payloadText } = {}) {
+  const feed = abuseChFeeds[feedId];
+  if (!feed) {
+    return { error: `Unknown abuse.ch feed: ${feedId}` };
+  }
+
+  console.log(`[abuse.ch] Starting ${feedId} ingestion`);
+  const startTime = Date.now();
+  const d1 = env.THREAT_INTEL_DB;
+  const fetchTime = new Date().toISOString();
+  let response = null;
+
+  if (!payloadText) {
+    const metadata = await getFetchMetadata(d1, feedId);
+    const headers = {};
+    if (metadata?.http_etag) headers["If-None-Match"] = metadata.http_etag;
+    if (metadata?.http_last_modified) headers["If-Modified-Since"] = metadata.http_last_modified;
+    if (env.ABUSECH_AUTH_KEY) headers["Auth-Key"] = env.ABUSECH_AUTH_KEY;
+
+    try {
+      response = await fetchWithRetry(feed.url, { headers }, { timeoutMs: 60 * 1000 });
+    } catch (error) {
+      console.error(`[abuse.ch] ${feedId} download failed:`, error);
+      await recordFetchError(d1, feedId, error);
+      return { error: `${feedId} download failed: ${error.message}`, retryable: error.retryable };
+    }
+    if (response.status === 304) {
+      // Unchanged snapshot: entries stay active, nothing to expire
+      console.log(`[abuse.ch] ${feedId} not modified`);
+      await updateFetchMetadata(d1, feedId, fetchTime, 0);
+      return { feed: feedId, notModified: true, indicators: 0 };
+    }
+    payloadText = await response.text();
+  }
+
+  const indicators = feed.parse(payloadText);
+  console.log(`[abuse.ch] Parsed ${indicators.length} ${feedId} indicators`);
+  if (!indicators.length && feed.snapshot) {
+    // Never let an empty download expire the whole feed
+    return { error: `${feedId} feed contains no entries` };
+  }
+
+  const { stored, failed } = await storeIndicators(d1, indicators, fetchTime);
+
+  // A partially stored snapshot cannot tell dropped entries from failed ones
+  let expired = 0;
+  if (feed.snapshot && !failed) {
+    expired = await retireIndicators(d1, feedId, fetchTime, indicatorStatus.expired);
+  } else if (!feed.snapshot) {
+    const cutoff = new Date(Date.parse(fetchTime) - feed.expireAfterDays * dayMs).toISOString();
+    expired = await retireIndicators(d1, feedId, cutoff, indicatorStatus.expired);
+  }
+
+  await updateFetchMetadata(d1, feedId, fetchTime, 0, stored);
+  if (response) {
+    await saveHttpValidators(d1, feedId, response.headers.get("ETag"), response.headers.get("Last-Modified"));
+  }
+
+  const result = {
+    feed: feedId,
+    indicators: stored,
+    failed,
+    expired,
+    totalExecutionTime: `${Date.now() - startTime}ms`,
+  };
+  console.log(`[abuse.ch] ${feedId} ingestion complete:`, result);
+  return result;
+}
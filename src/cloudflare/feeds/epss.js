@@ -0,0 +1,132 @@
+import { getFetchMetadata, updateFetchMetadata, saveSyncCursor, recordFetchError } from "../d1-adapter.js";
+import { fetchWithRetry } from "../../utils/http.js";
+
+const epssScoresUrl = "https://epss.cyentia.com/epss_scores-current.csv.gz";
+const source = "epss";
+const chunkSize = 10000; // rows bound as one JSON parameter per statement
+
+/**
+ * Parse the FIRST EPSS daily CSV:
+ *   #model_version:v2025.03.14,score_date:2025-10-19T00:00:00+0000
+ *   cve,epss,percentile
+ *   CVE-1999-0001,0.01141,0.77909
+ */
+export function parseEpssCsv(text) {
+  let scoreDate = null;
+  let modelVersion = null;
+  const rows = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line) continue;
+    if (line.startsWith("#")) {
+      modelVersion = line.match(/model_version:([^,]+)/)?.[1] || modelVersion;
+      scoreDate = line.match(/score_date:(\d{4}-\d{2}-\d{2})/)?.[1] || scoreDate;
+      continue;
+    }
+
+    const [cve, epss, percentile] = line.split(",");
+    if (!/^CVE-\d{4}-\d{4,}$/i.test(cve)) continue; // header row
+    const score = Number(epss);
+    const rank = Number(percentile);
+    if (Number.isNaN(score) || Number.isNaN(rank)) continue;
+    rows.push([cve.toUpperCase(), score, rank]);
+  }
+
+  return { modelVersion, scoreDate, rows };
+}
+
+/**
+ * Decode an EPSS payload, gunzipping it when it starts with the gzip magic bytes
+ */
+async function decodeEpssPayload(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) {
+    return new TextDecoder().decode(bytes);
+  }
+  const stream = new Response(bytes).body.pipeThrough(new DecompressionStream("gzip"));
+  return await new Response(stream).text();
+}
+
+/**
+ * Import EPSS scores. When `payload` is given (an uploaded copy of the daily
+ * CSV, gzipped or not) it is used instead of downloading from FIRST.
+ * A score date that was already imported is skipped unless `force` is set.
+ */
+export async function fetchEpssScores(env, { payload, force = false } = {}) {
+  console.log('[EPSS] Starting EPSS import');
+  const startTime = Date.now();
+  const d1 = env.THREAT_INTEL_DB;
+
+  if (!payload) {
+    console.log('[EPSS] Downloading daily scores');
+    try {
+      const response = await fetchWithRetry(epssScoresUrl, {}, { timeoutMs: 120 * 1000 });
+      payload = await response.arrayBuffer();
+    } catch (error) {
+      console.error('[EPSS] Download failed:', error);
+      await recordFetchError(d1, source, error);
+      return { error: `EPSS download failed: ${error.message}`, retryable: error.retryable };
+    }
+  }
+
+  const { modelVersion, scoreDate: parsedDate, rows } = parseEpssCsv(await decodeEpssPayload(payload));
+  const scoreDate = parsedDate || new Date().toISOString().slice(0, 10);
+  console.log(`[EPSS] Parsed ${rows.length} scores for ${scoreDate} (model ${modelVersion})`);
+
+  if (!rows.length) {
+    return { error: "EPSS file contains no scores" };
+  }
+
+  const metadata = await getFetchMetadata(d1, source);
+  if (!force && metadata?.high_water_mark === scoreDate) {
+    console.log(`[EPSS] Scores for ${scoreDate} already imported`);
+    return { scoreDate, modelVersion, totalScores: rows.length, skipped: true };
+  }
+
+  // History is kept only for CVEs we track, the current score goes on the CVE row
+  const historyStmt = d1.prepare(`
+    INSERT INTO epss_history (cve_id, score_date, epss, percentile)
+    SELECT json_extract(j.value, '$[0]'), ?, json_extract(j.value, '$[1]'), json_extract(j.value, '$[2]')
+    FROM json_each(?) AS j
+    WHERE json_extract(j.value, '$[0]') IN (SELECT cve_id FROM vulnerabilities)
+    ON CONFLICT(cve_id, score_date) DO UPDATE SET
+      epss = excluded.epss,
+      percentile = excluded.percentile
+  `);
+
+  const currentStmt = d1.prepare(`
+    UPDATE vulnerabilities
+    SET epss_score = json_extract(j.value, '$[1]'),
+      epss_percentile = json_extract(j.value, '$[2]'),
+      epss_date = ?
+    FROM json_each(?) AS j
+    WHERE vulnerabilities.cve_id = json_extract(j.value, '$[0]')
+  `);
+
+  let historyRows = 0;
+  let updatedCves = 0;
+  for (let i = 0; i < rows.length; i += chunkSize) {
+    const chunk = JSON.stringify(rows.slice(i, i + chunkSize));
+    const [history, current] = await d1.batch([
+      historyStmt.bind(scoreDate, chunk),
+      currentStmt.bind(scoreDate, chunk),
+    ]);
+    historyRows += history.meta?.changes || 0;
+    updatedCves += current.meta?.changes || 0;
+    console.log(`[EPSS] Stored chunk ${Math.floor(i / chunkSize) + 1}/${Math.ceil(rows.length / chunkSize)}`);
+  }
+
+  await updateFetchMetadata(d1, source, new Date().toISOString(), 0, rows.length);
+  await saveSyncCursor(d1, source, { highWaterMark: scoreDate, windowStart: null, windowEnd: null });
+
+  const result = {
+    scoreDate,
+    modelVersion,
+    totalScores: rows.length,
+    updatedCves,
+    historyRows,
+    totalExecutionTime: `${Date.now() - startTime}ms`,
+  };
+  console.log('[EPSS] Import complete:', result);
+  return result;
+}
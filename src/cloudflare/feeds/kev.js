@@ -0,0 +1,152 @@
+import { updateFetchMetadata, recordFetchError } from "../d1-adapter.js";
+import { fetchWithRetry } from "../../utils/http.js";
+
+const kevCatalogUrl =
+  "https://www.cisa.gov/sites/default/files/feeds/known_exploited_vulnerabilities.json";
+const source = "kev";
+const batchSize = 100;
+
+/**
+ * A catalog that is not JSON or lacks the vulnerabilities array
+ */
+export class KevCatalogError extends Error {
+  constructor(message) {
+    super(`Invalid KEV catalog: ${message}`);
+    this.name = "KevCatalogError";
+  }
+}
+
+/**
+ * Parse the CISA Known Exploited Vulnerabilities catalog.
+ * Accepts the raw JSON text (e.g. a saved copy of the catalog) or the parsed object.
+ */
+export function parseKevCatalog(catalog) {
+  let data = catalog;
+  if (typeof catalog === "string") {
+    try {
+      data = JSON.parse(catalog);
+    } catch (error) {
+      throw new KevCatalogError(`not JSON (${error.message})`);
+    }
+  }
+  if (!Array.isArray(data?.vulnerabilities)) {
+    throw new KevCatalogError("missing vulnerabilities array");
+  }
+
+  const entries = data.vulnerabilities
+    .filter((entry) => /^CVE-\d{4}-\d{4,}$/i.test(entry.cveID || ""))
+    .map((entry) => ({
+      cveId: entry.cveID.toUpperCase(),
+      vendorProject: entry.vendorProject || null,
+      product: entry.product || null,
+      vulnerabilityName: entry.vulnerabilityName || null,
+      shortDescription: entry.shortDescription || null,
+      requiredAction: entry.requiredAction || null,
+      dateAdded: entry.dateAdded || null,
+      dueDate: entry.dueDate || null,
+      knownRansomwareCampaignUse: entry.knownRansomwareCampaignUse || "Unknown",
+      notes: entry.notes || null,
+      cwes: JSON.stringify(entry.cwes || []),
+    }));
+
+  return {
+    catalogVersion: data.catalogVersion || null,
+    dateReleased: data.dateReleased || null,
+    entries,
+  };
+}
+
+/**
+ * Ingest the KEV catalog. When `catalogText` is given (an uploaded copy of
+ * the catalog) it is used instead of downloading from CISA.
+ */
+export async function fetchKevCatalog(env, { catalogText } = {}) {
+  console.log('[KEV] Starting KEV catalog ingestion');
+  const startTime = Date.now();
+  const d1 = env.THREAT_INTEL_DB;
+
+  if (!catalogText) {
+    console.log('[KEV] Downloading catalog from CISA');
+    try {
+      const response = await fetchWithRetry(kevCatalogUrl, { headers: { Accept: "application/json" } });
+      catalogText = await response.text();
+    } catch (error) {
+      console.error('[KEV] Catalog download failed:', error);
+      await recordFetchError(d1, source, error);
+      return { error: `KEV download failed: ${error.message}`, retryable: error.retryable };
+    }
+  }
+
+  const catalog = parseKevCatalog(catalogText);
+  console.log(`[KEV] Parsed ${catalog.entries.length} entries (catalog ${catalog.catalogVersion})`);
+  if (!catalog.entries.length) {
+    // Never let an empty download wipe the stored catalog
+    return { error: "KEV catalog contains no entries" };
+  }
+
+  const syncedAt = new Date().toISOString();
+  await storeKevEntries(d1, catalog.entries, catalog.catalogVersion, syncedAt);
+
+  // Entries CISA removed from the catalog are no longer known exploited
+  const removed = await d1.prepare(`
+    DELETE FROM kev_entries WHERE synced_at < ?
+  `).bind(syncedAt).run();
+
+  await updateFetchMetadata(d1, source, syncedAt, 0, catalog.entries.length);
+
+  const result = {
+    catalogVersion: catalog.catalogVersion,
+    dateReleased: catalog.dateReleased,
+    totalEntries: catalog.entries.length,
+    removedEntries: removed.meta?.changes || 0,
+    totalExecutionTime: `${Date.now() - startTime}ms`,
+  };
+  console.log('[KEV] Ingestion complete:', result);
+  return result;
+}
+
+/**
+ * Upsert KEV entries in batches
+ */
+async function storeKevEntries(d1, entries, catalogVersion, syncedAt) {
+  const stmt = d1.prepare(`
+    INSERT INTO kev_entries (
+      cve_id, vendor_project, product, vulnerability_name,
+      short_description, required_action, date_added, due_date,
+      known_ransomware_campaign_use, notes, cwes, catalog_version, synced_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(cve_id) DO UPDATE SET
+      vendor_project = excluded.vendor_project,
+      product = excluded.product,
+      vulnerability_name = excluded.vulnerability_name,
+      short_description = excluded.short_description,
+      required_action = excluded.required_action,
+      date_added = excluded.date_added,
+      due_date = excluded.due_date,
+      known_ransomware_campaign_use = excluded.known_ransomware_campaign_use,
+      notes = excluded.notes,
+      cwes = excluded.cwes,
+      catalog_version = excluded.catalog_version,
+      synced_at = excluded.synced_at
+  `);
+
+  for (let i = 0; i < entries.length; i += batchSize) {
+    const batch = entries.slice(i, i + batchSize);
+    await d1.batch(batch.map((entry) => stmt.bind(
+      entry.cveId,
+      entry.vendorProject,
+      entry.product,
+      entry.vulnerabilityName,
+      entry.shortDescription,
+      entry.requiredAction,
+      entry.dateAdded,
+      entry.dueDate,
+      entry.knownRansomwareCampaignUse,
+      entry.notes,
+      entry.cwes,
+      catalogVersion,
+      syncedAt
+    )));
+    console.log(`[KEV] Stored batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(entries.length / batchSize)}`);
+  }
+}
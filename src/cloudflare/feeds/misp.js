@@ -0,0 +1,269 @@
+import {
+  getFetchMetadata,
+  updateFetchMetadata,
+  saveSyncCursor,
+  storeIndicators,
+  retireIndicators,
+  storeThreatObjects,
+  recordFetchError,
+} from "../d1-adapter.js";
+import { normalizeIndicator, indicatorStatus } from "../../core/threat.js";
+import { fetchWithRetry } from "../../utils/http.js";
+
+const source = "misp";
+const defaultMispUrl = "https://simp.xsight.network";
+const pageSize = 50; // events per page, each can carry thousands of attributes
+const initialLookbackDays = 30;
+
+// Galaxy types whose clusters name a malware family
+const malwareGalaxyTypes = new Set([
+  "malpedia", "mitre-malware", "mitre-tool", "android", "banker",
+  "botnet", "ransomware", "rat", "stealer", "tool", "backdoor",
+]);
+
+const toEpoch = (iso) => Math.floor(Date.parse(iso) / 1000);
+const fromEpoch = (seconds) => (seconds ? new Date(Number(seconds) * 1000).toISOString() : null);
+const tagNames = (tags) => (tags || []).map((tag) => tag.name).filter(Boolean);
+
+/**
+ * Map one MISP event onto the event row, its objects, its attributes as
+ * indicators and its galaxy clusters as threat objects
+ */
+export function mapMispEvent(event) {
+  const eventTags = tagNames(event.Tag);
+  const clusters = (event.Galaxy || []).flatMap((galaxy) =>
+    (galaxy.GalaxyCluster || []).map((cluster) => ({
+      ...cluster,
+      galaxyType: cluster.type || galaxy.type,
+    }))
+  );
+  const malwareFamily = clusters.find((cluster) => malwareGalaxyTypes.has(cluster.galaxyType))?.value || null;
+
+  const toIndicator = (attribute, object = null) => normalizeIndicator({
+    source,
+    externalId: attribute.uuid,
+    type: attribute.type,
+    value: attribute.value,
+    category: attribute.category || null,
+    malwareFamily,
+    firstSeen: attribute.first_seen || fromEpoch(attribute.timestamp),
+    lastSeen: attribute.last_seen || fromEpoch(attribute.timestamp),
+    toIds: attribute.to_ids,
+    // Deleted attributes and ones no longer flagged for IDS stop being active
+    status: attribute.deleted || object?.deleted || !attribute.to_ids
+      ? indicatorStatus.withdrawn
+      : indicatorStatus.active,
+    tags: [...eventTags, ...tagNames(attribute.Tag)],
+    comment: attribute.comment || null,
+    eventRef: event.uuid,
+    objectRef: object?.uuid || null,
+    context: { mispType: attribute.type, eventId: event.id, objectName: object?.name },
+  });
+
+  const indicators = [
+    ...(event.Attribute || []).map((attribute) => toIndicator(attribute)),
+    ...(event.Object || []).flatMap((object) =>
+      (object.Attribute || []).map((attribute) => toIndicator(attribute, object))
+    ),
+  ].filter((indicator) => indicator.externalId && indicator.value);
+
+  const threatObjects = clusters.map((cluster) => ({
+    id: `misp-galaxy--${cluster.uuid}`,
+    source,
+    type: malwareGalaxyTypes.has(cluster.galaxyType) ? "malware" : cluster.galaxyType,
+    name: cluster.value,
+    description: cluster.description || null,
+    aliases: cluster.meta?.synonyms || [],
+    context: { galaxyType: cluster.galaxyType, tagName: cluster.tag_name },
+  }));
+
+  return {
+    event: {
+      uuid: event.uuid,
+      eventId: event.id,
+      info: event.info || null,
+      org: event.Org?.name || null,
+      orgc: event.Orgc?.name || null,
+      threatLevelId: Number(event.threat_level_id) || null,
+      analysis: Number(event.analysis) || 0,
+      distribution: Number(event.distribution) || 0,
+      eventDate: event.date || null,
+      published: event.published ? 1 : 0,
+      timestamp: Number(event.timestamp) || null,
+      tags: JSON.stringify(eventTags),
+    },
+    objects: (event.Object || []).map((object) => ({
+      uuid: object.uuid,
+      name: object.name || null,
+      metaCategory: object["meta-category"] || null,
+      comment: object.comment || null,
+      timestamp: Number(object.timestamp) || null,
+      deleted: object.deleted ? 1 : 0,
+    })),
+    indicators,
+    threatObjects,
+    relationships: threatObjects.map((object) => ({
+      sourceRef: `misp-event--${event.uuid}`,
+      relationshipType: "related-to",
+      targetRef: object.id,
+      source,
+    })),
+  };
+}
+
+/**
+ * Fetch one page of MISP events changed inside a frozen timestamp window.
+ * Like the NVD sync, the window only advances once every page was read.
+ */
+export async function fetchMispEventsChunk(env) {
+  console.log('[MISP] Starting to fetch MISP events chunk');
+  const startTime = Date.now();
+  const d1 = env.THREAT_INTEL_DB;
+
+  const metadata = await getFetchMetadata(d1, source);
+  let {
+    next_start_index = 0,
+    high_water_mark = null,
+    window_start = null,
+    window_end = null,
+  } = metadata || {};
+
+  if (!window_start || !window_end) {
+    window_start = high_water_mark ||
+      new Date(Date.now() - initialLookbackDays * 24 * 60 * 60 * 1000).toISOString();
+    window_end = new Date().toISOString();
+    next_start_index = 0;
+  }
+  const page = next_start_index + 1; // MISP pages are 1-based
+
+  console.log(`[MISP] Fetching events changed from ${window_start} to ${window_end}, page ${page}`);
+
+  const headers = {
+    Accept: "application/json",
+    "Content-Type": "application/json",
+    Authorization: env.MISP_API_KEY,
+  };
+  if (env.CF_ACCESS_CLIENT_ID && env.CF_ACCESS_SERVICE_TOKEN) {
+    headers["CF-Access-Client-Id"] = env.CF_ACCESS_CLIENT_ID;
+    headers["CF-Access-Client-Secret"] = env.CF_ACCESS_SERVICE_TOKEN;
+  }
+
+  let response;
+  try {
+    response = await fetchWithRetry(`${env.MISP_URL || defaultMispUrl}/events/restSearch`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        returnFormat: "json",
+        timestamp: [toEpoch(window_start), toEpoch(window_end)],
+        limit: pageSize,
+        page,
+        deleted: [0, 1], // include soft-deleted attributes so they can be withdrawn
+        includeEventTags: 1,
+      }),
+    }, { timeoutMs: 60 * 1000 });
+  } catch (error) {
+    console.error('[MISP] API request failed:', error);
+    await recordFetchError(d1, source, error);
+    return { error: `MISP API request failed: ${error.message}`, retryable: error.retryable, page };
+  }
+
+  const data = await response.json();
+  const events = (Array.isArray(data.response) ? data.response : [].concat(data.response || []))
+    .map((entry) => entry.Event || entry)
+    .filter((event) => event?.uuid);
+  console.log(`[MISP] Retrieved ${events.length} events`);
+
+  const syncedAt = new Date().toISOString();
+  const mapped = events.map(mapMispEvent);
+  const stored = await storeMispEvents(d1, mapped, syncedAt);
+
+  const windowComplete = events.length < pageSize;
+  const cursor = windowComplete
+    ? { highWaterMark: window_end, windowStart: null, windowEnd: null }
+    : { highWaterMark: high_water_mark, windowStart: window_start, windowEnd: window_end };
+  await updateFetchMetadata(d1, source, syncedAt, windowComplete ? 0 : page, stored.indicators);
+  await saveSyncCursor(d1, source, cursor);
+
+  const result = {
+    events: events.length,
+    indicators: stored.indicators,
+    failedIndicators: stored.failedIndicators,
+    threatObjects: stored.threatObjects,
+    withdrawnIndicators: stored.withdrawnIndicators,
+    page,
+    hasMore: !windowComplete,
+    dateRange: { from: window_start, to: window_end },
+    highWaterMark: cursor.highWaterMark,
+    totalExecutionTime: `${Date.now() - startTime}ms`,
+  };
+  console.log('[MISP] Chunk processing complete:', result);
+  return result;
+}
+
+/**
+ * Store mapped events, their objects, indicators and galaxy clusters
+ */
+async function storeMispEvents(d1, mapped, syncedAt) {
+  const eventStmt = d1.prepare(`
+    INSERT INTO misp_events (
+      uuid, event_id, info, org, orgc, threat_level_id, analysis,
+      distribution, event_date, published, timestamp, tags, synced_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(uuid) DO UPDATE SET
+      info = excluded.info,
+      org = excluded.org,
+      orgc = excluded.orgc,
+      threat_level_id = excluded.threat_level_id,
+      analysis = excluded.analysis,
+      distribution = excluded.distribution,
+      event_date = excluded.event_date,
+      published = excluded.published,
+      timestamp = excluded.timestamp,
+      tags = excluded.tags,
+      synced_at = excluded.synced_at
+  `);
+
+  const objectStmt = d1.prepare(`
+    INSERT INTO misp_objects (uuid, event_uuid, name, meta_category, comment, timestamp, deleted, synced_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(uuid) DO UPDATE SET
+      name = excluded.name,
+      meta_category = excluded.meta_category,
+      comment = excluded.comment,
+      timestamp = excluded.timestamp,
+      deleted = excluded.deleted,
+      synced_at = excluded.synced_at
+  `);
+
+  const totals = { indicators: 0, failedIndicators: 0, withdrawnIndicators: 0, threatObjects: 0 };
+  for (const { event, objects, indicators, threatObjects, relationships } of mapped) {
+    await d1.batch([
+      eventStmt.bind(
+        event.uuid, event.eventId, event.info, event.org, event.orgc,
+        event.threatLevelId, event.analysis, event.distribution, event.eventDate,
+        event.published, event.timestamp, event.tags, syncedAt
+      ),
+      ...objects.map((object) => objectStmt.bind(
+        object.uuid, event.uuid, object.name, object.metaCategory,
+        object.comment, object.timestamp, object.deleted, syncedAt
+      )),
+    ]);
+
+    const { stored, failed } = await storeIndicators(d1, indicators, syncedAt);
+    totals.indicators += stored;
+    totals.failedIndicators += failed;
+
+    // Attributes missing from a fully re-synced event were hard-deleted in MISP
+    if (!failed) {
+      totals.withdrawnIndicators +=
+        await retireIndicators(d1, source, syncedAt, indicatorStatus.withdrawn, event.uuid);
+    }
+
+    if (threatObjects.length) {
+      await storeThreatObjects(d1, threatObjects, relationships, syncedAt);
+      totals.threatObjects += threatObjects.length;
+    }
+  }
+  return totals;
+}
@@ -0,0 +1,272 @@
+import { getFetchMetadata, updateFetchMetadata, saveSyncCursor, recordFetchError } from "../d1-adapter.js";
+import { isZip, readZipEntries } from "../../core/zip.js";
+import { fetchWithRetry } from "../../utils/http.js";
+
+const osvBucketUrl = "https://osv-vulnerabilities.storage.googleapis.com";
+const maxFilesPerInvocation = 40; // one subrequest per advisory file
+const batchSize = 25; // advisories per D1 transaction
+const maxFileAttempts = 3; // runs a file may fail transiently before it is skipped
+// metadata read, index download with retries, the files, their batches, the
+// attempts of a failing file and 2 metadata writes
+const ecosystemSubrequests = 4 + maxFilesPerInvocation + Math.ceil(maxFilesPerInvocation / batchSize) + 4;
+
+/**
+ * Flatten one OSV record (https://ossf.github.io/osv-schema/) into rows
+ */
+export function parseOsvRecord(record) {
+  if (!record?.id) return null;
+
+  return {
+    id: record.id,
+    summary: record.summary || null,
+    details: record.details || null,
+    published: record.published || null,
+    modified: record.modified || null,
+    withdrawn: record.withdrawn || null,
+    severity: JSON.stringify(record.severity || []),
+    refs: JSON.stringify(record.references || []),
+    aliases: [...new Set([...(record.aliases || []), ...(record.upstream || [])])],
+    affected: (record.affected || [])
+      .filter((affected) => affected.package?.name && affected.package?.ecosystem)
+      .map((affected) => ({
+        ecosystem: affected.package.ecosystem,
+        name: affected.package.name,
+        purl: affected.package.purl || null,
+        versions: JSON.stringify(affected.versions || []),
+        events: (affected.ranges || []).flatMap((range, rangeIndex) =>
+          (range.events || []).flatMap((event, eventIndex) =>
+            Object.entries(event).map(([eventType, version]) => ({
+              rangeIndex,
+              rangeType: range.type || "ECOSYSTEM",
+              repo: range.repo || null,
+              eventIndex,
+              eventType,
+              version: String(version),
+            }))
+          )
+        ),
+      })),
+  };
+}
+
+/**
+ * Decode an uploaded OSV payload: a ZIP export, one JSON record,
+ * a JSON array of records, or newline-delimited JSON records
+ */
+export async function readOsvPayload(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const records = [];
+
+  if (isZip(bytes)) {
+    const decoder = new TextDecoder();
+    for await (const entry of readZipEntries(bytes)) {
+      if (entry.name.endsWith(".json")) {
+        records.push(JSON.parse(decoder.decode(entry.bytes)));
+      }
+    }
+    return records;
+  }
+
+  const text = new TextDecoder().decode(bytes).trim();
+  if (text.startsWith("[")) return JSON.parse(text);
+  try {
+    return [JSON.parse(text)];
+  } catch {
+    return text.split(/\r?\n/).filter(Boolean).map((line) => JSON.parse(line));
+  }
+}
+
+/**
+ * Import uploaded OSV records (ZIP export or JSON)
+ */
+export async function importOsvPayload(env, buffer) {
+  console.log('[OSV] Importing uploaded OSV payload');
+  const startTime = Date.now();
+  const records = (await readOsvPayload(buffer)).map(parseOsvRecord).filter(Boolean);
+  const stored = await storeOsvAdvisories(env.THREAT_INTEL_DB, records);
+
+  const result = { ...stored, totalExecutionTime: `${Date.now() - startTime}ms` };
+  console.log('[OSV] Upload import complete:', result);
+  return result;
+}
+
+/**
+ * Estimated subrequests of syncing the ecosystems in OSV_ECOSYSTEMS once,
+ * for the orchestrator
+ */
+export function osvSubrequests(env) {
+  return JSON.parse(env.OSV_ECOSYSTEMS || "[]").length * ecosystemSubrequests;
+}
+
+/**
+ * Incrementally sync one ecosystem from the OSV bucket: its modified_id.csv
+ * lists every advisory file with its modified time, newest first. Files are
+ * processed oldest first; the cursor is the last modified time processed plus
+ * the number of files already processed at exactly that time.
+ *
+ * A file that cannot be downloaded or parsed is recorded in the run's
+ * ingest_errors. A transient failure stops the sync before the file and fails
+ * the run, until the file has failed `maxFileAttempts` runs; then it is
+ * skipped like a file that is missing or not an OSV record.
+ */
+export async function fetchOsvEcosystem(env, ecosystem, run = null) {
+  console.log(`[OSV] Syncing ecosystem ${ecosystem}`);
+  const startTime = Date.now();
+  const d1 = env.THREAT_INTEL_DB;
+  const source = `osv:${ecosystem}`;
+  const base = `${osvBucketUrl}/${encodeURIComponent(ecosystem)}`;
+
+  const metadata = await getFetchMetadata(d1, source);
+  const highWaterMark = metadata?.high_water_mark || "";
+  const doneAtMark = metadata?.next_start_index || 0;
+
+  let response;
+  try {
+    response = await fetchWithRetry(`${base}/modified_id.csv`, {}, { timeoutMs: 60 * 1000 });
+  } catch (error) {
+    await recordFetchError(d1, source, error);
+    return { error: `OSV index download failed: ${error.message}`, retryable: error.retryable, ecosystem };
+  }
+
+  const pending = (await response.text())
+    .split(/\r?\n/)
+    .map((line) => line.split(","))
+    .filter(([modified, id]) => modified && id && modified >= highWaterMark)
+    .sort(([a, idA], [b, idB]) => (a === b ? idA.localeCompare(idB) : a < b ? -1 : 1));
+
+  // Skip the files already processed at exactly the high-water mark
+  const todo = pending.slice(pending[0]?.[0] === highWaterMark ? doneAtMark : 0);
+  const batch = todo.slice(0, maxFilesPerInvocation);
+
+  const records = [];
+  const skipped = [];
+  let stalled = null;
+  for (const [, id] of batch) {
+    try {
+      const file = await fetchWithRetry(`${base}/${encodeURIComponent(id)}.json`);
+      const record = parseOsvRecord(await file.json());
+      if (!record) throw new Error("not an OSV record");
+      records.push(record);
+    } catch (error) {
+      console.error(`[OSV] Failed to download ${id}:`, error);
+      await recordFetchError(d1, source, error);
+
+      const itemId = `${ecosystem}/${id}`;
+      if (error.retryable && (await failedAttempts(d1, itemId)) + 1 < maxFileAttempts) {
+        run?.errors.push({ itemId, error: error.message, code: "download_failed" });
+        stalled = { id, error: error.message };
+        break; // keep the cursor before the failed file
+      }
+      run?.errors.push({ itemId, error: error.message, code: "skipped" });
+      skipped.push(id);
+      records.push(null); // processed: the cursor moves past it
+    }
+  }
+
+  const stored = await storeOsvAdvisories(d1, records.filter(Boolean));
+
+  const processed = batch.slice(0, records.length);
+  const lastModified = processed.length ? processed[processed.length - 1][0] : highWaterMark;
+  const atMark = processed.filter(([modified]) => modified === lastModified).length;
+  const nextIndex = lastModified === highWaterMark ? doneAtMark + atMark : atMark;
+
+  await updateFetchMetadata(d1, source, new Date().toISOString(), nextIndex, stored.advisories);
+  await saveSyncCursor(d1, source, { highWaterMark: lastModified || null, windowStart: null, windowEnd: null });
+
+  const result = {
+    ecosystem,
+    ...stored,
+    skipped,
+    ...(stalled && {
+      error: `OSV download of ${stalled.id} failed: ${stalled.error}`,
+      retryable: true,
+      stalled: stalled.id,
+    }),
+    remaining: todo.length - processed.length,
+    hasMore: todo.length > processed.length,
+    highWaterMark: lastModified,
+    totalExecutionTime: `${Date.now() - startTime}ms`,
+  };
+  console.log('[OSV] Ecosystem sync complete:', result);
+  return result;
+}
+
+/**
+ * Runs in which an advisory file failed to download without being skipped
+ */
+async function failedAttempts(d1, itemId) {
+  const row = await d1.prepare(`
+    SELECT COUNT(*) AS attempts FROM ingest_errors WHERE item_id = ? AND code = 'download_failed'
+  `).bind(itemId).first();
+  return row?.attempts || 0;
+}
+
+/**
+ * Upsert advisories and replace their aliases, affected packages and range events
+ */
+async function storeOsvAdvisories(d1, records) {
+  const advisoryStmt = d1.prepare(`
+    INSERT INTO osv_advisories (id, summary, details, published, modified, withdrawn, severity, refs, synced_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      summary = excluded.summary,
+      details = excluded.details,
+      published = excluded.published,
+      modified = excluded.modified,
+      withdrawn = excluded.withdrawn,
+      severity = excluded.severity,
+      refs = excluded.refs,
+      synced_at = excluded.synced_at
+  `);
+  const deleteAliasesStmt = d1.prepare(`DELETE FROM osv_aliases WHERE osv_id = ?`);
+  const aliasStmt = d1.prepare(`INSERT OR IGNORE INTO osv_aliases (osv_id, alias) VALUES (?, ?)`);
+  const deleteAffectedStmt = d1.prepare(`DELETE FROM osv_affected WHERE osv_id = ?`);
+  const affectedStmt = d1.prepare(`
+    INSERT INTO osv_affected (osv_id, affected_index, ecosystem, name, purl, versions)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const eventStmt = d1.prepare(`
+    INSERT OR IGNORE INTO osv_range_events (
+      affected_id, range_index, range_type, repo, event_index, event_type, version
+    )
+    SELECT id, ?, ?, ?, ?, ?, ? FROM osv_affected WHERE osv_id = ? AND affected_index = ?
+  `);
+
+  const syncedAt = new Date().toISOString();
+  let advisories = 0;
+  let failed = 0;
+
+  for (let i = 0; i < records.length; i += batchSize) {
+    const batch = records.slice(i, i + batchSize);
+    const statements = batch.flatMap((record) => [
+      advisoryStmt.bind(
+        record.id, record.summary, record.details, record.published,
+        record.modified, record.withdrawn, record.severity, record.refs, syncedAt
+      ),
+      deleteAliasesStmt.bind(record.id),
+      ...record.aliases.map((alias) => aliasStmt.bind(record.id, alias)),
+      deleteAffectedStmt.bind(record.id),
+      ...record.affected.flatMap((affected, index) => [
+        affectedStmt.bind(record.id, index, affected.ecosystem, affected.name, affected.purl, affected.versions),
+        ...affected.events.map((event) => eventStmt.bind(
+          event.rangeIndex, event.rangeType, event.repo, event.eventIndex,
+          event.eventType, event.version, record.id, index
+        )),
+      ]),
+    ]);
+
+    try {
+      await d1.batch(statements);
+      advisories += batch.length;
+    } catch (error) {
+      failed += batch.length;
+      console.error('[OSV] Failed to store advisory batch:', {
+        error: error.message,
+        firstId: batch[0]?.id,
+        size: batch.length,
+      });
+    }
+  }
+
+  return { advisories, failed };
+}
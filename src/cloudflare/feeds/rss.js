@@ -0,0 +1,235 @@
+import { getFetchMetadata, updateFetchMetadata, saveHttpValidators, recordFetchError } from "../d1-adapter.js";
+import { fetchWithRetry } from "../../utils/http.js";
+
+/**
+ * Default advisory feeds. Override with the RSS_FEEDS variable, a JSON array
+ * of { id, url, auth? }; feeds with `auth: true` are sent RSS_API_KEY and
+ * RSS_API_SECRET as HTTP basic credentials.
+ */
+const defaultRssFeeds = [
+  { id: "cisa-advisories", url: "https://www.cisa.gov/cybersecurity-advisories/all.xml" },
+  { id: "msrc", url: "https://api.msrc.microsoft.com/update-guide/rss" },
+  { id: "cisco-psirt", url: "https://sec.cloudapps.cisco.com/security/center/psirtrss20/CiscoSecurityAdvisory.xml" },
+  { id: "ubuntu-usn", url: "https://ubuntu.com/security/notices/rss.xml" },
+  { id: "bleepingcomputer", url: "https://www.bleepingcomputer.com/feed/" },
+];
+
+const advisoryBatchSize = 25; // advisories per D1 transaction
+const feedSubrequests = 11; // metadata read, up to 4 fetch attempts, ~3 batches, 3 metadata writes
+
+const cvePattern = /\bCVE-\d{4}-\d{4,}\b/gi;
+const ghsaPattern = /\bGHSA(?:-[23456789cfghjmpqrvwx]{4}){3}\b/gi;
+// "... in Apache Tomcat before 9.0.80", "affects Cisco IOS XE versions ..."
+const productPattern =
+  /\b(?:[Ii]n|[Ff]or|[Aa]ffect(?:s|ing)|[Ii]mpacting)\s+((?:[A-Z][\w.+-]*)(?:\s+[A-Z][\w.+-]*){0,3})\s+(?:versions?|before|prior to|through|up to|<=?|v?\d)/g;
+
+const entities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+/**
+ * Decode CDATA sections and XML/HTML entities, strip markup
+ */
+function cleanText(raw) {
+  if (!raw) return "";
+  return raw
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, code) => {
+      if (code[0] === "#") {
+        const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isNaN(point) ? match : String.fromCodePoint(point);
+      }
+      return entities[code.toLowerCase()] ?? match;
+    })
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Text content of the first matching child element, e.g. `<title>`
+ */
+function elementText(xml, ...names) {
+  for (const name of names) {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, "i"));
+    if (match) return cleanText(match[1]);
+  }
+  return "";
+}
+
+/**
+ * Atom `<link href>` (preferring rel="alternate") or RSS `<link>` text
+ */
+function entryLink(xml) {
+  const links = [...xml.matchAll(/<link\b([^>]*?)\/?>/gi)].map((match) => match[1]);
+  const alternate = links.find((attrs) => /href=/.test(attrs) && (!/rel=/.test(attrs) || /rel=["']alternate["']/.test(attrs)));
+  const href = (alternate || links.find((attrs) => /href=/.test(attrs)))?.match(/href=["']([^"']+)["']/)?.[1];
+  return href ? cleanText(href) : elementText(xml, "link");
+}
+
+/**
+ * Parse RSS 2.0 `<item>` or Atom `<entry>` elements into advisories
+ */
+export function parseFeed(xml) {
+  const blocks = [...xml.matchAll(/<(item|entry)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/gi)].map((match) => match[2]);
+
+  return blocks.map((block) => {
+    const title = elementText(block, "title");
+    const link = entryLink(block);
+    const summary = elementText(block, "description", "summary", "content", "content:encoded");
+    const dateText = elementText(block, "pubDate", "published", "updated", "dc:date");
+    const published = dateText && !Number.isNaN(Date.parse(dateText))
+      ? new Date(dateText).toISOString()
+      : null;
+
+    return {
+      guid: elementText(block, "guid", "id") || link || title,
+      title,
+      link: link || null,
+      published,
+      summary: summary.slice(0, 4000),
+      ...extractIdentifiers(`${title} ${summary}`),
+    };
+  }).filter((advisory) => advisory.guid && advisory.title);
+}
+
+/**
+ * CVE IDs, GHSA IDs and product names mentioned in advisory text
+ */
+export function extractIdentifiers(text) {
+  const unique = (values) => [...new Set(values)];
+  return {
+    cveIds: unique((text.match(cvePattern) || []).map((id) => id.toUpperCase())),
+    ghsaIds: unique((text.match(ghsaPattern) || []).map((id) => `GHSA${id.slice(4).toLowerCase()}`)),
+    products: unique([...text.matchAll(productPattern)].map((match) => match[1].trim())).slice(0, 10),
+  };
+}
+
+/**
+ * Configured feeds, from RSS_FEEDS when set
+ */
+function getRssFeeds(env) {
+  if (!env.RSS_FEEDS) return defaultRssFeeds;
+  try {
+    return JSON.parse(env.RSS_FEEDS);
+  } catch (error) {
+    console.error('[RSS] Invalid RSS_FEEDS, using defaults:', error.message);
+    return defaultRssFeeds;
+  }
+}
+
+/**
+ * Estimated subrequests of one fetchRssFeeds run, for the orchestrator
+ */
+export function rssSubrequests(env) {
+  return getRssFeeds(env).length * feedSubrequests;
+}
+
+/**
+ * Fetch every configured feed conditionally and store new or changed advisories
+ */
+export async function fetchRssFeeds(env) {
+  console.log('[RSS] Starting advisory feed ingestion');
+  const startTime = Date.now();
+  const feeds = getRssFeeds(env);
+  const results = [];
+
+  for (const feed of feeds) {
+    try {
+      results.push(await fetchRssFeed(env, feed));
+    } catch (error) {
+      console.error(`[RSS] Feed ${feed.id} failed:`, error);
+      await recordFetchError(env.THREAT_INTEL_DB, `rss:${feed.id}`, error);
+      results.push({ feed: feed.id, error: error.message, retryable: error.retryable });
+    }
+  }
+
+  const result = {
+    feeds: results,
+    advisories: results.reduce((sum, feed) => sum + (feed.advisories || 0), 0),
+    totalExecutionTime: `${Date.now() - startTime}ms`,
+  };
+  console.log('[RSS] Ingestion complete:', result);
+  return result;
+}
+
+/**
+ * Fetch one feed using its stored ETag / Last-Modified validators
+ */
+async function fetchRssFeed(env, feed) {
+  const d1 = env.THREAT_INTEL_DB;
+  const source = `rss:${feed.id}`;
+  const metadata = await getFetchMetadata(d1, source);
+
+  const headers = { Accept: "application/rss+xml, application/atom+xml, application/xml, text/xml" };
+  if (metadata?.http_etag) headers["If-None-Match"] = metadata.http_etag;
+  if (metadata?.http_last_modified) headers["If-Modified-Since"] = metadata.http_last_modified;
+  if (feed.auth && env.RSS_API_KEY && env.RSS_API_SECRET) {
+    headers.Authorization = `Basic ${btoa(`${env.RSS_API_KEY}:${env.RSS_API_SECRET}`)}`;
+  }
+
+  console.log(`[RSS] Fetching ${feed.id}: ${feed.url}`);
+  const response = await fetchWithRetry(feed.url, { headers });
+  const fetchTime = new Date().toISOString();
+
+  if (response.status === 304) {
+    console.log(`[RSS] ${feed.id} not modified`);
+    await updateFetchMetadata(d1, source, fetchTime, 0);
+    return { feed: feed.id, notModified: true, advisories: 0 };
+  }
+  const advisories = parseFeed(await response.text());
+  await storeAdvisories(d1, feed.id, advisories, fetchTime);
+  await updateFetchMetadata(d1, source, fetchTime, 0, advisories.length);
+  await saveHttpValidators(d1, source, response.headers.get("ETag"), response.headers.get("Last-Modified"));
+
+  return {
+    feed: feed.id,
+    advisories: advisories.length,
+    cveMentions: advisories.reduce((sum, advisory) => sum + advisory.cveIds.length, 0),
+  };
+}
+
+/**
+ * Upsert advisories and replace their CVE links, advisoryBatchSize
+ * advisories per transaction
+ */
+async function storeAdvisories(d1, feedId, advisories, syncedAt) {
+  const advisoryStmt = d1.prepare(`
+    INSERT INTO advisories (feed_id, guid, title, link, published, summary, ghsa_ids, products, synced_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(feed_id, guid) DO UPDATE SET
+      title = excluded.title,
+      link = excluded.link,
+      published = COALESCE(excluded.published, advisories.published),
+      summary = excluded.summary,
+      ghsa_ids = excluded.ghsa_ids,
+      products = excluded.products,
+      synced_at = excluded.synced_at
+  `);
+
+  const deleteLinksStmt = d1.prepare(`
+    DELETE FROM advisory_vulnerabilities
+    WHERE advisory_id = (SELECT id FROM advisories WHERE feed_id = ? AND guid = ?)
+  `);
+
+  const linkStmt = d1.prepare(`
+    INSERT OR IGNORE INTO advisory_vulnerabilities (advisory_id, cve_id)
+    SELECT id, ? FROM advisories WHERE feed_id = ? AND guid = ?
+  `);
+
+  for (let i = 0; i < advisories.length; i += advisoryBatchSize) {
+    await d1.batch(advisories.slice(i, i + advisoryBatchSize).flatMap((advisory) => [
+      advisoryStmt.bind(
+        feedId,
+        advisory.guid,
+        advisory.title,
+        advisory.link,
+        advisory.published,
+        advisory.summary,
+        JSON.stringify(advisory.ghsaIds),
+        JSON.stringify(advisory.products),
+        syncedAt
+      ),
+      deleteLinksStmt.bind(feedId, advisory.guid),
+      ...advisory.cveIds.map((cveId) => linkStmt.bind(cveId, feedId, advisory.guid)),
+    ]));
+  }
+}
@@ -0,0 +1,264 @@
+import {
+  getFetchMetadata,
+  updateFetchMetadata,
+  saveSyncCursor,
+  storeIndicators,
+  storeThreatObjects,
+  recordFetchError,
+} from "../d1-adapter.js";
+import { fetchWithRetry } from "../../utils/http.js";
+import { normalizeIndicator, indicatorStatus } from "../../core/threat.js";
+import { parseStixPattern, stixCveId } from "../../core/stix.js";
+
+const taxiiMediaType = "application/taxii+json;version=2.1";
+const pageLimit = 500; // objects requested per page
+const maxPagesPerCollection = 5; // per invocation, the cursor resumes the rest
+// Per page: the request, indicator batches of 50, threat object batches of
+// 100 and 2 metadata writes
+const pageSubrequests = 1 + pageLimit / 50 + pageLimit / 100 + 2;
+const assumedCollections = 3; // for servers that do not list their collections
+
+// STIX domain objects kept as threat objects
+const threatObjectTypes = new Set([
+  "malware", "threat-actor", "intrusion-set", "tool", "attack-pattern", "campaign",
+]);
+
+/**
+ * Configured TAXII servers from the TAXII_SERVERS variable, a JSON array of
+ * { id, url, username?, password?, token?, collections? } where `url` is the
+ * discovery endpoint (e.g. https://taxii.example.com/taxii2/) and
+ * `collections` optionally restricts polling to the listed collection ids.
+ */
+function getTaxiiServers(env) {
+  if (!env.TAXII_SERVERS) return [];
+  try {
+    return JSON.parse(env.TAXII_SERVERS);
+  } catch (error) {
+    console.error('[TAXII] Invalid TAXII_SERVERS:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Estimated subrequests of one fetchTaxiiCollections run, for the
+ * orchestrator: discovery and collection listing, then every collection's
+ * metadata read and pages
+ */
+export function taxiiSubrequests(env) {
+  return getTaxiiServers(env).reduce((sum, server) =>
+    sum + 2 + (server.collections?.length || assumedCollections) * (1 + maxPagesPerCollection * pageSubrequests), 0);
+}
+
+/**
+ * GET a TAXII endpoint with the server's credentials
+ */
+async function taxiiRequest(server, url) {
+  const headers = { Accept: taxiiMediaType };
+  if (server.token) {
+    headers.Authorization = `Bearer ${server.token}`;
+  } else if (server.username) {
+    headers.Authorization = `Basic ${btoa(`${server.username}:${server.password || ""}`)}`;
+  }
+
+  return await fetchWithRetry(url, { headers }, { timeoutMs: 60 * 1000 });
+}
+
+const withSlash = (url) => (url.endsWith("/") ? url : `${url}/`);
+
+/**
+ * Discover API roots and their readable collections
+ */
+export async function discoverCollections(server) {
+  const discovery = await (await taxiiRequest(server, server.url)).json();
+  const apiRoots = discovery.api_roots || (discovery.default ? [discovery.default] : []);
+  const collections = [];
+
+  for (const root of apiRoots) {
+    const apiRoot = withSlash(new URL(root, server.url).toString());
+    const { collections: found = [] } = await (await taxiiRequest(server, `${apiRoot}collections/`)).json();
+    for (const collection of found) {
+      if (!collection.can_read) continue;
+      if (server.collections && !server.collections.includes(collection.id)) continue;
+      collections.push({ apiRoot, id: collection.id, title: collection.title || collection.id });
+    }
+  }
+  return collections;
+}
+
+/**
+ * Map STIX objects onto indicators, threat objects, relationships and the
+ * CVEs their vulnerability objects name. A CVE is only linked through its
+ * vulnerability threat object (named by the CVE id): the vulnerabilities
+ * table stays NVD's.
+ */
+export function mapStixObjects(objects, source, collectionId) {
+  const now = new Date().toISOString();
+  const indicators = [];
+  const threatObjects = [];
+  const relationships = [];
+  const vulnerabilities = [];
+
+  for (const object of objects) {
+    if (object.type === "indicator") {
+      const observables = parseStixPattern(object.pattern);
+      const expired = object.valid_until && object.valid_until < now;
+      observables.forEach((observable, index) => {
+        indicators.push(normalizeIndicator({
+          source,
+          externalId: observables.length > 1 ? `${object.id}#${index}` : object.id,
+          type: observable.type,
+          value: observable.value,
+          category: (object.indicator_types || [])[0] || null,
+          confidence: object.confidence ?? null,
+          firstSeen: object.valid_from || object.created || null,
+          lastSeen: object.valid_until || object.modified || null,
+          status: object.revoked
+            ? indicatorStatus.withdrawn
+            : expired ? indicatorStatus.expired : indicatorStatus.active,
+          tags: object.labels || [],
+          comment: object.name || object.description || null,
+          context: { stixId: object.id, pattern: object.pattern, collection: collectionId },
+        }));
+      });
+      if (!observables.length) {
+        console.log(`[TAXII] Skipping unsupported pattern on ${object.id}: ${object.pattern}`);
+      }
+    } else if (threatObjectTypes.has(object.type)) {
+      threatObjects.push({
+        id: object.id,
+        source,
+        type: object.type,
+        name: object.name || object.id,
+        description: object.description || null,
+        aliases: object.aliases || object.x_mitre_aliases || [],
+        context: {
+          labels: object.labels,
+          malwareTypes: object.malware_types,
+          isFamily: object.is_family,
+          revoked: object.revoked,
+          modified: object.modified,
+        },
+      });
+    } else if (object.type === "vulnerability") {
+      const cveId = stixCveId(object);
+      threatObjects.push({
+        id: object.id,
+        source,
+        type: "vulnerability",
+        name: cveId || object.name || object.id,
+        description: object.description || null,
+        context: { cveId },
+      });
+      if (cveId) {
+        vulnerabilities.push({ cveId, description: object.description || "", source });
+      }
+    } else if (object.type === "relationship" && object.source_ref && object.target_ref) {
+      relationships.push({
+        sourceRef: object.source_ref,
+        relationshipType: object.relationship_type || "related-to",
+        targetRef: object.target_ref,
+        source,
+      });
+    }
+  }
+
+  return { indicators, threatObjects, relationships, vulnerabilities };
+}
+
+/**
+ * Poll every configured TAXII collection for objects added since its cursor
+ */
+export async function fetchTaxiiCollections(env) {
+  console.log('[TAXII] Starting TAXII collection polling');
+  const startTime = Date.now();
+  const servers = getTaxiiServers(env);
+  const results = [];
+
+  for (const server of servers) {
+    let collections;
+    try {
+      collections = await discoverCollections(server);
+      console.log(`[TAXII] ${server.id}: ${collections.length} readable collections`);
+    } catch (error) {
+      console.error(`[TAXII] Server ${server.id} failed:`, error);
+      await recordFetchError(env.THREAT_INTEL_DB, `taxii:${server.id}`, error);
+      results.push({ server: server.id, error: error.message, retryable: error.retryable });
+      continue;
+    }
+
+    // A failing collection keeps its cursor and does not hold back the others
+    for (const collection of collections) {
+      try {
+        results.push(await pollCollection(env, server, collection));
+      } catch (error) {
+        console.error(`[TAXII] Collection ${server.id}/${collection.id} failed:`, error);
+        await recordFetchError(env.THREAT_INTEL_DB, `taxii:${server.id}:${collection.id}`, error);
+        results.push({ server: server.id, collection: collection.id, error: error.message, retryable: error.retryable });
+      }
+    }
+  }
+
+  const result = {
+    servers: servers.length,
+    collections: results,
+    hasMore: results.some((collection) => collection.hasMore),
+    totalExecutionTime: `${Date.now() - startTime}ms`,
+  };
+  console.log('[TAXII] Polling complete:', result);
+  return result;
+}
+
+/**
+ * Page through one collection with added_after, advancing the per-collection
+ * cursor to X-TAXII-Date-Added-Last after each stored page
+ */
+async function pollCollection(env, server, collection) {
+  const d1 = env.THREAT_INTEL_DB;
+  const source = `taxii:${server.id}`;
+  const metadataKey = `taxii:${server.id}:${collection.id}`;
+  const metadata = await getFetchMetadata(d1, metadataKey);
+  let addedAfter = metadata?.high_water_mark || null;
+  let queryAddedAfter = addedAfter; // stays fixed while following `next` tokens
+  let next = null;
+  let pages = 0;
+  let more = false;
+  const totals = { objects: 0, indicators: 0, threatObjects: 0, relationships: 0, vulnerabilities: 0 };
+
+  do {
+    const params = new URLSearchParams({ limit: String(pageLimit) });
+    if (queryAddedAfter) params.set("added_after", queryAddedAfter);
+    if (next) params.set("next", next);
+
+    const response = await taxiiRequest(
+      server,
+      `${collection.apiRoot}collections/${collection.id}/objects/?${params}`
+    );
+    const envelope = await response.json();
+    const objects = envelope.objects || [];
+    const syncedAt = new Date().toISOString();
+
+    const mapped = mapStixObjects(objects, source, collection.id);
+    const stored = await storeIndicators(d1, mapped.indicators, syncedAt);
+    await storeThreatObjects(d1, mapped.threatObjects, mapped.relationships, syncedAt);
+
+    totals.objects += objects.length;
+    totals.indicators += stored.stored;
+    totals.threatObjects += mapped.threatObjects.length;
+    totals.relationships += mapped.relationships.length;
+    totals.vulnerabilities += mapped.vulnerabilities.length;
+
+    // Servers report the added date of the last object in the page
+    const dateAddedLast = response.headers.get("X-TAXII-Date-Added-Last");
+    if (dateAddedLast) addedAfter = dateAddedLast;
+    more = Boolean(envelope.more) && objects.length > 0;
+    next = envelope.next || null;
+    if (!next) queryAddedAfter = addedAfter; // servers without `next` page by added_after
+    pages++;
+
+    await updateFetchMetadata(d1, metadataKey, syncedAt, 0, objects.length);
+    await saveSyncCursor(d1, metadataKey, { highWaterMark: addedAfter, windowStart: null, windowEnd: null });
+  } while (more && pages < maxPagesPerCollection);
+
+  console.log(`[TAXII] ${metadataKey}: ${totals.objects} objects in ${pages} pages`);
+  return { server: server.id, collection: collection.id, pages, hasMore: more, addedAfter, ...totals };
+}
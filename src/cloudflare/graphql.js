@@ -0,0 +1,635 @@
+import {
+  buildSchema,
+  execute,
+  getNamedType,
+  getNullableType,
+  getOperationAST,
+  GraphQLInt,
+  isListType,
+  Kind,
+  parse,
+  validate,
+  valueFromAST,
+} from "graphql";
+import { camelizeRow } from "../core/utils.js";
+import {
+  jsonResponse,
+  kevColumns,
+  withKev,
+  withScorePending,
+  cveFilters,
+  cveDetailSections,
+  toFinding,
+} from "./api.js";
+
+/**
+ * GraphQL API over vulnerabilities, indicators and SBOM findings, for
+ * clients that need a CVE and everything related to it in one request.
+ * Fields are named like their REST counterparts.
+ */
+
+const defaultMaxDepth = 8;
+const defaultMaxComplexity = 5000;
+const assumedListSize = 10; // cost multiplier of list fields without a limit
+const maxLimit = 100;
+
+const schema = buildSchema(`
+  enum Severity {
+    NONE
+    LOW
+    MEDIUM
+    HIGH
+    CRITICAL
+  }
+
+  type Query {
+    vulnerability(cveId: ID!): Vulnerability
+    "Stored CVEs, most recently modified first. Rejected CVEs are left out unless includeRejected or asked for by status."
+    vulnerabilities(
+      cveIds: [ID!]
+      severity: [Severity!]
+      minScore: Float
+      maxScore: Float
+      cwe: [String!]
+      kev: Boolean
+      minEpss: Float
+      q: String
+      status: [String!]
+      includeRejected: Boolean
+      publishedFrom: String
+      publishedTo: String
+      limit: Int = 20
+    ): [Vulnerability!]!
+    indicator(id: ID!): Indicator
+    indicators(type: String, source: String, value: String, status: String, limit: Int = 20): [Indicator!]!
+    project(name: String!): Project
+    "Projects with findings, most recently hit first"
+    projects(limit: Int = 20): [Project!]!
+    findings(status: String, cveId: ID, project: String, limit: Int = 20): [Finding!]!
+  }
+
+  type Vulnerability {
+    cveId: ID!
+    description: String
+    sourceIdentifier: String
+    published: String
+    lastModified: String
+    vulnStatus: String
+    baseScore: Float
+    baseSeverity: Severity
+    vectorString: String
+    cwe: String
+    scorePending: Boolean!
+    epssScore: Float
+    epssPercentile: Float
+    epssDate: String
+    kev: KevEntry
+    metrics: [Metric!]!
+    references: [Reference!]!
+    weaknesses: [Weakness!]!
+    affectedProducts(vulnerableOnly: Boolean = false): [AffectedProduct!]!
+    indicators: [Indicator!]!
+    findings(status: String, limit: Int = 20): [Finding!]!
+    "Projects with a finding for this CVE, most recently hit first"
+    projects(limit: Int = 20): [Project!]!
+  }
+
+  type KevEntry {
+    dateAdded: String
+    dueDate: String
+    requiredAction: String
+    knownRansomwareCampaignUse: String
+    vendorProject: String
+    product: String
+  }
+
+  type Metric {
+    cvssVersion: String!
+    source: String!
+    type: String!
+    isAuthoritative: Boolean!
+    vectorString: String
+    baseScore: Float
+    baseSeverity: String
+    exploitabilityScore: Float
+    impactScore: Float
+    attackVector: String
+    attackComplexity: String
+    attackRequirements: String
+    privilegesRequired: String
+    userInteraction: String
+    scope: String
+    authentication: String
+    confidentialityImpact: String
+    integrityImpact: String
+    availabilityImpact: String
+  }
+
+  type Reference {
+    url: String!
+    source: String
+    tags: [String!]!
+  }
+
+  type Weakness {
+    cweId: String!
+    name: String
+    source: String
+    type: String
+  }
+
+  type AffectedProduct {
+    criteria: String!
+    vulnerable: Boolean!
+    negate: Boolean!
+    part: String
+    vendor: String
+    product: String
+    version: String
+    versionStartIncluding: String
+    versionStartExcluding: String
+    versionEndIncluding: String
+    versionEndExcluding: String
+  }
+
+  type Indicator {
+    id: ID!
+    source: String!
+    type: String!
+    value: String!
+    category: String
+    malwareFamily: String
+    confidence: Int
+    status: String!
+    firstSeen: String
+    lastSeen: String
+    tags: [String!]!
+    "CVEs the indicator is tagged with or describes"
+    vulnerabilities: [Vulnerability!]!
+  }
+
+  "A project whose SBOM was matched, identified by the project of its findings"
+  type Project {
+    name: String!
+    openFindings: Int!
+    findings(status: String, limit: Int = 20): [Finding!]!
+    "CVEs of the project's findings, most recently found first"
+    vulnerabilities(limit: Int = 20): [Vulnerability!]!
+  }
+
+  type Finding {
+    id: ID!
+    cveId: ID!
+    project: String
+    subject: String!
+    source: String
+    status: String!
+    closedReason: String
+    openedAt: String!
+    closedAt: String
+    vulnerability: Vulnerability
+  }
+`);
+
+const vulnerabilityColumns = `
+  v.cve_id, v.description, v.source_identifier, v.published,
+  v.last_modified, v.vuln_status, v.base_score, v.base_severity, v.vector_string, v.cwe,
+  v.epss_score, v.epss_percentile, v.epss_date
+`;
+
+const findingColumns = `
+  id, cve_id, project, subject, source, status, closed_reason, opened_at, closed_at
+`;
+
+/**
+ * Collect the `load(key)` calls of one round of resolvers and look them up
+ * with a single `batch(keys)`, which returns a Map of key to value. Values
+ * are cached for the request; keys missing from the Map resolve to `missing`.
+ */
+function createLoader(batch, missing = null) {
+  const cache = new Map();
+  let keys = null;
+  let results = null;
+
+  return {
+    load(key) {
+      if (cache.has(key)) return cache.get(key);
+      if (!keys) {
+        const batchKeys = keys = [];
+        // Resolvers of sibling fields run within the same macrotask
+        results = new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+          keys = null;
+          return batch(batchKeys);
+        });
+      }
+      keys.push(key);
+      const value = results.then((values) => (values.has(key) ? values.get(key) : missing));
+      cache.set(key, value);
+      return value;
+    },
+  };
+}
+
+/**
+ * Loaders of one request: every lookup keyed by CVE, indicator or project
+ * is one D1 query (or one d1.batch) per round of resolvers
+ */
+function createLoaders(d1) {
+  const byKey = (sql, column, map, { many = false, bindings = [] } = {}) => createLoader(async (keys) => {
+    const { results } = await d1.prepare(sql).bind(JSON.stringify(keys), ...bindings).all();
+    const values = new Map();
+    for (const row of results) {
+      if (!many) values.set(row[column], map(row));
+      else if (values.has(row[column])) values.get(row[column]).push(map(row));
+      else values.set(row[column], [map(row)]);
+    }
+    return values;
+  }, many ? [] : null);
+
+  // The newest findings of each CVE or project, one loader per status filter
+  const findingsBy = (column) => {
+    const loaders = new Map();
+    return (status = null) => {
+      if (!loaders.has(status)) {
+        loaders.set(status, byKey(`
+          SELECT ${findingColumns} FROM (
+            SELECT *, ROW_NUMBER() OVER (PARTITION BY ${column} ORDER BY opened_at DESC, id DESC) AS position
+            FROM findings
+            WHERE ${column} IN (SELECT value FROM json_each(?1)) AND (?2 IS NULL OR status = ?2)
+          )
+          WHERE position <= ${maxLimit}
+          ORDER BY opened_at DESC, id DESC
+        `, column, findingNode, { many: true, bindings: [status] }));
+      }
+      return loaders.get(status);
+    };
+  };
+
+  // The per-CVE queries of GET /cves/:id, one statement per CVE in one batch
+  const section = (name, map = (value) => value) => createLoader(async (cveIds) => {
+    const { sql, map: mapRows } = cveDetailSections[name];
+    const results = await d1.batch(cveIds.map((cveId) => d1.prepare(sql).bind(cveId)));
+    return new Map(cveIds.map((cveId, index) => [cveId, map(mapRows(results[index].results))]));
+  }, []);
+
+  return {
+    vulnerability: byKey(`
+      SELECT ${vulnerabilityColumns}, ${kevColumns}
+      FROM vulnerabilities v
+      LEFT JOIN kev_entries k ON k.cve_id = v.cve_id
+      WHERE v.cve_id IN (SELECT value FROM json_each(?))
+    `, "cve_id", vulnerabilityNode),
+    metrics: section("metrics"),
+    references: section("references"),
+    weaknesses: section("weaknesses"),
+    affected: section("affected"),
+    indicators: section("indicators", (indicators) => indicators.map(indicatorNode)),
+    findingsByCve: findingsBy("cve_id"),
+    findingsByProject: findingsBy("project"),
+    projectsByCve: byKey(`
+      SELECT cve_id, project FROM (
+        SELECT cve_id, project, MAX(opened_at) AS last_opened,
+          ROW_NUMBER() OVER (PARTITION BY cve_id ORDER BY MAX(opened_at) DESC, project) AS position
+        FROM findings
+        WHERE cve_id IN (SELECT value FROM json_each(?)) AND project <> ''
+        GROUP BY cve_id, project
+      )
+      WHERE position <= ${maxLimit}
+      ORDER BY last_opened DESC, project
+    `, "cve_id", (row) => projectNode(row.project), { many: true }),
+    cvesByProject: byKey(`
+      SELECT project, cve_id FROM (
+        SELECT project, cve_id, MAX(opened_at) AS last_opened,
+          ROW_NUMBER() OVER (PARTITION BY project ORDER BY MAX(opened_at) DESC, cve_id) AS position
+        FROM findings
+        WHERE project IN (SELECT value FROM json_each(?))
+        GROUP BY project, cve_id
+      )
+      WHERE position <= ${maxLimit}
+      ORDER BY last_opened DESC, cve_id
+    `, "project", (row) => row.cve_id, { many: true }),
+    openFindingsByProject: byKey(`
+      SELECT project, COUNT(*) AS open FROM findings
+      WHERE project IN (SELECT value FROM json_each(?)) AND status = 'open'
+      GROUP BY project
+    `, "project", (row) => row.open),
+    indicator: byKey(`
+      SELECT * FROM indicators WHERE id IN (SELECT value FROM json_each(?))
+    `, "id", (row) => indicatorNode(camelizeRow(row))),
+    indicatorTags: byKey(`
+      SELECT indicator_id, tag FROM indicator_tags WHERE indicator_id IN (SELECT value FROM json_each(?))
+      ORDER BY tag
+    `, "indicator_id", (row) => row.tag, { many: true }),
+  };
+}
+
+/**
+ * Load CVEs by id in order, leaving out the ones not stored
+ */
+async function loadVulnerabilities(loaders, cveIds) {
+  const vulnerabilities = await Promise.all([...new Set(cveIds)].map((cveId) => loaders.vulnerability.load(cveId)));
+  return vulnerabilities.filter(Boolean);
+}
+
+// Nodes are the REST objects; fields backed by other tables are methods,
+// which the default field resolver calls with (args, context)
+
+function vulnerabilityNode(row) {
+  const cve = withScorePending(withKev(row));
+  return {
+    ...cve,
+    metrics: (_, { loaders }) => loaders.metrics.load(cve.cveId),
+    references: (_, { loaders }) => loaders.references.load(cve.cveId),
+    weaknesses: (_, { loaders }) => loaders.weaknesses.load(cve.cveId),
+    affectedProducts: async ({ vulnerableOnly }, { loaders }) => {
+      const products = await loaders.affected.load(cve.cveId);
+      return vulnerableOnly ? products.filter((product) => product.vulnerable) : products;
+    },
+    indicators: (_, { loaders }) => loaders.indicators.load(cve.cveId),
+    findings: ({ status, limit }, { loaders }) =>
+      loaders.findingsByCve(status ?? null).load(cve.cveId).then(take(limit)),
+    projects: ({ limit }, { loaders }) => loaders.projectsByCve.load(cve.cveId).then(take(limit)),
+  };
+}
+
+function indicatorNode(indicator) {
+  return {
+    ...indicator,
+    tags: (_, { loaders }) => loaders.indicatorTags.load(indicator.id),
+    vulnerabilities: async (_, { loaders }) => {
+      const tags = await loaders.indicatorTags.load(indicator.id);
+      const cveIds = tags.filter((tag) => /^cve-\d{4}-\d{4,}$/i.test(tag)).map((tag) => tag.toUpperCase());
+      if (indicator.type === "vulnerability") cveIds.push(indicator.value.toUpperCase());
+      return loadVulnerabilities(loaders, cveIds);
+    },
+  };
+}
+
+function projectNode(name) {
+  return {
+    name,
+    openFindings: async (_, { loaders }) => (await loaders.openFindingsByProject.load(name)) ?? 0,
+    findings: ({ status, limit }, { loaders }) =>
+      loaders.findingsByProject(status ?? null).load(name).then(take(limit)),
+    vulnerabilities: async ({ limit }, { loaders }) =>
+      loadVulnerabilities(loaders, take(limit)(await loaders.cvesByProject.load(name))),
+  };
+}
+
+function findingNode(row) {
+  const finding = toFinding(row);
+  return {
+    ...finding,
+    vulnerability: (_, { loaders }) => loaders.vulnerability.load(finding.cveId),
+  };
+}
+
+const clampLimit = (limit) => Math.min(Math.max(limit, 1), maxLimit);
+const take = (limit) => (values) => values.slice(0, clampLimit(limit));
+
+/**
+ * Error a resolver reports for invalid arguments
+ */
+function badInput(message) {
+  return Object.assign(new Error(message), { extensions: { code: "BAD_USER_INPUT" } });
+}
+
+const rootValue = {
+  vulnerability: ({ cveId }, { loaders }) => loaders.vulnerability.load(cveId.toUpperCase()),
+
+  vulnerabilities: async ({ cveIds, limit, ...filters }, { d1 }) => {
+    // Same filters, validation and Rejected handling as GET /cves
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(filters)) {
+      for (const item of [].concat(value ?? [])) params.append(name, String(item));
+    }
+    const { conditions, bindings, error } = cveFilters(params);
+    if (error) throw badInput(error);
+    if (cveIds) {
+      conditions.push(`v.cve_id IN (SELECT value FROM json_each(?))`);
+      bindings.push(JSON.stringify(cveIds.map((cveId) => cveId.toUpperCase())));
+    }
+
+    const { results } = await d1.prepare(`
+      SELECT ${vulnerabilityColumns}, ${kevColumns}
+      FROM vulnerabilities v
+      LEFT JOIN kev_entries k ON k.cve_id = v.cve_id
+      ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY v.last_modified DESC, v.id DESC
+      LIMIT ?
+    `).bind(...bindings, clampLimit(limit)).all();
+    return results.map(vulnerabilityNode);
+  },
+
+  indicator: ({ id }, { loaders }) => loaders.indicator.load(Number(id)),
+
+  indicators: async ({ type, source, value, status, limit }, { d1 }) => {
+    const { results } = await d1.prepare(`
+      SELECT * FROM indicators
+      WHERE (?1 IS NULL OR type = ?1) AND (?2 IS NULL OR source = ?2)
+        AND (?3 IS NULL OR value = ?3) AND (?4 IS NULL OR status = ?4)
+      ORDER BY last_seen DESC, id DESC
+      LIMIT ?5
+    `).bind(type ?? null, source ?? null, value ?? null, status ?? null, clampLimit(limit)).all();
+    return results.map((row) => indicatorNode(camelizeRow(row)));
+  },
+
+  project: async ({ name }, { loaders }) =>
+    name && (await loaders.findingsByProject().load(name)).length ? projectNode(name) : null,
+
+  projects: async ({ limit }, { d1 }) => {
+    const { results } = await d1.prepare(`
+      SELECT project FROM findings WHERE project <> ''
+      GROUP BY project
+      ORDER BY MAX(opened_at) DESC, project
+      LIMIT ?
+    `).bind(clampLimit(limit)).all();
+    return results.map((row) => projectNode(row.project));
+  },
+
+  findings: async ({ status, cveId, project, limit }, { d1 }) => {
+    const { results } = await d1.prepare(`
+      SELECT * FROM findings
+      WHERE (?1 IS NULL OR status = ?1) AND (?2 IS NULL OR cve_id = ?2) AND (?3 IS NULL OR project = ?3)
+      ORDER BY opened_at DESC, id DESC
+      LIMIT ?4
+    `).bind(status ?? null, cveId?.toUpperCase() ?? null, project ?? null, clampLimit(limit)).all();
+    return results.map(findingNode);
+  },
+};
+
+/**
+ * Depth and estimated cost of an operation. Every field costs 1 and the
+ * selections under a list field count once per row it may return: its
+ * `limit` argument, the schema default when the argument or its variable is
+ * not given (as the resolvers see it), or assumedListSize for lists without
+ * a limit. Introspection fields are free.
+ */
+export function measureOperation(operation, fragments, variables) {
+  const listSize = (selection, field) => {
+    const argument = selection.arguments.find((arg) => arg.name.value === "limit");
+    const limit = (argument && valueFromAST(argument.value, GraphQLInt, variables)) ??
+      field.args.find((arg) => arg.name === "limit")?.defaultValue;
+    return limit === undefined || limit === null ? assumedListSize : clampLimit(limit);
+  };
+
+  const walk = (selectionSet, parentType, depth) => {
+    let cost = 0;
+    let maxDepth = depth;
+    for (const selection of selectionSet.selections) {
+      if (selection.kind === Kind.FIELD) {
+        const field = parentType.getFields()[selection.name.value];
+        if (!field) continue; // __typename and introspection
+        let fieldCost = 1;
+        let fieldDepth = depth + 1;
+        if (selection.selectionSet) {
+          const child = walk(selection.selectionSet, getNamedType(field.type), depth + 1);
+          const rows = isListType(getNullableType(field.type)) ? listSize(selection, field) : 1;
+          fieldCost += child.cost * rows;
+          fieldDepth = child.depth;
+        }
+        cost += fieldCost;
+        maxDepth = Math.max(maxDepth, fieldDepth);
+      } else {
+        // Fragment cycles were rejected by validation
+        const fragment = selection.kind === Kind.FRAGMENT_SPREAD ? fragments[selection.name.value] : selection;
+        const type = fragment.typeCondition ? schema.getType(fragment.typeCondition.name.value) : parentType;
+        const child = walk(fragment.selectionSet, type, depth);
+        cost += child.cost;
+        maxDepth = Math.max(maxDepth, child.depth);
+      }
+    }
+    return { cost, depth: maxDepth };
+  };
+
+  return walk(operation.selectionSet, schema.getQueryType(), 0);
+}
+
+/**
+ * Response carrying GraphQL errors and no data
+ */
+function graphQLErrorResponse(status, message, extensions) {
+  return jsonResponse({ errors: [{ message, ...(extensions && { extensions }) }] }, status);
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Query, variables, operationName and extensions of a POST body or of the
+ * query string of a GET (variables and extensions as JSON)
+ */
+async function readGraphQLRequest(request, url) {
+  if (request.method === "GET") {
+    const json = (name) => (url.searchParams.get(name) ? JSON.parse(url.searchParams.get(name)) : undefined);
+    return {
+      query: url.searchParams.get("query") || undefined,
+      variables: json("variables"),
+      operationName: url.searchParams.get("operationName") || undefined,
+      extensions: json("extensions"),
+    };
+  }
+  return await request.json();
+}
+
+/**
+ * GET|POST /graphql
+ * Queries are limited in depth (GRAPHQL_MAX_DEPTH) and estimated cost
+ * (GRAPHQL_MAX_COMPLEXITY, see measureOperation). Persisted queries follow
+ * the automatic persisted query protocol: a request with
+ * `extensions.persistedQuery.sha256Hash` and no query runs the stored query
+ * of that hash, or answers PERSISTED_QUERY_NOT_FOUND so the client resends
+ * it with the query, which is then stored once it validates.
+ */
+export async function handleGraphQL(env, request, url) {
+  const d1 = env.THREAT_INTEL_DB;
+  const maxDepth = Number(env.GRAPHQL_MAX_DEPTH) || defaultMaxDepth;
+  const maxComplexity = Number(env.GRAPHQL_MAX_COMPLEXITY) || defaultMaxComplexity;
+
+  let body;
+  try {
+    body = await readGraphQLRequest(request, url);
+  } catch {
+    return graphQLErrorResponse(400, "Request body, variables and extensions must be JSON", { code: "BAD_REQUEST" });
+  }
+  let { query, variables, operationName, extensions } = body || {};
+
+  const persisted = extensions?.persistedQuery;
+  let persist = false;
+  if (persisted) {
+    if (persisted.version !== 1 || !/^[0-9a-f]{64}$/.test(persisted.sha256Hash || "")) {
+      return graphQLErrorResponse(400, "Unsupported persisted query", { code: "PERSISTED_QUERY_INVALID" });
+    }
+    if (!query) {
+      const stored = await d1.prepare(`
+        SELECT query FROM graphql_persisted_queries WHERE hash = ?
+      `).bind(persisted.sha256Hash).first();
+      if (!stored) {
+        return graphQLErrorResponse(200, "PersistedQueryNotFound", { code: "PERSISTED_QUERY_NOT_FOUND" });
+      }
+      query = stored.query;
+    } else if ((await sha256Hex(query)) !== persisted.sha256Hash) {
+      return graphQLErrorResponse(400, "sha256Hash does not match the query", { code: "PERSISTED_QUERY_HASH_MISMATCH" });
+    } else {
+      persist = true;
+    }
+  }
+
+  if (typeof query !== "string" || !query.trim()) {
+    return graphQLErrorResponse(400, "Provide a query", { code: "BAD_REQUEST" });
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return jsonResponse({ errors: [error] }, 400);
+  }
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length) return jsonResponse({ errors: validationErrors }, 400);
+
+  const operation = getOperationAST(document, operationName);
+  if (!operation) {
+    return graphQLErrorResponse(400, "Provide the operationName of the operation to run", { code: "BAD_REQUEST" });
+  }
+  if (operation.operation !== "query") {
+    return graphQLErrorResponse(400, "Only queries are supported", { code: "BAD_REQUEST" });
+  }
+
+  const fragments = Object.fromEntries(document.definitions
+    .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map((definition) => [definition.name.value, definition]));
+  const { depth, cost } = measureOperation(operation, fragments, variables);
+  if (depth > maxDepth) {
+    return graphQLErrorResponse(400, `Query depth ${depth} exceeds the limit of ${maxDepth}`, {
+      code: "QUERY_TOO_DEEP", depth, maxDepth,
+    });
+  }
+  if (cost > maxComplexity) {
+    return graphQLErrorResponse(400, `Query complexity ${cost} exceeds the limit of ${maxComplexity}`, {
+      code: "QUERY_TOO_COMPLEX", complexity: cost, maxComplexity,
+    });
+  }
+
+  if (persist) {
+    await d1.prepare(`
+      INSERT INTO graphql_persisted_queries (hash, query) VALUES (?, ?)
+      ON CONFLICT (hash) DO NOTHING
+    `).bind(persisted.sha256Hash, query).run();
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    rootValue,
+    contextValue: { d1, loaders: createLoaders(d1) },
+    variableValues: variables,
+    operationName,
+  });
+  if (result.errors) console.error("[GraphQL] Errors:", result.errors.map((error) => error.message));
+
+  // Without data the variables were invalid
+  return jsonResponse(result, "data" in result ? 200 : 400);
+}
@@ -0,0 +1,115 @@
+/**
+ * Ingest ledger: one ingest_runs row per ingest invocation of a source, with
+ * the rows it failed to store in ingest_errors
+ */
+
+const errorSampleSize = 5;
+const maxErrorsPerRun = 200; // the rest only counts towards `failed`
+
+/**
+ * Record the start of a run. The returned run is filled in by the ingest
+ * code (window, pages and row counts, failed rows in `errors`) and written
+ * back by finishIngestRun.
+ */
+export async function startIngestRun(d1, { source, trigger }) {
+  const run = {
+    id: crypto.randomUUID(),
+    source,
+    trigger,
+    startedAt: new Date().toISOString(),
+    windowStart: null,
+    windowEnd: null,
+    pagesFetched: null,
+    inserted: null,
+    updated: null,
+    failed: null,
+    errors: [],
+  };
+
+  try {
+    await d1.prepare(`
+      INSERT INTO ingest_runs (id, source, trigger, status, started_at)
+      VALUES (?, ?, ?, 'running', ?)
+    `).bind(run.id, source, trigger, run.startedAt).run();
+  } catch (error) {
+    // The ledger must never stop an ingest
+    console.error('[Ingest Runs] Failed to record run start:', error);
+  }
+  return run;
+}
+
+/**
+ * Add the storage counts of a chunk to a run
+ */
+export function addRunCounts(run, { inserted = 0, updated = 0, failed = 0, errors = [] }) {
+  run.inserted = (run.inserted || 0) + inserted;
+  run.updated = (run.updated || 0) + updated;
+  run.failed = (run.failed || 0) + failed;
+  run.errors.push(...errors);
+}
+
+/**
+ * Write the outcome of a run and its failed rows. `result` is what the
+ * ingest returned: `error` fails the run, `hasMore` makes it partial.
+ */
+export async function finishIngestRun(d1, run, result) {
+  const finishedAt = new Date().toISOString();
+  const status = result?.error ? "error" : result?.hasMore ? "partial" : "complete";
+  const errors = run.errors.slice(0, maxErrorsPerRun);
+
+  try {
+    await d1.batch([
+      d1.prepare(`
+        UPDATE ingest_runs
+        SET status = ?, window_start = ?, window_end = ?, pages_fetched = ?,
+          inserted = ?, updated = ?, failed = ?, error = ?, error_samples = ?,
+          finished_at = ?, duration_ms = ?
+        WHERE id = ?
+      `).bind(
+        status,
+        run.windowStart,
+        run.windowEnd,
+        run.pagesFetched,
+        run.inserted,
+        run.updated,
+        run.failed ?? (run.errors.length || null),
+        result?.error || null,
+        run.errors.length ? JSON.stringify(run.errors.slice(0, errorSampleSize)) : null,
+        finishedAt,
+        Date.parse(finishedAt) - Date.parse(run.startedAt),
+        run.id
+      ),
+      ...errors.map((error) =>
+        d1.prepare(`
+          INSERT INTO ingest_errors (run_id, source, item_id, error, code, created_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).bind(run.id, run.source, error.itemId ?? null, error.error, error.code ?? null, finishedAt)
+      ),
+    ]);
+  } catch (error) {
+    console.error('[Ingest Runs] Failed to record run outcome:', { runId: run.id, error: error.message });
+  }
+
+  console.log('[Ingest Runs] Run finished:', { runId: run.id, source: run.source, status });
+  return status;
+}
+
+/**
+ * Run `ingest(run)` as one ledger entry. A thrown error is recorded on the
+ * run and rethrown; the result gets the run id.
+ */
+export async function withIngestRun(env, { source, trigger }, ingest) {
+  const d1 = env.THREAT_INTEL_DB;
+  const run = await startIngestRun(d1, { source, trigger });
+
+  let result;
+  try {
+    result = await ingest(run);
+  } catch (error) {
+    await finishIngestRun(d1, run, { error: error.message });
+    throw error;
+  }
+
+  await finishIngestRun(d1, run, result);
+  return result && typeof result === "object" ? { runId: run.id, ...result } : result;
+}
@@ -0,0 +1,131 @@
+import { sendToLogQueue } from "../utils/log.js";
+import { getFetchMetadata, updateFetchMetadata } from "./d1-adapter.js";
+import { withIngestRun } from "./ingest-runs.js";
+
+const source = "orchestrator";
+const defaultBudgetMs = 5 * 60 * 1000;
+const defaultMaxSubrequests = 1000; // Workers paid plan limit per invocation
+const ledgerCost = 2; // ingest_runs writes of each chunk
+const enabledCost = 1; // an enabled() check reads at most one D1 row
+const defaultMaxChunksPerSource = 5;
+
+/**
+ * Run ingest sources in turn within one invocation's wall-time and
+ * subrequest budget.
+ *
+ * Each source is `{ id, run(env, run), cost, enabled?(env) }`: `run` fetches
+ * one chunk and returns its result (`hasMore` asks to be called again, `error`
+ * stops the source for this run), `cost` estimates the subrequests one
+ * chunk uses, as a number or a function of env. Every chunk is recorded in
+ * the ingest ledger and `run` gets its entry. A source whose `enabled` or
+ * `cost` throws (e.g. on malformed configuration) is reported as an error
+ * and skipped.
+ *
+ * A source gets at most `maxChunksPerSource` chunks per run, so one with a
+ * long backlog (an NVD backfill, a URLhaus snapshot) leaves budget to the
+ * others and resumes next time. When the budget runs out before a source
+ * could start, its index is kept in the `orchestrator` fetch_metadata row
+ * and the next run starts there, so the sources at the end of the list get
+ * their turn.
+ */
+export async function runIngestSources(env, sources, {
+  budgetMs = Number(env.SCHEDULED_BUDGET_MS) || defaultBudgetMs,
+  maxSubrequests = Number(env.SCHEDULED_MAX_SUBREQUESTS) || defaultMaxSubrequests,
+  maxChunksPerSource = Number(env.SCHEDULED_MAX_CHUNKS) || defaultMaxChunksPerSource,
+} = {}) {
+  console.log('[Orchestrator] Starting scheduled ingest');
+  const startTime = Date.now();
+  const d1 = env.THREAT_INTEL_DB;
+
+  const metadata = await getFetchMetadata(d1, source);
+  const startPosition = (metadata?.next_start_index || 0) % sources.length;
+  let subrequests = 2; // the metadata read and write above and below
+  let stoppedAt = null;
+  const outcomes = [];
+
+  const budgetLeft = (cost) =>
+    Date.now() - startTime < budgetMs && subrequests + cost + ledgerCost <= maxSubrequests;
+
+  for (let offset = 0; offset < sources.length; offset++) {
+    const position = (startPosition + offset) % sources.length;
+    const ingestSource = sources[position];
+
+    // Estimating the cost parses the source's configuration: a bad value
+    // fails that source only
+    let cost;
+    try {
+      if (ingestSource.enabled) {
+        subrequests += enabledCost;
+        if (!(await ingestSource.enabled(env))) {
+          outcomes.push({ source: ingestSource.id, status: "disabled", chunks: 0 });
+          continue;
+        }
+      }
+      cost = typeof ingestSource.cost === "function" ? ingestSource.cost(env) : ingestSource.cost;
+      if (!Number.isFinite(cost)) throw new Error(`cost estimate is ${cost}`);
+    } catch (error) {
+      const outcome = {
+        source: ingestSource.id,
+        status: "error",
+        chunks: 0,
+        error: `Invalid source configuration: ${error.message}`,
+        retryable: false,
+      };
+      console.error('[Orchestrator] Source not started:', outcome);
+      outcomes.push(outcome);
+      await sendToLogQueue(env, { type: "ingest", ...outcome });
+      continue;
+    }
+    if (!budgetLeft(cost)) {
+      stoppedAt = position;
+      break;
+    }
+
+    const sourceStart = Date.now();
+    const outcome = { source: ingestSource.id, status: "complete", chunks: 0, runIds: [] };
+    let result;
+
+    do {
+      subrequests += cost + ledgerCost;
+      outcome.chunks++;
+      try {
+        result = await withIngestRun(env, { source: ingestSource.id, trigger: "cron" }, (run) =>
+          ingestSource.run(env, run)
+        );
+      } catch (error) {
+        result = { error: error.message, retryable: error.retryable };
+      }
+      if (result?.runId) outcome.runIds.push(result.runId);
+
+      if (result?.error) {
+        outcome.status = "error";
+        outcome.error = result.error;
+        outcome.retryable = result.retryable ?? null;
+        break;
+      }
+    } while (result?.hasMore && outcome.chunks < maxChunksPerSource && budgetLeft(cost));
+
+    if (outcome.status === "complete" && result?.hasMore) outcome.status = "partial";
+    outcome.durationMs = Date.now() - sourceStart;
+    outcomes.push(outcome);
+    console.log('[Orchestrator] Source finished:', outcome);
+
+    await sendToLogQueue(env, { type: "ingest", ...outcome });
+  }
+
+  const nextPosition = stoppedAt ?? startPosition;
+  await updateFetchMetadata(d1, source, new Date().toISOString(), nextPosition, outcomes.length);
+
+  const summary = {
+    type: "ingest-run",
+    startPosition,
+    nextSource: sources[nextPosition].id,
+    budgetExhausted: stoppedAt !== null,
+    subrequests,
+    durationMs: Date.now() - startTime,
+    sources: outcomes,
+  };
+  console.log('[Orchestrator] Scheduled ingest complete:', summary);
+  await sendToLogQueue(env, summary);
+  return summary;
+}
@@ -0,0 +1,304 @@
+import { getFetchMetadata, updateFetchMetadata } from "./d1-adapter.js";
+
+const dayMs = 24 * 60 * 60 * 1000;
+const purgeChunkSize = 500; // rows archived per R2 object and deleted per statement
+const maxPurgePerRule = 5000; // per run, the rest is picked up next time
+const sampleSize = 20;
+const source = "retention";
+
+/**
+ * Tables retention rules may target. Rules can only use the columns and
+ * exemptions listed here, so RETENTION_RULES never reaches SQL unchecked.
+ * `children` are archived alongside each row; they go with it through
+ * ON DELETE CASCADE, except those in `deleteChildren`, which have no foreign
+ * key and are deleted in the same batch.
+ */
+const retentionTables = {
+  vulnerabilities: {
+    key: "cve_id",
+    sourceColumn: "source_identifier",
+    ageColumns: ["published", "last_modified", "last_seen", "created_at"],
+    exemptions: {
+      kev: "cve_id IN (SELECT cve_id FROM kev_entries)",
+      pinned: "pinned = 1",
+    },
+    children: {
+      vulnerability_metrics: "cve_id",
+      cve_affected_products: "cve_id",
+      vulnerability_references: "cve_id",
+      vulnerability_weaknesses: "cve_id",
+      vulnerability_history: "cve_id",
+      epss_history: "cve_id",
+    },
+    deleteChildren: ["epss_history"],
+  },
+  indicators: {
+    key: "id",
+    sourceColumn: "source",
+    statusColumn: "status",
+    ageColumns: ["first_seen", "last_seen", "synced_at", "created_at"],
+    exemptions: {
+      pinned: "pinned = 1",
+    },
+    children: {
+      indicator_tags: "indicator_id",
+    },
+  },
+  advisories: {
+    key: "id",
+    sourceColumn: "feed_id",
+    ageColumns: ["published", "synced_at"],
+    exemptions: {},
+    children: {
+      advisory_vulnerabilities: "advisory_id",
+    },
+  },
+  ingest_runs: {
+    key: "id",
+    sourceColumn: "source",
+    statusColumn: "status",
+    ageColumns: ["started_at"],
+    exemptions: {},
+    children: {
+      ingest_errors: "run_id",
+    },
+  },
+};
+
+/**
+ * Default policy, replaced by the RETENTION_RULES variable (a JSON array of
+ * rules with the same fields):
+ * - `table`, `ageColumn`, `maxAgeDays`: purge rows older than the limit
+ * - `sources`: only rows of these sources (CNA, feed or feed id)
+ * - `statuses`: only rows in these statuses (indicators)
+ * - `exempt`: exemptions of the table that keep a row regardless of age
+ * - `pausedBy`: skip the rule while this fetch_metadata source exists
+ *
+ * CVEs are kept by default. Purging them is opt-in, e.g.
+ * `{"table":"vulnerabilities","ageColumn":"last_seen","maxAgeDays":730,
+ * "exempt":["kev","pinned"],"pausedBy":"nvd-backfill"}`; without `pausedBy`
+ * the rule would delete the historical corpus a backfill loads.
+ */
+export const defaultRetentionRules = [
+  {
+    id: "indicators-retired",
+    table: "indicators",
+    ageColumn: "last_seen",
+    maxAgeDays: 90,
+    statuses: ["expired", "withdrawn"],
+    exempt: ["pinned"],
+  },
+  {
+    id: "advisories",
+    table: "advisories",
+    ageColumn: "published",
+    maxAgeDays: 365,
+  },
+  {
+    id: "ingest-runs",
+    table: "ingest_runs",
+    ageColumn: "started_at",
+    maxAgeDays: 90,
+  },
+];
+
+/**
+ * Rules from RETENTION_RULES, or the defaults
+ */
+export function getRetentionRules(env) {
+  if (!env.RETENTION_RULES) return defaultRetentionRules;
+  let rules = env.RETENTION_RULES;
+  if (typeof rules === "string") {
+    try {
+      rules = JSON.parse(rules);
+    } catch (error) {
+      throw new Error(`Invalid RETENTION_RULES: ${error.message}`);
+    }
+  }
+  if (!Array.isArray(rules) || rules.some((rule) => !rule || typeof rule !== "object")) {
+    throw new Error("Invalid RETENTION_RULES: expected a JSON array of rules");
+  }
+  return rules.map((rule, index) => ({ id: rule.id || `${rule.table}-${index}`, ...rule }));
+}
+
+/**
+ * Estimated subrequests of one applyRetention run, for the orchestrator:
+ * per rule the pause check and up to maxPurgePerRule rows in chunks, each
+ * read with its children, archived to R2 and deleted; then the metadata write
+ */
+export function retentionSubrequests(env) {
+  const chunks = Math.ceil(maxPurgePerRule / purgeChunkSize);
+  return getRetentionRules(env).reduce((sum, rule) => {
+    const children = Object.keys(retentionTables[rule.table]?.children || {}).length;
+    return sum + 1 + chunks * (3 + children);
+  }, 1);
+}
+
+/**
+ * Build the WHERE clause selecting the expired rows of a rule
+ */
+function ruleFilter(rule, now) {
+  const table = retentionTables[rule.table];
+  if (!table) throw new Error(`Retention rule ${rule.id}: unsupported table ${rule.table}`);
+  if (!table.ageColumns.includes(rule.ageColumn)) {
+    throw new Error(`Retention rule ${rule.id}: ${rule.table} has no age column ${rule.ageColumn}`);
+  }
+  if (!(Number(rule.maxAgeDays) > 0)) {
+    throw new Error(`Retention rule ${rule.id}: maxAgeDays must be a positive number`);
+  }
+
+  const conditions = [`${rule.ageColumn} < ?`];
+  const params = [new Date(now.getTime() - Number(rule.maxAgeDays) * dayMs).toISOString()];
+
+  if (rule.sources?.length) {
+    conditions.push(`${table.sourceColumn} IN (SELECT value FROM json_each(?))`);
+    params.push(JSON.stringify(rule.sources));
+  }
+  if (rule.statuses?.length) {
+    if (!table.statusColumn) throw new Error(`Retention rule ${rule.id}: ${rule.table} has no status`);
+    conditions.push(`${table.statusColumn} IN (SELECT value FROM json_each(?))`);
+    params.push(JSON.stringify(rule.statuses));
+  }
+  for (const exemption of rule.exempt || []) {
+    if (!table.exemptions[exemption]) {
+      throw new Error(`Retention rule ${rule.id}: unknown exemption ${exemption} for ${rule.table}`);
+    }
+    conditions.push(`NOT (${table.exemptions[exemption]})`);
+  }
+
+  return { table, where: conditions.join(" AND "), params, cutoff: params[0] };
+}
+
+/**
+ * Archive expired rows of one rule to R2 as NDJSON, then delete them.
+ * Each line is `{ table, row, children }` so a row can be restored with
+ * everything that cascaded away with it.
+ */
+async function purgeRule(env, rule, filter, archivedAt) {
+  const d1 = env.THREAT_INTEL_DB;
+  const { table, where, params } = filter;
+  let purged = 0;
+  const archives = [];
+
+  while (purged < maxPurgePerRule) {
+    const { results: rows } = await d1.prepare(`
+      SELECT * FROM ${rule.table} WHERE ${where} ORDER BY ${table.key} LIMIT ${purgeChunkSize}
+    `).bind(...params).all();
+    if (!rows.length) break;
+
+    const keys = JSON.stringify(rows.map((row) => row[table.key]));
+    const children = {};
+    for (const [childTable, foreignKey] of Object.entries(table.children)) {
+      const { results } = await d1.prepare(`
+        SELECT * FROM ${childTable} WHERE ${foreignKey} IN (SELECT value FROM json_each(?))
+      `).bind(keys).all();
+      children[childTable] = results;
+    }
+
+    const ndjson = rows.map((row) => JSON.stringify({
+      table: rule.table,
+      rule: rule.id,
+      row,
+      children: Object.fromEntries(Object.entries(table.children).map(([childTable, foreignKey]) => [
+        childTable,
+        children[childTable].filter((child) => child[foreignKey] === row[table.key]),
+      ])),
+    })).join("\n");
+
+    const objectKey = `retention/${rule.table}/${archivedAt.slice(0, 10)}/${rule.id}-${archivedAt}-${archives.length}.ndjson`;
+    await env.ARCHIVE_BUCKET.put(objectKey, `${ndjson}\n`, {
+      httpMetadata: { contentType: "application/x-ndjson" },
+      customMetadata: { rule: rule.id, rows: String(rows.length) },
+    });
+    archives.push(objectKey);
+
+    // Only delete what was archived
+    const deletes = (table.deleteChildren || []).map((childTable) => d1.prepare(`
+      DELETE FROM ${childTable} WHERE ${table.children[childTable]} IN (SELECT value FROM json_each(?))
+    `).bind(keys));
+    deletes.push(d1.prepare(`
+      DELETE FROM ${rule.table} WHERE ${table.key} IN (SELECT value FROM json_each(?))
+    `).bind(keys));
+    const deleted = await d1.batch(deletes);
+    purged += deleted.at(-1).meta?.changes || 0;
+
+    if (rows.length < purgeChunkSize) break;
+  }
+
+  return { purged, archives };
+}
+
+/**
+ * Apply the retention policy. With `dryRun` nothing is archived or deleted:
+ * each rule reports how many rows it would purge and a sample of their keys.
+ * Without an ARCHIVE_BUCKET binding rows are never deleted.
+ */
+export async function applyRetention(env, { dryRun = false, now = new Date() } = {}) {
+  console.log(`[Retention] Starting ${dryRun ? "dry run" : "purge"}`);
+  const startTime = Date.now();
+  const d1 = env.THREAT_INTEL_DB;
+  const archivedAt = now.toISOString();
+  const results = [];
+
+  let rules;
+  try {
+    rules = getRetentionRules(env);
+  } catch (error) {
+    console.error('[Retention] Rules not applied:', error);
+    return { error: error.message };
+  }
+
+  if (!dryRun && !env.ARCHIVE_BUCKET) {
+    return { error: "ARCHIVE_BUCKET is not bound: refusing to delete rows without archiving them" };
+  }
+
+  for (const rule of rules) {
+    const result = { rule: rule.id, table: rule.table, ageColumn: rule.ageColumn, maxAgeDays: rule.maxAgeDays };
+    try {
+      if (rule.pausedBy && (await getFetchMetadata(d1, rule.pausedBy))) {
+        results.push({ ...result, skipped: `paused while ${rule.pausedBy} is in use` });
+        continue;
+      }
+
+      const filter = ruleFilter(rule, now);
+      result.cutoff = filter.cutoff;
+
+      if (dryRun) {
+        const count = await d1.prepare(`
+          SELECT COUNT(*) AS count FROM ${rule.table} WHERE ${filter.where}
+        `).bind(...filter.params).first();
+        const { results: sample } = await d1.prepare(`
+          SELECT ${filter.table.key} AS key FROM ${rule.table} WHERE ${filter.where}
+          ORDER BY ${filter.table.key} LIMIT ${sampleSize}
+        `).bind(...filter.params).all();
+        results.push({ ...result, wouldPurge: count?.count || 0, sample: sample.map((row) => row.key) });
+      } else {
+        results.push({ ...result, ...(await purgeRule(env, rule, filter, archivedAt)) });
+      }
+    } catch (error) {
+      console.error(`[Retention] Rule ${rule.id} failed:`, error);
+      results.push({ ...result, error: error.message });
+    }
+  }
+
+  if (!dryRun) {
+    const purged = results.reduce((sum, rule) => sum + (rule.purged || 0), 0);
+    await updateFetchMetadata(d1, source, archivedAt, 0, purged);
+  }
+
+  const summary = {
+    dryRun,
+    rules: results,
+    totalExecutionTime: `${Date.now() - startTime}ms`,
+  };
+  console.log('[Retention] Complete:', summary);
+  return summary;
+}
+
+/**
+ * Whether the last purge is more than a day old
+ */
+export async function retentionDue(env) {
+  const metadata = await getFetchMetadata(env.THREAT_INTEL_DB, source);
+  return !metadata?.last_fetch_time || Date.now() - Date.parse(metadata.last_fetch_time) >= dayMs;
+}
@@ -0,0 +1,55 @@
+/**
+ * Schema version check. The worker refuses to ingest into a database that
+ * is missing migrations the code depends on, instead of failing row by row.
+ */
+
+/**
+ * Latest migration the code requires. Bump it with every migration the
+ * worker reads or writes.
+ */
+export const requiredMigration = "0019_graphql.sql";
+
+/**
+ * Table wrangler records applied migrations in (`migrations_table` in wrangler.toml)
+ */
+const migrationsTable = "d1_migrations";
+
+// Once the database is up to date it stays so for the life of the isolate
+let schemaVerified = false;
+
+/**
+ * Number a migration file name starts with, compared instead of the name so
+ * a longer or shorter prefix still orders correctly
+ */
+const migrationNumber = (name) => parseInt(name, 10);
+
+/**
+ * Check the required migration was applied. Resolves with `{ ok: true }`,
+ * or `{ ok: false, error, latestApplied }` when the database is behind.
+ */
+export async function checkSchemaVersion(env) {
+  if (schemaVerified) return { ok: true };
+
+  const d1 = env.THREAT_INTEL_DB;
+  let latestApplied = null;
+  try {
+    const latest = await d1.prepare(`
+      SELECT name FROM ${migrationsTable} ORDER BY CAST(name AS INTEGER) DESC, name DESC LIMIT 1
+    `).first();
+    latestApplied = latest?.name || null;
+  } catch (error) {
+    console.error('[Schema] Could not read applied migrations:', error);
+  }
+
+  if (latestApplied && migrationNumber(latestApplied) >= migrationNumber(requiredMigration)) {
+    schemaVerified = true;
+    return { ok: true };
+  }
+
+  const error =
+    `Database schema is behind the code: migration ${requiredMigration} is required ` +
+    `but the latest applied is ${latestApplied || "none"}. ` +
+    "Run `wrangler d1 migrations apply threat_intel` before ingesting.";
+  console.error(`[Schema] ${error}`);
+  return { ok: false, error, latestApplied };
+}
@@ -1,87 +1,552 @@
 import { sendToLogQueue } from "../utils/log.js";
+import {
+  handleCveMetrics,
+  handleAffectedProducts,
+  handleCveList,
+  handleSearch,
+  handleEpssMovers,
+  handleCveAdvisories,
+  handlePackageVulnerabilities,
+  handleCveHistory,
+  handleRescoredCves,
+  handleFindingList,
+  handleFindingCreate,
+  handleRunList,
+  handleRun,
+  errorResponse,
+  handleCveDetail,
+} from "./api.js";
+import { parseCpe } from "../core/cpe.js";
+import { getFetchMetadata, updateFetchMetadata, saveSyncCursor, recordFetchError } from "./d1-adapter.js";
+import { fetchWithRetry, nvdRateLimiter } from "../utils/http.js";
+import { fetchKevCatalog, KevCatalogError } from "./feeds/kev.js";
+import { fetchEpssScores } from "./feeds/epss.js";
+import { fetchMispEventsChunk } from "./feeds/misp.js";
+import { fetchRssFeeds, rssSubrequests } from "./feeds/rss.js";
+import { fetchTaxiiCollections, taxiiSubrequests } from "./feeds/taxii.js";
+import { importOsvPayload, fetchOsvEcosystem, osvSubrequests } from "./feeds/osv.js";
+import { abuseChFeeds, fetchAbuseChFeed } from "./feeds/abusech.js";
+import { runIngestSources } from "./orchestrator.js";
+import { checkSchemaVersion, requiredMigration } from "./schema.js";
+import { withIngestRun, addRunCounts } from "./ingest-runs.js";
+import { handleGraphQL } from "./graphql.js";
+import { applyRetention, retentionDue, retentionSubrequests } from "./retention.js";
 const dataRetentionDays = 30;
+const nvdMaxRangeDays = 120; // NVD rejects date ranges longer than 120 days
+const dayMs = 24 * 60 * 60 * 1000;
+
+/**
+ * Queue-driven NVD ingestion, see [[queues.consumers]] in wrangler.toml.
+ * Pages are smaller than the 700 of fetchNvdDataChunk so a consumer batch
+ * of several pages stays within the subrequest limit.
+ */
+const nvdQueuePageSize = 200;
+const nvdQueueSendBatchSize = 100; // Queues sendBatch limit
+const nvdPageRetryDelaySeconds = 30;
+const nvdPageQueue = "threat-intel-nvd-pages";
+const deadLetterQueue = "threat-intel-ingest-dlq";
+
+/**
+ * Cron schedules, see [triggers] in wrangler.toml
+ */
+const kevCron = "0 6 * * *";
+const epssCron = "0 14 * * *";
+const ingestCron = "*/15 * * * *";
+
+/**
+ * NVD sync modes. Each keeps its own cursor in fetch_metadata:
+ * - incremental: rolling lastModified sync starting `dataRetentionDays` back
+ * - backfill: walks the whole corpus by published date, oldest first
+ */
+const nvdSyncModes = {
+  incremental: {
+    source: "nvd",
+    dateParam: "lastMod",
+    initialStart: (now) => new Date(now.getTime() - dataRetentionDays * dayMs),
+  },
+  backfill: {
+    source: "nvd-backfill",
+    dateParam: "pub",
+    initialStart: () => new Date("1988-01-01T00:00:00.000Z"), // before the oldest published CVE
+  },
+};
+
+/**
+ * Sources drained by the scheduled orchestrator, in rotation order.
+ * `cost` is the estimated subrequests (fetches and D1 calls) of one chunk;
+ * fetches count with their retries.
+ */
+const ingestSources = [
+  {
+    id: "nvd",
+    run: (env, run) => fetchNvdDataChunk(env, nvdSyncModes.incremental, run),
+    // Up to 4 NVD requests, 4 metadata calls and ~30 D1 batches of a 700-result
+    // page (about 20 statements per CVE, 500 per batch), with room for bisected batches
+    cost: 60,
+  },
+  {
+    id: "nvd-backfill",
+    run: (env, run) => fetchNvdDataChunk(env, nvdSyncModes.backfill, run),
+    cost: 60,
+    // Only once a backfill was started through /backfillnvd
+    enabled: async (env) => Boolean(await getFetchMetadata(env.THREAT_INTEL_DB, nvdSyncModes.backfill.source)),
+  },
+  {
+    id: "misp",
+    run: fetchMispEventsChunk,
+    // Up to 4 requests and 3 metadata calls, then per event of the 50-event page
+    // its batch, ~2 indicator batches, the withdrawal update and threat objects
+    cost: 260,
+    enabled: async (env) => Boolean(env.MISP_API_KEY),
+  },
+  { id: "rss", run: fetchRssFeeds, cost: rssSubrequests },
+  {
+    id: "taxii",
+    run: fetchTaxiiCollections,
+    cost: taxiiSubrequests,
+    enabled: async (env) => Boolean(env.TAXII_SERVERS),
+  },
+  // Indicator batches of 50 for the size of each snapshot, plus the request,
+  // metadata and expiry calls
+  ...Object.entries({ urlhaus: 420, threatfox: 50, feodotracker: 10 }).map(([feedId, cost]) => ({
+    id: feedId,
+    run: (env) => fetchAbuseChFeed(env, feedId),
+    cost,
+  })),
+  {
+    id: "retention",
+    run: (env) => applyRetention(env),
+    cost: retentionSubrequests,
+    // Daily, and only where expired rows can be archived
+    enabled: async (env) => Boolean(env.ARCHIVE_BUCKET) && (await retentionDue(env)),
+  },
+  {
+    id: "osv",
+    // OSV_ECOSYSTEMS is a JSON array of ecosystems to sync, e.g. ["npm", "PyPI"]
+    run: async (env, run) => {
+      const results = [];
+      for (const ecosystem of JSON.parse(env.OSV_ECOSYSTEMS)) {
+        results.push(await fetchOsvEcosystem(env, ecosystem, run));
+      }
+      const failed = results.find((result) => result.error);
+      return {
+        ecosystems: results,
+        error: failed?.error,
+        retryable: failed?.retryable,
+        hasMore: results.some((result) => result.hasMore),
+      };
+    },
+    cost: osvSubrequests,
+    enabled: async (env) => Boolean(env.OSV_ECOSYSTEMS),
+  },
+];
+
 /**
  * Main Worker entry point:
- * - Exposes a single route `/fetchnvd`
+ * - `/fetchnvd` incremental NVD sync
+ * - `/backfillnvd` resumable full NVD backfill
+ * - `/queuenvd?mode=backfill&retryDead=true` enqueue the pages of the next NVD window
+ *   for the queue() consumer, or report on / close the current one
+ * - `/fetchkev` CISA KEV catalog (POST a saved catalog to ingest it offline)
+ * - `/fetchepss` FIRST EPSS daily scores (POST a saved .csv or .csv.gz to import it offline)
+ * - `/fetchmisp` one page of MISP events changed since the last sync
+ * - `/fetchrss` vendor advisory and security news RSS/Atom feeds
+ * - `/fetchtaxii` STIX objects from the TAXII 2.1 collections in TAXII_SERVERS
+ * - `/fetchabusech?feed=` URLhaus, ThreatFox or Feodo Tracker IOCs (POST a saved dump to import it offline)
+ * - `/fetchosv?ecosystem=` OSV advisories of one ecosystem (POST an OSV zip export or JSON records to import them)
+ * - `GET /cves/:id?fields=&refresh=true` the full enriched record of a CVE (ETag, projection,
+ *   fetched from NVD when not stored yet and `refresh=true`)
+ * - `GET /cves/:id/metrics` stored CVSS metrics of a CVE
+ * - `GET /cves/:id/advisories` advisories mentioning a CVE
+ * - `GET /cves/:id/history` timeline of changes to a CVE's description, score, severity, vector, CWE and NVD status
+ * - `GET /cves/rescored?days=&escalated=&minSeverity=` CVEs whose score or severity changed recently
+ * - `GET /affected?cpe=` CVEs affecting a CPE 2.3 string
+ * - `GET /packages/vulnerabilities?purl=` OSV advisories affecting a package version
+ * - `GET /cves?severity=&minScore=&cwe=&publishedFrom=&kev=&minEpss=&q=&sort=&cursor=` CVE search with
+ *   cursor pagination, see handleCveList for every filter
+ * - `GET /search?q=` full-text CVE search ranked by relevance with highlighted snippets; takes the /cves filters
+ * - `GET /findings?status=&cveId=&project=` downstream findings; `POST /findings` record one (closed if its CVE is rejected)
+ * - `GET /epss/movers?delta=&days=` CVEs whose EPSS score jumped
+ * - `GET /retention/preview` what the retention policy would purge; `POST /retention/run` archive and purge
+ * - `GET /runs?source=&trigger=&status=` ingest ledger; `GET /runs/:id` one run with its failed rows
+ * - `GET|POST /graphql` CVEs, metrics, references, indicators, projects and findings in one query,
+ *   with depth/complexity limits and persisted queries, see graphql.js
+ *
+ * Ingest routes, the queue consumer and the crons refuse to run (503) while
+ * the database is missing migrations, see schema.js.
  */
 export default {
   async fetch(request, env) {
     console.log('[Worker] Starting worker execution');
     const url = new URL(request.url);
+    const metricsMatch = url.pathname.match(/^\/cves\/(CVE-\d{4}-\d{4,})\/metrics$/i);
+    const advisoriesMatch = url.pathname.match(/^\/cves\/(CVE-\d{4}-\d{4,})\/advisories$/i);
+    const historyMatch = url.pathname.match(/^\/cves\/(CVE-\d{4}-\d{4,})\/history$/i);
+    const cveMatch = url.pathname.match(/^\/cves\/(CVE-\d{4}-\d{4,})$/i);
+    const runMatch = url.pathname.match(/^\/runs\/([0-9a-f-]{36})$/i);
+    const ingestRoute = /^\/(fetch\w+|backfillnvd|queuenvd|retention\/run)$/.test(url.pathname);
+    // Each ingest request is one entry of the ingest ledger
+    const httpRun = (source, ingest) => withIngestRun(env, { source, trigger: "http" }, ingest);
 
     try {
+      if (ingestRoute) {
+        const schema = await checkSchemaVersion(env);
+        if (!schema.ok) {
+          return new Response(JSON.stringify({
+            error: { code: "schema_behind", message: schema.error },
+            requiredMigration,
+            latestApplied: schema.latestApplied,
+          }), {
+            status: 503,
+            headers: { "Content-Type": "application/json" },
+          });
+        }
+      }
+
       if (url.pathname === "/fetchnvd") {
         console.log('[Worker] Handling /fetchnvd route');
-        const result = await fetchNvdDataChunk(env);
+        const result = await httpRun("nvd", (run) => fetchNvdDataChunk(env, nvdSyncModes.incremental, run));
+        return new Response(JSON.stringify(result), {
+          status: 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      } else if (url.pathname === "/backfillnvd") {
+        console.log('[Worker] Handling /backfillnvd route');
+        const result = await httpRun("nvd-backfill", (run) => fetchNvdDataChunk(env, nvdSyncModes.backfill, run));
+        return new Response(JSON.stringify(result), {
+          status: 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      } else if (url.pathname === "/queuenvd") {
+        console.log('[Worker] Handling /queuenvd route');
+        const mode = url.searchParams.get("mode") === "backfill" ? nvdSyncModes.backfill : nvdSyncModes.incremental;
+        const result = await coordinateNvdQueue(env, mode, {
+          retryDead: url.searchParams.get("retryDead") === "true",
+        });
+        return new Response(JSON.stringify(result), {
+          status: result.error ? 502 : 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      } else if (url.pathname === "/fetchkev") {
+        console.log('[Worker] Handling /fetchkev route');
+        const catalogText = request.method === "POST" ? await request.text() : null;
+        let result;
+        try {
+          result = await httpRun("kev", () => fetchKevCatalog(env, { catalogText }));
+        } catch (error) {
+          if (catalogText && error instanceof KevCatalogError) {
+            return errorResponse(400, "invalid_body", error.message);
+          }
+          throw error;
+        }
+        return new Response(JSON.stringify(result), {
+          status: result.error ? 502 : 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      } else if (url.pathname === "/fetchepss") {
+        console.log('[Worker] Handling /fetchepss route');
+        const payload = request.method === "POST" ? await request.arrayBuffer() : null;
+        const result = await httpRun("epss", () => fetchEpssScores(env, {
+          payload,
+          force: url.searchParams.get("force") === "true",
+        }));
+        return new Response(JSON.stringify(result), {
+          status: result.error ? 502 : 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      } else if (url.pathname === "/fetchmisp") {
+        console.log('[Worker] Handling /fetchmisp route');
+        const result = await httpRun("misp", () => fetchMispEventsChunk(env));
+        return new Response(JSON.stringify(result), {
+          status: result.error ? 502 : 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      } else if (url.pathname === "/fetchrss") {
+        console.log('[Worker] Handling /fetchrss route');
+        const result = await httpRun("rss", () => fetchRssFeeds(env));
         return new Response(JSON.stringify(result), {
           status: 200,
           headers: { "Content-Type": "application/json" },
         });
+      } else if (url.pathname === "/fetchtaxii") {
+        console.log('[Worker] Handling /fetchtaxii route');
+        const result = await httpRun("taxii", () => fetchTaxiiCollections(env));
+        return new Response(JSON.stringify(result), {
+          status: 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      } else if (url.pathname === "/fetchabusech") {
+        console.log('[Worker] Handling /fetchabusech route');
+        const feedId = url.searchParams.get("feed");
+        if (!abuseChFeeds[feedId]) {
+          return errorResponse(400, "invalid_parameter", `Unknown feed, expected one of: ${Object.keys(abuseChFeeds).join(", ")}`);
+        }
+        const payloadText = request.method === "POST" ? await request.text() : null;
+        const result = await httpRun(feedId, () => fetchAbuseChFeed(env, feedId, { payloadText }));
+        return new Response(JSON.stringify(result), {
+          status: result.error ? 502 : 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      } else if (url.pathname === "/fetchosv") {
+        console.log('[Worker] Handling /fetchosv route');
+        const ecosystem = url.searchParams.get("ecosystem");
+        if (request.method !== "POST" && !ecosystem) {
+          return errorResponse(400, "invalid_parameter", "POST an OSV export, or pass ?ecosystem= to sync from OSV.dev");
+        }
+        const payload = request.method === "POST" ? await request.arrayBuffer() : null;
+        const result = await httpRun("osv", (run) => payload
+          ? importOsvPayload(env, payload)
+          : fetchOsvEcosystem(env, ecosystem, run));
+        return new Response(JSON.stringify(result), {
+          status: result.error ? 502 : 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      } else if (url.pathname === "/packages/vulnerabilities" && request.method === "GET") {
+        console.log('[Worker] Handling /packages/vulnerabilities route');
+        return await handlePackageVulnerabilities(env, url.searchParams);
+      } else if (url.pathname === "/retention/preview" && request.method === "GET") {
+        console.log('[Worker] Handling /retention/preview route');
+        const result = await applyRetention(env, { dryRun: true });
+        return new Response(JSON.stringify(result), {
+          status: 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      } else if (url.pathname === "/retention/run" && request.method === "POST") {
+        console.log('[Worker] Handling /retention/run route');
+        const result = await applyRetention(env);
+        return new Response(JSON.stringify(result), {
+          status: result.error ? 503 : 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      } else if (url.pathname === "/epss/movers" && request.method === "GET") {
+        console.log('[Worker] Handling /epss/movers route');
+        return await handleEpssMovers(env, url.searchParams);
+      } else if (metricsMatch && request.method === "GET") {
+        console.log('[Worker] Handling /cves/:id/metrics route');
+        return await handleCveMetrics(env, metricsMatch[1].toUpperCase());
+      } else if (advisoriesMatch && request.method === "GET") {
+        console.log('[Worker] Handling /cves/:id/advisories route');
+        return await handleCveAdvisories(env, advisoriesMatch[1].toUpperCase());
+      } else if (historyMatch && request.method === "GET") {
+        console.log('[Worker] Handling /cves/:id/history route');
+        return await handleCveHistory(env, historyMatch[1].toUpperCase());
+      } else if (url.pathname === "/cves/rescored" && request.method === "GET") {
+        console.log('[Worker] Handling /cves/rescored route');
+        return await handleRescoredCves(env, url.searchParams);
+      } else if (cveMatch && request.method === "GET") {
+        console.log('[Worker] Handling /cves/:id route');
+        return await handleCveDetail(env, cveMatch[1].toUpperCase(), url.searchParams, request, {
+          refresh: fetchNvdCve,
+        });
+      } else if (url.pathname === "/cves" && request.method === "GET") {
+        console.log('[Worker] Handling /cves route');
+        return await handleCveList(env, url.searchParams);
+      } else if (url.pathname === "/search" && request.method === "GET") {
+        console.log('[Worker] Handling /search route');
+        return await handleSearch(env, url.searchParams);
+      } else if (url.pathname === "/findings" && request.method === "GET") {
+        console.log('[Worker] Handling GET /findings route');
+        return await handleFindingList(env, url.searchParams);
+      } else if (url.pathname === "/findings" && request.method === "POST") {
+        console.log('[Worker] Handling POST /findings route');
+        let body;
+        try {
+          body = await request.json();
+        } catch {
+          return errorResponse(400, "invalid_body", "Request body must be JSON");
+        }
+        return await handleFindingCreate(env, body);
+      } else if (url.pathname === "/runs" && request.method === "GET") {
+        console.log('[Worker] Handling /runs route');
+        return await handleRunList(env, url.searchParams);
+      } else if (runMatch && request.method === "GET") {
+        console.log('[Worker] Handling /runs/:id route');
+        return await handleRun(env, runMatch[1].toLowerCase());
+      } else if (url.pathname === "/affected" && request.method === "GET") {
+        console.log('[Worker] Handling /affected route');
+        return await handleAffectedProducts(env, url.searchParams.get("cpe"));
+      } else if (url.pathname === "/graphql" && ["GET", "POST"].includes(request.method)) {
+        console.log('[Worker] Handling /graphql route');
+        return await handleGraphQL(env, request, url);
       } else {
         console.log(`[Worker] Route not found: ${url.pathname}`);
-        return new Response("Not Found", { status: 404 });
+        return errorResponse(404, "not_found", `No route for ${request.method} ${url.pathname}`);
       }
     } catch (error) {
       console.error('[Worker] Error in fetch handler:', error);
-      return new Response(`Error: ${error.message}`, { status: 500 });
+      return errorResponse(500, "internal_error", error.message);
+    }
+  },
+
+  /**
+   * Queue consumer of the NVD page queue (NVD_QUEUE) and its dead-letter
+   * queue. `nvd-page` messages are NVD pages planned by coordinateNvdQueue.
+   */
+  async queue(batch, env) {
+    console.log(`[Worker] Queue batch of ${batch.messages.length} from ${batch.queue}`);
+
+    if (batch.queue !== nvdPageQueue && batch.queue !== deadLetterQueue) {
+      console.warn(`[Queue] No consumer for queue ${batch.queue}, acknowledging batch`);
+      batch.ackAll();
+      return;
+    }
+
+    for (const message of batch.messages) {
+      const body = message.body;
+      if (body?.type !== "nvd-page") {
+        console.warn('[Queue] Unexpected message on NVD page queue:', body);
+        message.ack();
+        continue;
+      }
+
+      if (batch.queue === deadLetterQueue) {
+        console.error('[Queue] NVD page dead-lettered:', body);
+        try {
+          await recordNvdPageFailure(env, body, message.attempts, null, true);
+          message.ack();
+        } catch (error) {
+          console.error('[Queue] Failed to mark NVD page dead:', error);
+          message.retry({ delaySeconds: nvdPageRetryDelaySeconds });
+        }
+        continue;
+      }
+
+      const schema = await checkSchemaVersion(env);
+      if (!schema.ok) {
+        message.retry({ delaySeconds: nvdPageRetryDelaySeconds * message.attempts });
+        continue;
+      }
+
+      try {
+        await withIngestRun(env, { source: body.source, trigger: "queue" }, (run) =>
+          processNvdPage(env, body, message.attempts, run)
+        );
+        message.ack();
+      } catch (error) {
+        console.error('[Queue] NVD page failed:', { page: body, attempts: message.attempts, error: error.message });
+        try {
+          await recordNvdPageFailure(env, body, message.attempts, error.message);
+        } catch (recordError) {
+          console.error('[Queue] Failed to record NVD page failure:', recordError);
+        }
+        message.retry({ delaySeconds: nvdPageRetryDelaySeconds * message.attempts });
+      }
+    }
+  },
+
+  /**
+   * Cron entry point, dispatched on the schedule that fired
+   */
+  async scheduled(event, env, ctx) {
+    console.log(`[Worker] Scheduled run for cron: ${event.cron}`);
+
+    const schema = await checkSchemaVersion(env);
+    if (!schema.ok) {
+      await sendToLogQueue(env, { type: "schema", error: schema.error, cron: event.cron });
+      return;
+    }
+
+    const cronRun = (source, ingest) => withIngestRun(env, { source, trigger: "cron" }, ingest);
+
+    if (event.cron === kevCron) {
+      ctx.waitUntil(
+        cronRun("kev", () => fetchKevCatalog(env)).catch((error) => {
+          console.error('[Worker] Scheduled KEV ingestion failed:', error);
+        })
+      );
+    }
+
+    if (event.cron === ingestCron) {
+      ctx.waitUntil(
+        runIngestSources(env, ingestSources).catch((error) => {
+          console.error('[Worker] Scheduled ingest failed:', error);
+        })
+      );
+    }
+
+    if (event.cron === epssCron) {
+      ctx.waitUntil(
+        cronRun("epss", () => fetchEpssScores(env)).catch((error) => {
+          console.error('[Worker] Scheduled EPSS import failed:', error);
+        })
+      );
     }
   },
 };
 
 /**
- * Fetch only one chunk of NVD data in each invocation
+ * Fetch only one chunk of NVD data in each invocation. `run` is the
+ * ingest_runs entry the chunk is recorded in, see withIngestRun.
  */
-async function fetchNvdDataChunk(env) {
-  console.log('[NVD] Starting to fetch NVD data chunk');
+async function fetchNvdDataChunk(env, mode = nvdSyncModes.incremental, run = null) {
+  console.log(`[NVD] Starting to fetch NVD data chunk (${mode.source})`);
   const startTime = Date.now();
   const d1 = env.THREAT_INTEL_DB;
-  const source = "nvd";
-  const pageSize = 700; // process 500 CVEs per invocation
+  const { source, dateParam } = mode;
+  const pageSize = 700; // NVD results fetched per invocation
   
   // Retrieve last fetch metadata
   console.log('[NVD] Retrieving fetch metadata');
   const metadata = await getFetchMetadata(d1, source);
   console.log('[NVD] Current metadata:', metadata);
-  const {
+
+  // A window planned by coordinateNvdQueue belongs to the queue consumer until closed
+  const queuedPlan = await d1.prepare(`
+    SELECT COUNT(*) AS pages FROM nvd_page_plan WHERE source = ?
+  `).bind(source).first();
+  if (queuedPlan?.pages) {
+    return {
+      hasMore: false,
+      queuedPages: queuedPlan.pages,
+      message: "The current window is being ingested through the queue, see /queuenvd",
+    };
+  }
+
+  let {
     next_start_index = 0,
+    high_water_mark = null,
+    window_start = null,
+    window_end = null,
   } = metadata || {};
 
-  // Always fetch the last 30 days, rather than using last_fetch_time.
-  
-  const daysAgo = new Date();
-  daysAgo.setDate(daysAgo.getDate() - dataRetentionDays);
-  const lastModStartDate = daysAgo.toISOString();
-  const lastModEndDate = new Date().toISOString();
+  // Page through a frozen window so next_start_index keeps pointing into the
+  // same result set; only plan a new one once the previous window is exhausted.
+  if (!window_start || !window_end) {
+    const window = planNvdWindow(high_water_mark, mode);
+    window_start = window.start;
+    window_end = window.end;
+    next_start_index = 0;
+    console.log('[NVD] Planned new sync window:', window);
+  }
+  const windowStartDate = window_start;
+  const windowEndDate = window_end;
+
+  if (run) {
+    run.windowStart = windowStartDate;
+    run.windowEnd = windowEndDate;
+    run.pagesFetched = 0;
+  }
 
-  console.log(`[NVD] Fetching data from ${lastModStartDate} to ${lastModEndDate}`);
+  console.log(`[NVD] Fetching data (${dateParam}) from ${windowStartDate} to ${windowEndDate}`);
   console.log(`[NVD] Starting from index: ${next_start_index}`);
 
   // Construct request for a single chunk
   const requestURL =
     `https://services.nvd.nist.gov/rest/json/cves/2.0/?resultsPerPage=${pageSize}` +
     `&startIndex=${next_start_index}` +
-    `&lastModStartDate=${lastModStartDate}` +
-    `&lastModEndDate=${lastModEndDate}`;
+    `&${dateParam}StartDate=${windowStartDate}` +
+    `&${dateParam}EndDate=${windowEndDate}`;
   console.log('[NVD] Request URL:', requestURL);
 
   let response;
   try {
     console.log('[NVD] Sending request to NVD API');
-    response = await fetch(requestURL, {
-      headers: {
-        Accept: "application/json",
-        apiKey: env.NVD_API_KEY,
-      },
-    });
-  } catch (e) {
-    console.error('[NVD] API request failed:', e);
-    return { error: `NVD API request failed: ${e.message}`, nextIndex: next_start_index };
-  }
-
-  if (!response.ok) {
-    const errorBody = await response.text();
-    console.error('[NVD] API error response:', errorBody);
-    return { error: `NVD API error: ${errorBody}`, nextIndex: next_start_index };
+    response = await fetchNvd(env, requestURL);
+  } catch (error) {
+    // The cursor is untouched, the next run retries the same page
+    console.error('[NVD] API request failed:', error);
+    await recordFetchError(d1, source, error);
+    return { error: `NVD API request failed: ${error.message}`, retryable: error.retryable, nextIndex: next_start_index };
   }
 
   const responseData = await response.json();
@@ -96,48 +561,60 @@ async function fetchNvdDataChunk(env) {
 
   // Store this chunk
   console.log('[NVD] Storing vulnerabilities in D1');
-  await storeVulnerabilitiesInD1(d1, processedData, env);
-  
-  // Clean up old vulnerabilities after storing
-  await cleanupOldVulnerabilities(d1);
+  const storage = await storeVulnerabilitiesInD1(d1, processedData, env, run?.id ?? null);
+  if (run) {
+    run.pagesFetched = 1;
+    addRunCounts(run, { ...storage, failed: storage.errorCount });
+  }
 
   // Update metadata
   const newStartIndex = next_start_index + (responseData.resultsPerPage || 0);
-  const hasMore = newStartIndex < totalEntries;
+  const windowComplete = newStartIndex >= totalEntries;
+
+  // Once the frozen window is exhausted, advance the high-water mark to its end.
+  // A window shorter than the NVD maximum was capped at "now", so we are caught up.
+  const reachedPresent =
+    Date.parse(windowEndDate) - Date.parse(windowStartDate) < nvdMaxRangeDays * dayMs;
+  const hasMore = !windowComplete || !reachedPresent;
+  const cursor = windowComplete
+    ? { highWaterMark: windowEndDate, windowStart: null, windowEnd: null }
+    : { highWaterMark: high_water_mark, windowStart: windowStartDate, windowEnd: windowEndDate };
 
-  console.log(`[NVD] Progress: ${newStartIndex}/${totalEntries} (${((newStartIndex/totalEntries)*100).toFixed(2)}%)`);
+  // Progress through the frozen window, not the whole table
+  const percentComplete = totalEntries
+    ? Math.min((newStartIndex / totalEntries) * 100, 100).toFixed(2)
+    : "100.00";
+  console.log(`[NVD] Progress: ${newStartIndex}/${totalEntries} (${percentComplete}%)`);
 
-  // If we still have data, store next_start_index in DB
+  // Store next_start_index for the current window, or reset it for the next one
   // Use the current run time as last fetch time
   const fetchTime = new Date().toISOString();
   console.log('[NVD] Updating fetch metadata');
-  await updateFetchMetadata(d1, source, fetchTime, newStartIndex);
-
-  // Add this before creating result object
-  const existingCount = await d1.prepare(`
-    SELECT COUNT(*) as count 
-    FROM vulnerabilities 
-    WHERE created_at >= ?
-  `).bind(lastModStartDate).first();
+  await updateFetchMetadata(d1, source, fetchTime, windowComplete ? 0 : newStartIndex, processedData.length);
+  await saveSyncCursor(d1, source, cursor);
 
   const result = {
     totalEntries,
     processedEntries: processedData.length,
+    storage,
     newStartIndex,
     hasMore,
     progress: {
-      existingInDb: existingCount?.count || 0,
-      remainingToFetch: totalEntries - newStartIndex,
-      percentComplete: ((existingCount?.count / totalEntries) * 100).toFixed(2),
+      remainingToFetch: Math.max(totalEntries - newStartIndex, 0),
+      percentComplete,
       dateRange: {
-        from: lastModStartDate,
-        to: lastModEndDate,
+        from: windowStartDate,
+        to: windowEndDate,
         retentionDays: dataRetentionDays
-      }
+      },
+      windowComplete,
+      highWaterMark: cursor.highWaterMark
     },
     message: hasMore
-      ? `Processed ${processedData.length} entries. Remaining to fetch: ${totalEntries - newStartIndex} (${((newStartIndex/totalEntries)*100).toFixed(2)}% complete)`
-      : `All caught up with NVD data. Total entries in DB: ${existingCount?.count}`,
+      ? windowComplete
+        ? `Window up to ${windowEndDate} complete. Next window starts from the new high-water mark`
+        : `Processed ${processedData.length} entries. Remaining to fetch: ${totalEntries - newStartIndex} (${percentComplete}% complete)`
+      : `All caught up with NVD data up to ${windowEndDate}`,
     // Calculate and add total execution time
     totalExecutionTime: (() => {
       const totalMs = Date.now() - startTime;
@@ -149,9 +626,8 @@ async function fetchNvdDataChunk(env) {
 
   console.log('[NVD] Progress Summary:', {
     totalVulnerabilities: totalEntries,
-    existingInDb: existingCount?.count || 0,
-    remainingToFetch: totalEntries - newStartIndex,
-    percentComplete: ((existingCount?.count / totalEntries) * 100).toFixed(2) + '%'
+    remainingToFetch: Math.max(totalEntries - newStartIndex, 0),
+    percentComplete: `${percentComplete}%`
   });
 
   console.log('[NVD] Chunk processing complete:', result);
@@ -160,6 +636,432 @@ async function fetchNvdDataChunk(env) {
   return result;
 }
 
+/**
+ * Queue coordinator: plan the pages of a frozen NVD window and enqueue one
+ * `nvd-page` message per page for the queue() consumer. Called again, it
+ * reports progress, and once every page has been acknowledged it advances
+ * the high-water mark and plans the next window. Pages that ended up on the
+ * dead-letter queue keep the window open until re-enqueued with `retryDead`.
+ */
+async function coordinateNvdQueue(env, mode = nvdSyncModes.incremental, { retryDead = false } = {}) {
+  console.log(`[NVD Queue] Coordinating queued ingestion (${mode.source})`);
+  const d1 = env.THREAT_INTEL_DB;
+  const { source, dateParam } = mode;
+
+  const metadata = await getFetchMetadata(d1, source);
+  let {
+    next_start_index = 0,
+    high_water_mark = null,
+    window_start = null,
+    window_end = null,
+  } = metadata || {};
+  let completedWindow = null;
+
+  if (window_start && window_end) {
+    const { results } = await d1.prepare(`
+      SELECT status, COUNT(*) AS pages, SUM(items_stored) AS items
+      FROM nvd_page_plan
+      WHERE source = ? AND window_start = ?
+      GROUP BY status
+    `).bind(source, window_start).all();
+    const pages = Object.fromEntries(results.map((row) => [row.status, row.pages]));
+
+    if (retryDead && pages.dead) {
+      const { results: deadPages } = await d1.prepare(`
+        SELECT start_index, results_per_page FROM nvd_page_plan
+        WHERE source = ? AND window_start = ? AND status = 'dead'
+      `).bind(source, window_start).all();
+      await enqueueNvdPages(env, mode, window_start, window_end, deadPages.map((page) => ({
+        startIndex: page.start_index,
+        resultsPerPage: page.results_per_page,
+      })));
+      return { source, window: { start: window_start, end: window_end }, requeued: deadPages.length };
+    }
+
+    if (pages.queued || pages.dead) {
+      return {
+        source,
+        window: { start: window_start, end: window_end },
+        pages,
+        complete: false,
+        message: pages.dead
+          ? `${pages.dead} page(s) failed permanently, call again with retryDead=true to re-enqueue them`
+          : `${pages.queued} page(s) still queued`,
+      };
+    }
+
+    if (results.length) {
+      // Every page acknowledged: close the window
+      const items = results.reduce((sum, row) => sum + (row.items || 0), 0);
+      await updateFetchMetadata(d1, source, new Date().toISOString(), 0, items);
+      await saveSyncCursor(d1, source, { highWaterMark: window_end, windowStart: null, windowEnd: null });
+      await d1.prepare(`
+        DELETE FROM nvd_page_plan WHERE source = ? AND window_start = ?
+      `).bind(source, window_start).run();
+      console.log(`[NVD Queue] Window ${window_start} - ${window_end} complete`);
+
+      completedWindow = { start: window_start, end: window_end, pages: pages.done, items };
+      high_water_mark = window_end;
+      window_start = window_end = null;
+    }
+    // Otherwise the window was being paged by fetchNvdDataChunk: the queue
+    // takes over from its next_start_index
+  }
+
+  if (!window_start || !window_end) {
+    const window = planNvdWindow(high_water_mark, mode);
+    window_start = window.start;
+    window_end = window.end;
+    next_start_index = 0;
+  }
+
+  // A one-result request is enough to learn the size of the window
+  let response;
+  try {
+    response = await fetchNvd(env,
+      `https://services.nvd.nist.gov/rest/json/cves/2.0/?resultsPerPage=1&startIndex=0` +
+      `&${dateParam}StartDate=${window_start}&${dateParam}EndDate=${window_end}`
+    );
+  } catch (error) {
+    console.error('[NVD Queue] API request failed:', error);
+    await recordFetchError(d1, source, error);
+    return { error: `NVD API request failed: ${error.message}`, retryable: error.retryable, completedWindow };
+  }
+  const { totalResults = 0 } = await response.json();
+
+  const pages = [];
+  for (let startIndex = next_start_index; startIndex < totalResults; startIndex += nvdQueuePageSize) {
+    pages.push({ startIndex, resultsPerPage: nvdQueuePageSize });
+  }
+
+  const reachedPresent =
+    Date.parse(window_end) - Date.parse(window_start) < nvdMaxRangeDays * dayMs;
+
+  if (!pages.length) {
+    await updateFetchMetadata(d1, source, new Date().toISOString(), 0, 0);
+    await saveSyncCursor(d1, source, { highWaterMark: window_end, windowStart: null, windowEnd: null });
+    return {
+      source,
+      completedWindow,
+      window: { start: window_start, end: window_end },
+      pages: 0,
+      hasMore: !reachedPresent,
+      message: "No changes in the window, high-water mark advanced",
+    };
+  }
+
+  // Freeze the window before any page can be processed
+  await updateFetchMetadata(d1, source, new Date().toISOString(), next_start_index, 0);
+  await saveSyncCursor(d1, source, { highWaterMark: high_water_mark, windowStart: window_start, windowEnd: window_end });
+
+  const enqueuedAt = new Date().toISOString();
+  const planStmt = d1.prepare(`
+    INSERT OR REPLACE INTO nvd_page_plan (
+      source, window_start, window_end, start_index, results_per_page, status, enqueued_at
+    ) VALUES (?, ?, ?, ?, ?, 'queued', ?)
+  `);
+  for (let i = 0; i < pages.length; i += nvdQueueSendBatchSize) {
+    await d1.batch(pages.slice(i, i + nvdQueueSendBatchSize).map((page) =>
+      planStmt.bind(source, window_start, window_end, page.startIndex, page.resultsPerPage, enqueuedAt)
+    ));
+  }
+
+  await enqueueNvdPages(env, mode, window_start, window_end, pages);
+
+  const result = {
+    source,
+    completedWindow,
+    window: { start: window_start, end: window_end },
+    totalResults,
+    pages: pages.length,
+    hasMore: true,
+    message: `Enqueued ${pages.length} page(s) of ${nvdQueuePageSize} results`,
+  };
+  console.log('[NVD Queue] Window planned:', result);
+  return result;
+}
+
+/**
+ * Send `nvd-page` messages for planned pages. Pages that could not be sent
+ * are marked dead so the window is not closed with a gap.
+ */
+async function enqueueNvdPages(env, mode, windowStart, windowEnd, pages) {
+  const d1 = env.THREAT_INTEL_DB;
+  const statusStmt = d1.prepare(`
+    UPDATE nvd_page_plan SET status = ?, last_error = ?, enqueued_at = ?
+    WHERE source = ? AND window_start = ? AND start_index = ?
+  `);
+
+  for (let i = 0; i < pages.length; i += nvdQueueSendBatchSize) {
+    const chunk = pages.slice(i, i + nvdQueueSendBatchSize);
+    const enqueuedAt = new Date().toISOString();
+    try {
+      await d1.batch(chunk.map((page) =>
+        statusStmt.bind("queued", null, enqueuedAt, mode.source, windowStart, page.startIndex)
+      ));
+      await env.NVD_QUEUE.sendBatch(chunk.map((page) => ({
+        body: {
+          type: "nvd-page",
+          source: mode.source,
+          windowStart,
+          windowEnd,
+          startIndex: page.startIndex,
+          resultsPerPage: page.resultsPerPage,
+        },
+      })));
+    } catch (error) {
+      console.error('[NVD Queue] Failed to enqueue pages:', error);
+      const failed = pages.slice(i);
+      await d1.batch(failed.map((page) =>
+        statusStmt.bind("dead", `Enqueue failed: ${error.message}`, enqueuedAt, mode.source, windowStart, page.startIndex)
+      ));
+      throw error;
+    }
+  }
+}
+
+/**
+ * Queue consumer body for one `nvd-page` message: fetch, normalize and
+ * store the page, then acknowledge it in the page plan. Throws so the
+ * message is retried when the page could not be fully stored.
+ */
+async function processNvdPage(env, page, attempts, run) {
+  const d1 = env.THREAT_INTEL_DB;
+  const mode = Object.values(nvdSyncModes).find((syncMode) => syncMode.source === page.source);
+  if (!mode) throw new Error(`Unknown NVD sync source: ${page.source}`);
+  console.log(`[NVD Queue] Processing page ${page.startIndex} of ${page.windowStart} - ${page.windowEnd} (${page.source})`);
+  run.windowStart = page.windowStart;
+  run.windowEnd = page.windowEnd;
+  run.pagesFetched = 0;
+
+  // Few in-invocation retries: the queue redelivers with its own backoff
+  const response = await fetchNvd(env,
+    `https://services.nvd.nist.gov/rest/json/cves/2.0/?resultsPerPage=${page.resultsPerPage}` +
+    `&startIndex=${page.startIndex}` +
+    `&${mode.dateParam}StartDate=${page.windowStart}` +
+    `&${mode.dateParam}EndDate=${page.windowEnd}`,
+    { retries: 1 }
+  );
+
+  const responseData = await response.json();
+  const processedData = (responseData.vulnerabilities || []).map(processVulnerabilityItem).filter(Boolean);
+  run.pagesFetched = 1;
+  const storage = await storeVulnerabilitiesInD1(d1, processedData, env, run.id);
+  addRunCounts(run, { ...storage, failed: storage.errorCount });
+  const { successCount, errorCount, batches, durationMs } = storage;
+  console.log(`[NVD Queue] Stored ${successCount} vulnerabilities in ${batches} batches (${durationMs}ms)`);
+  if (errorCount) {
+    throw new Error(`${errorCount} of ${processedData.length} vulnerabilities failed to store`);
+  }
+
+  await d1.prepare(`
+    UPDATE nvd_page_plan
+    SET status = 'done', attempts = ?, items_stored = ?, last_error = NULL, completed_at = ?
+    WHERE source = ? AND window_start = ? AND start_index = ?
+  `).bind(attempts, successCount, new Date().toISOString(), page.source, page.windowStart, page.startIndex).run();
+}
+
+/**
+ * Fetch a single CVE from NVD by id and store it like any page, for
+ * CVEs requested before the sync reached them
+ */
+async function fetchNvdCve(env, cveId) {
+  const schema = await checkSchemaVersion(env);
+  if (!schema.ok) return { error: schema.error };
+
+  return withIngestRun(env, { source: "nvd-cve", trigger: "http" }, async (run) => {
+    console.log(`[NVD] Fetching ${cveId}`);
+    let response;
+    try {
+      response = await fetchNvd(env,
+        `https://services.nvd.nist.gov/rest/json/cves/2.0/?cveId=${encodeURIComponent(cveId)}`,
+        { retries: 1 }
+      );
+    } catch (error) {
+      console.error(`[NVD] Fetching ${cveId} failed:`, error);
+      return { error: `NVD API request failed: ${error.message}`, retryable: error.retryable };
+    }
+
+    run.pagesFetched = 1;
+    const responseData = await response.json();
+    const processedData = (responseData.vulnerabilities || []).map(processVulnerabilityItem).filter(Boolean);
+    const storage = await storeVulnerabilitiesInD1(env.THREAT_INTEL_DB, processedData, env, run.id);
+    addRunCounts(run, { ...storage, failed: storage.errorCount });
+
+    return {
+      cveId,
+      found: processedData.length > 0,
+      stored: storage.successCount,
+      error: storage.errorCount ? `${cveId} could not be stored` : undefined,
+    };
+  });
+}
+
+/**
+ * Record a failed delivery of an `nvd-page` message; `dead` once it reached
+ * the dead-letter queue
+ */
+async function recordNvdPageFailure(env, page, attempts, error, dead = false) {
+  await env.THREAT_INTEL_DB.prepare(`
+    UPDATE nvd_page_plan
+    SET status = CASE WHEN ? THEN 'dead' ELSE status END,
+      attempts = MAX(attempts, ?), last_error = COALESCE(?, last_error)
+    WHERE source = ? AND window_start = ? AND start_index = ? AND status != 'done'
+  `).bind(dead ? 1 : 0, attempts, error, page.source, page.windowStart, page.startIndex).run();
+}
+
+/**
+ * Request the NVD API within its rate limit. NVD answers 403 as well as
+ * 429/503 when throttling, so 403 is retried too.
+ */
+function fetchNvd(env, url, options = {}) {
+  const headers = { Accept: "application/json" };
+  if (env.NVD_API_KEY) headers.apiKey = env.NVD_API_KEY;
+
+  return fetchWithRetry(url, { headers }, {
+    rateLimiter: nvdRateLimiter(env),
+    timeoutMs: 60 * 1000,
+    retryStatuses: [403, 408, 429, 500, 502, 503, 504],
+    ...options,
+  });
+}
+
+/**
+ * Plan the next date window starting at the high-water mark,
+ * capped at NVD's maximum range and at the current time
+ */
+function planNvdWindow(highWaterMark, mode, now = new Date()) {
+  const start = highWaterMark
+    ? new Date(highWaterMark)
+    : mode.initialStart(now);
+  const end = new Date(Math.min(start.getTime() + nvdMaxRangeDays * dayMs, now.getTime()));
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+/**
+ * NVD metric arrays, newest CVSS version first. The authoritative score is
+ * the newest Primary (NVD) metric, falling back to the newest Secondary one.
+ */
+const cvssMetricKeys = [
+  ["cvssMetricV40", "4.0"],
+  ["cvssMetricV31", "3.1"],
+  ["cvssMetricV30", "3.0"],
+  ["cvssMetricV2", "2.0"],
+];
+
+/**
+ * Flatten every CVSS metric of a CVE into one row per (version, source, type).
+ * The authoritative row is the first Primary metric of the newest CVSS
+ * version, or the newest Secondary one when there is no Primary.
+ */
+export function extractCvssMetrics(cveData) {
+  const rows = cvssMetricKeys.flatMap(([key, version]) =>
+    (cveData.metrics?.[key] || []).map((metric) => {
+      const { cvssData = {}, source, type, ...extra } = metric;
+      return {
+        cvssVersion: cvssData.version || version,
+        source: source || "nvd@nist.gov",
+        type: type || "Primary",
+        isAuthoritative: false,
+        vectorString: cvssData.vectorString || null,
+        baseScore: cvssData.baseScore ?? null,
+        // CVSS 2.0 keeps the severity next to cvssData rather than inside it
+        baseSeverity: cvssData.baseSeverity || extra.baseSeverity || null,
+        exploitabilityScore: extra.exploitabilityScore ?? null,
+        impactScore: extra.impactScore ?? null,
+        attackVector: cvssData.attackVector || cvssData.accessVector || null,
+        attackComplexity: cvssData.attackComplexity || cvssData.accessComplexity || null,
+        attackRequirements: cvssData.attackRequirements || null,
+        privilegesRequired: cvssData.privilegesRequired || null,
+        userInteraction: cvssData.userInteraction || null,
+        scope: cvssData.scope || null,
+        authentication: cvssData.authentication || null,
+        confidentialityImpact:
+          cvssData.confidentialityImpact || cvssData.vulnConfidentialityImpact || null,
+        integrityImpact: cvssData.integrityImpact || cvssData.vulnIntegrityImpact || null,
+        availabilityImpact:
+          cvssData.availabilityImpact || cvssData.vulnAvailabilityImpact || null,
+        cvssData: JSON.stringify({ ...cvssData, ...extra }),
+      };
+    })
+  );
+
+  const authoritative = rows.find((row) => row.type === "Primary") || rows[0];
+  if (authoritative) authoritative.isAuthoritative = true;
+  return rows;
+}
+
+/**
+ * Flatten NVD configurations into one row per cpeMatch. In an AND
+ * configuration the non-vulnerable matches are the platforms the vulnerable
+ * product has to run on, so they are attached to it as runningOn.
+ */
+function extractAffectedProducts(cveData) {
+  return (cveData.configurations || []).flatMap((config, configIndex) => {
+    const nodes = config.nodes || [];
+    const runningOn = config.operator === "AND"
+      ? nodes.flatMap((node) => node.cpeMatch || [])
+        .filter((match) => !match.vulnerable)
+        .map((match) => match.criteria)
+      : [];
+
+    return nodes.flatMap((node, nodeIndex) =>
+      (node.cpeMatch || []).filter((match) => match.criteria).map((match) => {
+        const cpe = parseCpe(match.criteria) || {};
+        return {
+          configIndex,
+          configOperator: config.operator || "OR",
+          nodeIndex,
+          nodeOperator: node.operator || "OR",
+          negate: Boolean(node.negate || config.negate),
+          vulnerable: Boolean(match.vulnerable),
+          criteria: match.criteria,
+          matchCriteriaId: match.matchCriteriaId || null,
+          part: cpe.part || null,
+          vendor: cpe.vendor || null,
+          product: cpe.product || null,
+          version: cpe.version || null,
+          update: cpe.update || null,
+          targetSw: cpe.targetSw || null,
+          versionStartIncluding: match.versionStartIncluding || null,
+          versionStartExcluding: match.versionStartExcluding || null,
+          versionEndIncluding: match.versionEndIncluding || null,
+          versionEndExcluding: match.versionEndExcluding || null,
+          runningOn: match.vulnerable && runningOn.length ? JSON.stringify(runningOn) : null,
+        };
+      })
+    );
+  });
+}
+
+/**
+ * Every reference with its NVD tags (Patch, Exploit, Vendor Advisory, ...)
+ */
+function extractReferences(cveData) {
+  return (cveData.references || [])
+    .filter((ref) => ref.url)
+    .map((ref) => ({
+      url: ref.url,
+      source: ref.source || "",
+      tags: JSON.stringify(ref.tags || []),
+    }));
+}
+
+/**
+ * Every CWE of every weakness entry, with the source that assigned it
+ */
+function extractWeaknesses(cveData) {
+  return (cveData.weaknesses || []).flatMap((weakness) =>
+    (weakness.description || [])
+      .filter((d) => d.value && (!d.lang || d.lang === "en"))
+      .map((d) => ({
+        cweId: d.value,
+        source: weakness.source || "",
+        type: weakness.type || null,
+      }))
+  );
+}
+
 /**
  * Convert raw item to simplified format
  */
@@ -167,9 +1069,8 @@ function processVulnerabilityItem(item) {
   if (!item?.cve?.id) return null;
 
   const cveData = item.cve;
-  const metricsV31 = cveData.metrics?.cvssMetricV31?.[0]?.cvssData;
-  const metricsV2 = cveData.metrics?.cvssMetricV2?.[0]?.cvssData;
-  const metrics = metricsV31 || metricsV2 || {};
+  const cvssMetrics = extractCvssMetrics(cveData);
+  const metrics = cvssMetrics.find((row) => row.isAuthoritative) || {};
 
   const cleanedRefUrls = cveData.references
     ?.map((ref) => ref.url)
@@ -183,12 +1084,14 @@ function processVulnerabilityItem(item) {
     source: cveData.sourceIdentifier || "NVD",
     published: cveData.published || null,
     lastModified: cveData.lastModified || null,
-    baseScore: metrics.baseScore || null,
-    baseSeverity:
-      metricsV31?.baseSeverity ||
-      cveData.metrics?.cvssMetricV2?.[0]?.baseSeverity ||
-      null,
+    vulnStatus: cveData.vulnStatus || null,
+    baseScore: metrics.baseScore ?? null,
+    baseSeverity: metrics.baseSeverity || null,
     vectorString: metrics.vectorString || null,
+    metrics: cvssMetrics,
+    affectedProducts: extractAffectedProducts(cveData),
+    references: extractReferences(cveData),
+    weaknesses: extractWeaknesses(cveData),
     cwe: cveData.weaknesses?.[0]?.description?.[0]?.value || null,
     refUrls: cleanedRefUrls,
     fetched_at: new Date().toISOString(),
@@ -196,204 +1099,305 @@ function processVulnerabilityItem(item) {
 }
 
 /**
- * Store vulnerabilities in D1 in batches
+ * Statements per d1.batch() of storeVulnerabilitiesInD1. A CVE's upsert and
+ * child rows always go in the same batch, so a CVE with a larger
+ * configuration gets a batch of its own.
+ */
+const storeBatchMaxStatements = 500;
+
+/**
+ * Prepare the upsert of a CVE and the replacement of its child rows
  */
-async function storeVulnerabilitiesInD1(d1, vulnerabilities, env) {
+function prepareVulnerabilityStatements(d1) {
+  return {
+    // Leads each batch, so inserts and updates are told apart in the same transaction
+    existing: d1.prepare(`
+      SELECT COUNT(*) AS count FROM vulnerabilities WHERE cve_id IN (SELECT value FROM json_each(?))
+    `),
+    vulnerability: d1.prepare(`
+      INSERT INTO vulnerabilities (
+        cve_id, description, source_identifier,
+        published, last_modified, base_score,
+        base_severity, vector_string, cwe,
+        ref_urls, created_at, last_seen, last_ingest_run_id, vuln_status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(cve_id) DO UPDATE SET
+        description = excluded.description,
+        source_identifier = excluded.source_identifier,
+        published = excluded.published,
+        last_modified = excluded.last_modified,
+        base_score = excluded.base_score,
+        base_severity = excluded.base_severity,
+        vector_string = excluded.vector_string,
+        cwe = excluded.cwe,
+        ref_urls = excluded.ref_urls,
+        last_seen = excluded.last_seen,
+        last_ingest_run_id = excluded.last_ingest_run_id,
+        vuln_status = excluded.vuln_status
+    `),
+    deleteMetrics: d1.prepare(`
+      DELETE FROM vulnerability_metrics WHERE cve_id = ?
+    `),
+    metric: d1.prepare(`
+      INSERT OR REPLACE INTO vulnerability_metrics (
+        cve_id, cvss_version, source, type, is_authoritative,
+        vector_string, base_score, base_severity,
+        exploitability_score, impact_score,
+        attack_vector, attack_complexity, attack_requirements,
+        privileges_required, user_interaction, scope, authentication,
+        confidentiality_impact, integrity_impact, availability_impact,
+        cvss_data
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    deleteProducts: d1.prepare(`
+      DELETE FROM cve_affected_products WHERE cve_id = ?
+    `),
+    product: d1.prepare(`
+      INSERT INTO cve_affected_products (
+        cve_id, config_index, config_operator, node_index, node_operator,
+        negate, vulnerable, criteria, match_criteria_id,
+        part, vendor, product, version, cpe_update, target_sw,
+        version_start_including, version_start_excluding,
+        version_end_including, version_end_excluding, running_on
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    deleteReferences: d1.prepare(`
+      DELETE FROM vulnerability_references WHERE cve_id = ?
+    `),
+    reference: d1.prepare(`
+      INSERT OR IGNORE INTO vulnerability_references (cve_id, url, source, tags)
+      VALUES (?, ?, ?, ?)
+    `),
+    deleteWeaknesses: d1.prepare(`
+      DELETE FROM vulnerability_weaknesses WHERE cve_id = ?
+    `),
+    weakness: d1.prepare(`
+      INSERT OR IGNORE INTO vulnerability_weaknesses (cve_id, cwe_id, source, type)
+      VALUES (?, ?, ?, ?)
+    `),
+    // Rebuild the cve_search row once the child rows are replaced
+    deleteSearch: d1.prepare(`
+      DELETE FROM cve_search WHERE rowid = (SELECT id FROM vulnerabilities WHERE cve_id = ?)
+    `),
+    search: d1.prepare(`
+      INSERT INTO cve_search (rowid, cve_id, description, weaknesses, products, advisories)
+      SELECT v.id, v.cve_id, v.description,
+        (
+          SELECT group_concat(w.cwe_id || COALESCE(' ' || c.name, ''), ' ')
+          FROM vulnerability_weaknesses w LEFT JOIN cwe_catalog c ON c.cwe_id = w.cwe_id
+          WHERE w.cve_id = v.cve_id
+        ),
+        (
+          SELECT group_concat(DISTINCT p.vendor || ' ' || p.product)
+          FROM cve_affected_products p
+          WHERE p.cve_id = v.cve_id AND p.vulnerable = 1
+        ),
+        (
+          SELECT group_concat(a.title, ' ')
+          FROM advisory_vulnerabilities av JOIN advisories a ON a.id = av.advisory_id
+          WHERE av.cve_id = v.cve_id
+        )
+      FROM vulnerabilities v
+      WHERE v.cve_id = ?
+    `),
+  };
+}
+
+/**
+ * Bound statements upserting one CVE and replacing its child rows
+ */
+function bindVulnerability(statements, vuln, runId) {
+  return [
+    statements.vulnerability.bind(
+      vuln.cveId,
+      vuln.description,
+      vuln.source,
+      vuln.published,
+      vuln.lastModified,
+      vuln.baseScore,
+      vuln.baseSeverity,
+      vuln.vectorString,
+      vuln.cwe,
+      vuln.refUrls,
+      vuln.fetched_at,
+      vuln.fetched_at,
+      runId,
+      vuln.vulnStatus
+    ),
+    statements.deleteMetrics.bind(vuln.cveId),
+    ...vuln.metrics.map((metric) =>
+      statements.metric.bind(
+        vuln.cveId,
+        metric.cvssVersion,
+        metric.source,
+        metric.type,
+        metric.isAuthoritative ? 1 : 0,
+        metric.vectorString,
+        metric.baseScore,
+        metric.baseSeverity,
+        metric.exploitabilityScore,
+        metric.impactScore,
+        metric.attackVector,
+        metric.attackComplexity,
+        metric.attackRequirements,
+        metric.privilegesRequired,
+        metric.userInteraction,
+        metric.scope,
+        metric.authentication,
+        metric.confidentialityImpact,
+        metric.integrityImpact,
+        metric.availabilityImpact,
+        metric.cvssData
+      )
+    ),
+    statements.deleteProducts.bind(vuln.cveId),
+    ...vuln.affectedProducts.map((product) =>
+      statements.product.bind(
+        vuln.cveId,
+        product.configIndex,
+        product.configOperator,
+        product.nodeIndex,
+        product.nodeOperator,
+        product.negate ? 1 : 0,
+        product.vulnerable ? 1 : 0,
+        product.criteria,
+        product.matchCriteriaId,
+        product.part,
+        product.vendor,
+        product.product,
+        product.version,
+        product.update,
+        product.targetSw,
+        product.versionStartIncluding,
+        product.versionStartExcluding,
+        product.versionEndIncluding,
+        product.versionEndExcluding,
+        product.runningOn
+      )
+    ),
+    statements.deleteReferences.bind(vuln.cveId),
+    ...vuln.references.map((ref) =>
+      statements.reference.bind(vuln.cveId, ref.url, ref.source, ref.tags)
+    ),
+    statements.deleteWeaknesses.bind(vuln.cveId),
+    ...vuln.weaknesses.map((weakness) =>
+      statements.weakness.bind(vuln.cveId, weakness.cweId, weakness.source, weakness.type)
+    ),
+    statements.deleteSearch.bind(vuln.cveId),
+    statements.search.bind(vuln.cveId),
+  ];
+}
+
+/**
+ * Group CVEs into chunks of at most `storeBatchMaxStatements` statements
+ */
+function chunkVulnerabilityStatements(entries) {
+  const chunks = [];
+  let chunk = [];
+  let statementCount = 0;
+
+  for (const entry of entries) {
+    if (chunk.length && statementCount + entry.statements.length > storeBatchMaxStatements) {
+      chunks.push(chunk);
+      chunk = [];
+      statementCount = 0;
+    }
+    chunk.push(entry);
+    statementCount += entry.statements.length;
+  }
+  if (chunk.length) chunks.push(chunk);
+  return chunks;
+}
+
+/**
+ * Store vulnerabilities in D1, one d1.batch() transaction per chunk of CVEs.
+ * A failed batch is rolled back and split in halves until the CVEs that
+ * cannot be stored are isolated, so one bad row costs its own CVE only;
+ * those are returned in `errors`. `runId` identifies the ingest run in the
+ * vulnerability_history rows the upsert triggers.
+ */
+export async function storeVulnerabilitiesInD1(d1, vulnerabilities, env, runId = null) {
   const startTime = Date.now();
   console.log(`[D1] Starting batch insert of ${vulnerabilities.length} vulnerabilities`);
-  
-  let successCount = 0;
-  let errorCount = 0;
-  let errorDetails = [];
 
-  const batchSize = 200; 
+  const stats = {
+    successCount: 0,
+    errorCount: 0,
+    inserted: 0,
+    updated: 0,
+    batches: 0,
+    failedBatches: 0,
+    statements: 0,
+  };
+  const errors = [];
+
   if (!vulnerabilities?.length) {
     console.log('[D1] No vulnerabilities to store');
-    return;
+    return { ...stats, errors, durationMs: 0 };
   }
 
-  const stmt = await d1.prepare(`
-    INSERT INTO vulnerabilities (
-      cve_id, description, source_identifier,
-      published, last_modified, base_score,
-      base_severity, vector_string, cwe,
-      ref_urls, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    ON CONFLICT(cve_id) DO UPDATE SET
-      description = excluded.description,
-      source_identifier = excluded.source_identifier,
-      published = excluded.published,
-      last_modified = excluded.last_modified,
-      base_score = excluded.base_score,
-      base_severity = excluded.base_severity,
-      vector_string = excluded.vector_string,
-      cwe = excluded.cwe,
-      ref_urls = excluded.ref_urls
-  `);
-
-  for (let i = 0; i < vulnerabilities.length; i += batchSize) {
-    const batchStartTime = Date.now();
-    const batch = vulnerabilities.slice(i, i + batchSize);
-    
-    console.log(`[D1] Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(vulnerabilities.length/batchSize)}`);
-    
-    for (const vuln of batch) {
-      try {
-        if (!vuln.cveId) {
-          console.log('[D1] Skipping vulnerability with no CVE ID');
-          continue;
-        }
+  const statements = prepareVulnerabilityStatements(d1);
+  const entries = vulnerabilities
+    .filter((vuln) => {
+      if (!vuln.cveId) console.log('[D1] Skipping vulnerability with no CVE ID');
+      return Boolean(vuln.cveId);
+    })
+    .map((vuln) => ({ cveId: vuln.cveId, statements: bindVulnerability(statements, vuln, runId) }));
 
-        await stmt
-          .bind(
-            vuln.cveId,
-            vuln.description,
-            vuln.source,
-            vuln.published,
-            vuln.lastModified,
-            vuln.baseScore,
-            vuln.baseSeverity,
-            vuln.vectorString,
-            vuln.cwe,
-            vuln.refUrls,
-            vuln.fetched_at
-          )
-          .run();
-        successCount++;
-      } catch (error) {
-        errorCount++;
-        errorDetails.push({
-          cveId: vuln.cveId,
-          error: error.message,
-          code: error.code
-        });
-        
+  const storeChunk = async (chunk) => {
+    const batch = [
+      statements.existing.bind(JSON.stringify(chunk.map((entry) => entry.cveId))),
+      ...chunk.flatMap((entry) => entry.statements),
+    ];
+    stats.batches++;
+    stats.statements += batch.length;
+    try {
+      const [existing] = await d1.batch(batch);
+      const updated = existing.results[0]?.count || 0;
+      stats.successCount += chunk.length;
+      stats.inserted += chunk.length - updated;
+      stats.updated += updated;
+    } catch (error) {
+      stats.failedBatches++;
+      if (chunk.length === 1) {
+        stats.errorCount++;
+        errors.push({ itemId: chunk[0].cveId, error: error.message, code: error.code ?? null });
         console.error('[D1] Error inserting vulnerability:', {
-          cveId: vuln.cveId,
+          cveId: chunk[0].cveId,
           error: error.message,
           code: error.code,
-          sql: stmt.toString(),
-          stack: error.stack
         });
+        return;
       }
+
+      console.log(`[D1] Batch of ${chunk.length} CVEs failed, splitting it: ${error.message}`);
+      const middle = Math.ceil(chunk.length / 2);
+      await storeChunk(chunk.slice(0, middle));
+      await storeChunk(chunk.slice(middle));
     }
-    
+  };
+
+  const chunks = chunkVulnerabilityStatements(entries);
+  for (const [index, chunk] of chunks.entries()) {
+    const batchStartTime = Date.now();
+    await storeChunk(chunk);
     console.log(`[D1] Batch complete:`, {
-      batchNumber: Math.floor(i/batchSize) + 1,
+      batchNumber: index + 1,
+      of: chunks.length,
+      cves: chunk.length,
       duration: `${Date.now() - batchStartTime}ms`,
-      success: successCount,
-      errors: errorCount
+      success: stats.successCount,
+      errors: stats.errorCount,
     });
   }
 
+  const result = { ...stats, errors, durationMs: Date.now() - startTime };
   console.log('[D1] Storage operation complete:', {
-    totalDuration: `${Date.now() - startTime}ms`,
+    ...result,
     totalProcessed: vulnerabilities.length,
-    successful: successCount,
-    failed: errorCount,
-    errorDetails: errorDetails.length > 0 ? errorDetails : undefined
-  });
-
-  // Update fetch_metadata with results
-  await updateFetchMetadata(d1, 'nvd', new Date().toISOString(), successCount);
-}
-
-/**
- * Fetch existing metadata from D1
- */
-async function getFetchMetadata(d1, source) {
-  console.log('[D1] Fetching metadata for source:', source);
-  
-  const sql = `
-    SELECT
-      last_fetch_time,
-      last_success_time,
-      items_fetched,
-      next_start_index
-    FROM fetch_metadata
-    WHERE source = ?
-  `;
-
-  try {
-    const startTime = Date.now();
-    const result = await d1.prepare(sql).bind(source).first();
-    
-    console.log('[D1] Successfully retrieved fetch metadata:', {
-      duration: `${Date.now() - startTime}ms`,
-      result
-    });
-    return result;
-  } catch (error) {
-    console.error('[D1] Failed to get fetch metadata:', {
-      error: error.message,
-      sql: sql,
-      source: source,
-      code: error.code,
-      stack: error.stack
-    });
-    return null;
-  }
-}
-
-/**
- * Update metadata after fetching chunk
- */
-async function updateFetchMetadata(d1, source, fetchTime, nextStartIndex) {
-  console.log('[D1] Updating fetch metadata:', {
-    source,
-    fetchTime,
-    nextStartIndex
+    errors: errors.length > 0 ? errors : undefined,
   });
 
-  const sql = `
-    INSERT INTO fetch_metadata (
-      source, last_fetch_time, last_success_time, items_fetched, next_start_index
-    ) VALUES (?, ?, ?, ?, ?)
-    ON CONFLICT(source) DO UPDATE SET
-      last_fetch_time = excluded.last_fetch_time,
-      last_success_time = CASE 
-        WHEN excluded.items_fetched > 0 THEN excluded.last_fetch_time 
-        ELSE fetch_metadata.last_success_time 
-      END,
-      items_fetched = fetch_metadata.items_fetched + excluded.items_fetched,
-      next_start_index = excluded.next_start_index
-  `;
-
-  try {
-    const startTime = Date.now();
-    await d1.prepare(sql)
-      .bind(source, fetchTime, fetchTime, 0, nextStartIndex)
-      .run();
-    
-    console.log('[D1] Successfully updated fetch metadata:', {
-      duration: `${Date.now() - startTime}ms`,
-      newStartIndex: nextStartIndex
-    });
-  } catch (error) {
-    console.error('[D1] Failed to update fetch metadata:', {
-      error: error.message,
-      sql: sql,
-      params: {source, fetchTime, nextStartIndex},
-      code: error.code,
-      stack: error.stack
-    });
-    throw error; // Propagate error up
-  }
-}
-
-/**
- * Cleanup old vulnerabilities from D1
- */
-async function cleanupOldVulnerabilities(d1) {
-  const daysToKeep = dataRetentionDays;
-  const cutoff = new Date();
-  cutoff.setDate(cutoff.getDate() - daysToKeep);
-  const cutoffISO = cutoff.toISOString();
-
-  console.log(`[D1] Deleting vulnerabilities older than ${cutoffISO}`);
-  
-  await d1.prepare(`
-    DELETE FROM vulnerabilities
-    WHERE created_at < ?
-  `).bind(cutoffISO).run();
+  // fetch_metadata is updated by the caller: it owns the cursor of its sync mode
+  return result;
 }
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * CPE 2.3 formatted-string parsing and version range matching
+ */
+
+const cpeAttributes = [
+  "part", "vendor", "product", "version", "update", "edition",
+  "language", "swEdition", "targetSw", "targetHw", "other",
+];
+
+/**
+ * Parse a `cpe:2.3:part:vendor:product:version:...` string.
+ * Returns null when the string is not a CPE 2.3 formatted string.
+ */
+export function parseCpe(cpe) {
+  if (typeof cpe !== "string" || !cpe.startsWith("cpe:2.3:")) return null;
+
+  // Colons inside values are escaped with a backslash
+  const values = cpe.slice("cpe:2.3:".length).split(/(?<!\\):/);
+  const parsed = {};
+  cpeAttributes.forEach((attribute, index) => {
+    const value = values[index];
+    parsed[attribute] = value === undefined || value === ""
+      ? "*"
+      : value.replace(/\\(.)/g, "$1").toLowerCase();
+  });
+  return parsed;
+}
+
+/**
+ * Compare two version strings segment by segment, numerically where both
+ * segments are numbers. Returns a negative, zero or positive number.
+ */
+export function compareVersions(a, b) {
+  const left = String(a).toLowerCase().split(/[.\-_+:]/);
+  const right = String(b).toLowerCase().split(/[.\-_+:]/);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const l = left[i] ?? "0";
+    const r = right[i] ?? "0";
+    if (/^\d+$/.test(l) && /^\d+$/.test(r)) {
+      const diff = Number(l) - Number(r);
+      if (diff !== 0) return diff;
+    } else if (l !== r) {
+      return l < r ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Check whether a concrete version satisfies an affected-product row:
+ * either its exact CPE version or its versionStart/versionEnd bounds.
+ * A wildcard or missing query version matches every row.
+ */
+export function versionMatches(version, range) {
+  if (!version || version === "*" || version === "-") return true;
+
+  if (range.version && range.version !== "*") {
+    return range.version !== "-" && compareVersions(version, range.version) === 0;
+  }
+
+  if (range.versionStartIncluding && compareVersions(version, range.versionStartIncluding) < 0) return false;
+  if (range.versionStartExcluding && compareVersions(version, range.versionStartExcluding) <= 0) return false;
+  if (range.versionEndIncluding && compareVersions(version, range.versionEndIncluding) > 0) return false;
+  if (range.versionEndExcluding && compareVersions(version, range.versionEndExcluding) >= 0) return false;
+  return true;
+}
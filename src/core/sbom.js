@@ -0,0 +1,87 @@
+import { compareVersions } from "./cpe.js";
+
+/**
+ * Package URL (purl) handling for SBOM components
+ */
+
+// purl type -> OSV ecosystem name
+const purlEcosystems = {
+  npm: "npm",
+  pypi: "PyPI",
+  maven: "Maven",
+  golang: "Go",
+  cargo: "crates.io",
+  gem: "RubyGems",
+  nuget: "NuGet",
+  composer: "Packagist",
+  hex: "Hex",
+  pub: "Pub",
+  swift: "SwiftURL",
+  deb: "Debian",
+  apk: "Alpine",
+};
+
+/**
+ * Parse `pkg:type/namespace/name@version?qualifiers#subpath` into its parts
+ * plus the OSV ecosystem and package name it corresponds to
+ */
+export function parsePurl(purl) {
+  const match = typeof purl === "string" &&
+    purl.match(/^pkg:([a-z0-9.+-]+)\/([^@?#]+?)(?:@([^?#]+))?(?:\?[^#]*)?(?:#.*)?$/i);
+  if (!match) return null;
+
+  const type = match[1].toLowerCase();
+  const segments = match[2].split("/").map(decodeURIComponent);
+  const name = segments.pop();
+  const namespace = segments.join("/") || null;
+
+  let packageName = name;
+  if (namespace) {
+    // Maven coordinates use group:artifact, the others a path
+    packageName = type === "maven" ? `${namespace}:${name}` : `${namespace}/${name}`;
+  }
+
+  return {
+    type,
+    namespace,
+    name,
+    version: match[3] ? decodeURIComponent(match[3]) : null,
+    ecosystem: purlEcosystems[type] || type,
+    packageName,
+  };
+}
+
+/**
+ * Compare package versions, ignoring the `v` prefix Go modules use
+ */
+function comparePackageVersions(a, b) {
+  const strip = (version) => String(version).replace(/^v(?=\d)/i, "");
+  return compareVersions(strip(a), strip(b));
+}
+
+/**
+ * Check a version against one OSV range (introduced / fixed / last_affected /
+ * limit events, per the OSV schema evaluation rules). OSV does not order the
+ * events, so they are walked by version with `introduced: "0"` first. GIT
+ * ranges carry commit hashes and never match a version.
+ */
+export function osvRangeAffects(version, range) {
+  if (range.type === "GIT") return false;
+
+  const isStart = (event) => event.type === "introduced" && event.version === "0";
+  const events = [...range.events].sort((a, b) =>
+    isStart(b) - isStart(a) || comparePackageVersions(a.version, b.version)
+  );
+
+  let affected = false;
+  for (const event of events) {
+    if (event.type === "introduced") {
+      if (event.version === "0" || comparePackageVersions(version, event.version) >= 0) affected = true;
+    } else if (event.type === "fixed" || event.type === "limit") {
+      if (comparePackageVersions(version, event.version) >= 0) affected = false;
+    } else if (event.type === "last_affected") {
+      if (comparePackageVersions(version, event.version) > 0) affected = false;
+    }
+  }
+  return affected;
+}
@@ -0,0 +1,55 @@
+/**
+ * STIX 2.1 helpers
+ */
+
+// Object paths of simple comparisons we can turn into indicators
+const stixObservablePaths = {
+  "ipv4-addr:value": "ipv4-addr",
+  "ipv6-addr:value": "ipv6-addr",
+  "domain-name:value": "domain-name",
+  "url:value": "url",
+  "email-addr:value": "email-addr",
+  "file:hashes.md5": "md5",
+  "file:hashes.sha-1": "sha1",
+  "file:hashes.sha1": "sha1",
+  "file:hashes.sha-256": "sha256",
+  "file:hashes.sha256": "sha256",
+  "file:hashes.sha-512": "sha512",
+};
+
+const comparisonPattern = /([a-z0-9-]+:[a-z0-9_.'-]+)\s*(=|!=|>=|<=|>|<|LIKE|MATCHES|IN|ISSUBSET|ISSUPERSET)\s*'((?:[^'\\]|\\.)*)'/gi;
+
+/**
+ * Parse a STIX pattern made of simple equality comparisons joined by OR,
+ * e.g. `[ipv4-addr:value = '198.51.100.1' OR domain-name:value = 'evil.example']`
+ * or `[file:hashes.'SHA-256' = '...'] OR [url:value = '...']`.
+ * Returns one { type, value } per comparison, or an empty array when the
+ * pattern uses AND, FOLLOWEDBY, other operators or unsupported objects.
+ */
+export function parseStixPattern(pattern) {
+  if (typeof pattern !== "string") return [];
+
+  const observables = [];
+  for (const match of pattern.matchAll(comparisonPattern)) {
+    const [, path, operator, rawValue] = match;
+    const type = stixObservablePaths[path.replace(/'/g, "").toLowerCase()];
+    if (operator !== "=" || !type) return [];
+    observables.push({ type, value: rawValue.replace(/\\(.)/g, "$1") });
+  }
+
+  // Whatever is left besides the comparisons may only join them with OR
+  const remainder = pattern
+    .replace(comparisonPattern, "")
+    .replace(/\b(WITHIN\s+\d+\s+SECONDS|REPEATS\s+\d+\s+TIMES|START\s+t'[^']*'\s+STOP\s+t'[^']*')/gi, "")
+    .replace(/[[\]()\s]|\bOR\b/gi, "");
+  return remainder ? [] : observables;
+}
+
+/**
+ * CVE id of a STIX vulnerability object, from its name or external references
+ */
+export function stixCveId(object) {
+  const ref = (object.external_references || []).find((r) => r.source_name?.toLowerCase() === "cve");
+  const candidate = ref?.external_id || object.name || "";
+  return /^CVE-\d{4}-\d{4,}$/i.test(candidate) ? candidate.toUpperCase() : null;
+}
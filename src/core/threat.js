@@ -0,0 +1,114 @@
+/**
+ * Common indicator model shared by every IOC feed (MISP, TAXII, abuse.ch, ...)
+ */
+
+export const indicatorStatus = {
+  active: "active",
+  withdrawn: "withdrawn", // removed or no longer flagged for detection upstream
+  expired: "expired", // dropped out of the feed or aged out
+};
+
+const hashTypes = { 32: "md5", 40: "sha1", 64: "sha256", 128: "sha512" };
+
+/**
+ * Reduce a composite MISP attribute (`filename|sha256`, `ip-dst|port`,
+ * `domain|ip`) to the half that is the observable: the hash after a
+ * filename, otherwise the left-hand value.
+ */
+function splitComposite(type, value) {
+  if (!type.includes("|") || !value.includes("|")) return [type, value];
+  const [leftType, rightType] = type.split("|");
+  const [left, right] = value.split("|");
+  return leftType === "filename" ? [rightType, right] : [leftType, left];
+}
+
+/**
+ * Map a source-specific observable type onto the canonical indicator types:
+ * ipv4-addr, ipv6-addr, domain-name, url, email-addr, md5, sha1, sha256, sha512.
+ * Unknown types are passed through lower-cased.
+ */
+export function canonicalIndicatorType(type, value = "") {
+  const t = String(type || "").toLowerCase();
+
+  if (/^(ip-src|ip-dst|ip|ipv4|ipv4-addr|ip:port)$/.test(t)) {
+    return value.includes(":") && !/^\d+\.\d+\.\d+\.\d+:\d+$/.test(value) ? "ipv6-addr" : "ipv4-addr";
+  }
+  if (/^(ipv6|ipv6-addr)$/.test(t)) return "ipv6-addr";
+  if (/^(domain|hostname|domain-name|fqdn)$/.test(t)) return "domain-name";
+  if (/^(url|uri|link)$/.test(t)) return "url";
+  if (/^(email|email-src|email-dst|email-addr)$/.test(t)) return "email-addr";
+  if (/^(md5|sha1|sha256|sha512)$/.test(t)) return t;
+  if (/^(sha-1|sha-256|sha-512)$/.test(t)) return t.replace("-", "");
+  if (/^(hash|md5_hash|sha1_hash|sha256_hash)$/.test(t)) {
+    return hashTypes[value.length] || t;
+  }
+  return t;
+}
+
+/**
+ * Canonical form of an indicator value: trimmed, and case folded where
+ * case carries no meaning
+ */
+export function canonicalIndicatorValue(type, value) {
+  const v = String(value ?? "").trim();
+
+  switch (type) {
+    case "ipv4-addr":
+      return v.replace(/:\d+$/, "");
+    case "domain-name":
+    case "email-addr":
+    case "md5":
+    case "sha1":
+    case "sha256":
+    case "sha512":
+      return v.toLowerCase().replace(/\.$/, "");
+    default:
+      return v;
+  }
+}
+
+/**
+ * Build a normalized indicator. `source` and `externalId` identify the
+ * record upstream and are the upsert key.
+ */
+export function normalizeIndicator({
+  source,
+  externalId,
+  type,
+  value,
+  category = null,
+  malwareFamily = null,
+  confidence = null,
+  firstSeen = null,
+  lastSeen = null,
+  toIds = true,
+  status = indicatorStatus.active,
+  tags = [],
+  comment = null,
+  eventRef = null,
+  objectRef = null,
+  context = null,
+}) {
+  const [rawType, rawValue] = splitComposite(String(type || "").toLowerCase(), String(value ?? ""));
+  const canonicalType = canonicalIndicatorType(rawType, rawValue);
+  return {
+    source,
+    externalId: String(externalId),
+    type: canonicalType,
+    value: canonicalIndicatorValue(canonicalType, rawValue),
+    category,
+    malwareFamily,
+    confidence: confidence === null || confidence === undefined
+      ? null
+      : Math.max(0, Math.min(100, Math.round(Number(confidence)))),
+    firstSeen,
+    lastSeen,
+    toIds: Boolean(toIds),
+    status,
+    tags: [...new Set(tags.filter(Boolean).map((tag) => String(tag).trim()))],
+    comment,
+    eventRef,
+    objectRef,
+    context: context ? JSON.stringify(context) : null,
+  };
+}
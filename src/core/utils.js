@@ -0,0 +1,12 @@
+/**
+ * Convert a snake_case database row into a camelCase object
+ */
+export function camelizeRow(row) {
+  if (!row) return row;
+  return Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [
+      key.replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase()),
+      value,
+    ])
+  );
+}
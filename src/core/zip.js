@@ -0,0 +1,73 @@
+/**
+ * Minimal ZIP archive reader for feed exports (stored and deflated entries)
+ */
+
+const eocdSignature = 0x06054b50;
+const centralSignature = 0x02014b50;
+const localSignature = 0x04034b50;
+
+/**
+ * Inflate a raw DEFLATE stream
+ */
+async function inflateRaw(bytes) {
+  const stream = new Response(bytes).body.pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Check for the local file header signature at the start of a buffer
+ */
+export function isZip(bytes) {
+  return bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset).getUint32(0, true) === localSignature;
+}
+
+/**
+ * Iterate the file entries of a ZIP archive as { name, bytes }.
+ * Entries are read through the central directory; directories are skipped.
+ */
+export async function* readZipEntries(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end of central directory record sits in the last 64KiB + 22 bytes
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === eocdSignature) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Invalid ZIP archive: end of central directory not found");
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== centralSignature) {
+      throw new Error("Invalid ZIP archive: bad central directory entry");
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+
+    const dataStart = localOffset + 30 +
+      view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      yield { name, bytes: data };
+    } else if (method === 8) {
+      yield { name, bytes: await inflateRaw(data) };
+    } else {
+      console.log(`[ZIP] Skipping ${name}: unsupported compression method ${method}`);
+    }
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * HTTP client shared by the feeds: per-upstream rate limiting, timeouts,
+ * retries with exponential backoff and jitter, and Retry-After handling
+ */
+
+const defaultRetryStatuses = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Error of an upstream request. `retryable` tells transient failures
+ * (throttling, timeouts, 5xx) from fatal ones (bad credentials, 4xx).
+ */
+export class HttpError extends Error {
+  constructor(message, { status = null, url = null, retryable = false, attempts = 1, body = null } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.url = url;
+    this.retryable = retryable;
+    this.attempts = attempts;
+    this.body = body;
+  }
+}
+
+/**
+ * Limit of `requests` per rolling `windowMs`, kept as a log of the times
+ * of recent requests: a request waits until fewer than `requests` were made
+ * in the window before it, so no window of `windowMs` ever holds more.
+ * The state lives in the isolate: concurrent invocations each get their own.
+ */
+export class SlidingWindowLimiter {
+  constructor({ requests, windowMs }) {
+    this.requests = requests;
+    this.windowMs = windowMs;
+    this.timestamps = [];
+  }
+
+  /**
+   * Wait until a request is allowed and record it
+   */
+  async take() {
+    for (;;) {
+      const now = Date.now();
+      // Requests exactly windowMs ago still count, the window is closed
+      while (this.timestamps.length && this.timestamps[0] < now - this.windowMs) {
+        this.timestamps.shift();
+      }
+      if (this.timestamps.length < this.requests) {
+        this.timestamps.push(now);
+        return;
+      }
+      await sleep(this.timestamps[0] + this.windowMs + 1 - now);
+    }
+  }
+}
+
+const rateLimiters = new Map();
+
+/**
+ * Shared limiter for an upstream; replaced when its limits change (e.g. once
+ * an API key is configured)
+ */
+export function getRateLimiter(name, { requests, windowMs }) {
+  const existing = rateLimiters.get(name);
+  if (existing?.requests === requests && existing.windowMs === windowMs) return existing;
+
+  const limiter = new SlidingWindowLimiter({ requests, windowMs });
+  rateLimiters.set(name, limiter);
+  return limiter;
+}
+
+/**
+ * NVD allows 50 requests per rolling 30 seconds with an API key, 5 without
+ */
+export function nvdRateLimiter(env) {
+  return getRateLimiter("nvd", { requests: env.NVD_API_KEY ? 50 : 5, windowMs: 30 * 1000 });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or HTTP date), in ms
+ */
+function retryAfterMs(response) {
+  const header = response.headers.get("Retry-After");
+  if (!header) return null;
+  if (/^\d+$/.test(header.trim())) return Number(header) * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Full-jitter exponential backoff for the given retry attempt (1-based)
+ */
+function backoffMs(attempt, baseDelayMs, maxDelayMs) {
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+}
+
+/**
+ * fetch() with rate limiting, a per-attempt timeout and retries.
+ *
+ * Resolves with the response when it is 2xx or 304. Retryable statuses,
+ * timeouts and network errors are retried up to `retries` times, waiting for
+ * Retry-After when the upstream sends one (up to `maxRetryAfterMs`, beyond
+ * which the request fails retryable instead of blocking the invocation).
+ * Anything else rejects with an HttpError.
+ */
+export async function fetchWithRetry(url, init = {}, {
+  rateLimiter = null,
+  retries = 3,
+  timeoutMs = 30 * 1000,
+  baseDelayMs = 1000,
+  maxDelayMs = 30 * 1000,
+  maxRetryAfterMs = 60 * 1000,
+  retryStatuses = defaultRetryStatuses,
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    if (rateLimiter) await rateLimiter.take();
+
+    let response;
+    let error;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (fetchError) {
+      error = new HttpError(
+        fetchError.name === "AbortError"
+          ? `Request timed out after ${timeoutMs}ms`
+          : `Request failed: ${fetchError.message}`,
+        { url, retryable: true, attempts: attempt }
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response && (response.ok || response.status === 304)) return response;
+
+    let delayMs = backoffMs(attempt, baseDelayMs, maxDelayMs);
+    if (response) {
+      const body = await response.text().catch(() => "");
+      const retryable = retryStatuses.includes(response.status);
+      error = new HttpError(`HTTP ${response.status}: ${body.slice(0, 500)}`, {
+        status: response.status,
+        url,
+        retryable,
+        attempts: attempt,
+        body,
+      });
+
+      const requestedDelay = retryable ? retryAfterMs(response) : null;
+      if (requestedDelay !== null) {
+        if (requestedDelay > maxRetryAfterMs) {
+          error.message = `${error.message} (Retry-After ${Math.ceil(requestedDelay / 1000)}s)`;
+          throw error;
+        }
+        delayMs = requestedDelay;
+      }
+    }
+
+    if (!error.retryable || attempt > retries) throw error;
+
+    console.log(`[HTTP] Retrying ${url} in ${Math.round(delayMs)}ms (attempt ${attempt}): ${error.message}`);
+    await sleep(delayMs);
+  }
+}
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { parseUrlhausCsv, parseThreatFoxJson } from "../src/cloudflare/feeds/abusech.js";
+
+const fixture = (name) => readFile(new URL(`./fixtures/feeds/${name}`, import.meta.url), "utf8");
+
+test("parseUrlhausCsv skips comments and parses quoted fields", async () => {
+  const indicators = parseUrlhausCsv(await fixture("urlhaus.csv"));
+  assert.equal(indicators.length, 2);
+
+  const [mozi, agentTesla] = indicators;
+  assert.equal(mozi.source, "urlhaus");
+  assert.equal(mozi.externalId, "2840001");
+  assert.equal(mozi.type, "url");
+  assert.equal(mozi.value, "http://198.51.100.23:44512/Mozi.m");
+  assert.equal(mozi.malwareFamily, "Mozi");
+  assert.equal(mozi.confidence, 90);
+  assert.equal(mozi.firstSeen, "2024-05-01T09:58:07.000Z");
+  assert.deepEqual(mozi.tags, ["elf", "Mozi", "malware_download"]);
+
+  assert.equal(agentTesla.value, "https://evil.example/payload,2.exe");
+  assert.equal(agentTesla.confidence, 60);
+  assert.equal(agentTesla.lastSeen, agentTesla.firstSeen);
+  assert.equal(JSON.parse(agentTesla.context).urlStatus, "offline");
+});
+
+test("parseThreatFoxJson maps IOCs and keeps the port of ip:port values", async () => {
+  const indicators = parseThreatFoxJson(await fixture("threatfox.json"));
+  assert.equal(indicators.length, 2);
+
+  const [c2, domain] = indicators;
+  assert.equal(c2.source, "threatfox");
+  assert.equal(c2.externalId, "1250001");
+  assert.equal(c2.type, "ipv4-addr");
+  assert.equal(c2.value, "203.0.113.7");
+  assert.equal(c2.malwareFamily, "Cobalt Strike");
+  assert.equal(c2.confidence, 75);
+  assert.equal(c2.lastSeen, "2024-05-01T08:00:00.000Z");
+  assert.deepEqual(c2.tags, ["c2", "CobaltStrike", "botnet_cc"]);
+  assert.equal(JSON.parse(c2.context).port, "8443");
+
+  assert.equal(domain.type, "domain-name");
+  assert.equal(domain.value, "evil-update.example");
+  assert.equal(JSON.parse(domain.context).port, null);
+});
+
+test("parseThreatFoxJson accepts a parsed object", () => {
+  assert.deepEqual(parseThreatFoxJson({}), []);
+});
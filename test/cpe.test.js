@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCpe, compareVersions, versionMatches } from "../src/core/cpe.js";
+
+test("parseCpe splits a CPE 2.3 formatted string", () => {
+  const cpe = parseCpe("cpe:2.3:a:Apache:Tomcat:9.0.80:*:*:*:*:*:*:*");
+  assert.equal(cpe.part, "a");
+  assert.equal(cpe.vendor, "apache");
+  assert.equal(cpe.product, "tomcat");
+  assert.equal(cpe.version, "9.0.80");
+  assert.equal(cpe.other, "*");
+});
+
+test("parseCpe keeps escaped colons and fills missing attributes", () => {
+  const cpe = parseCpe("cpe:2.3:a:vendor:product\\:extra:1.0");
+  assert.equal(cpe.product, "product:extra");
+  assert.equal(cpe.update, "*");
+  assert.equal(parseCpe("cpe:/a:apache:tomcat:9.0"), null);
+  assert.equal(parseCpe(undefined), null);
+});
+
+test("compareVersions compares numeric segments as numbers", () => {
+  assert.ok(compareVersions("1.10.0", "1.9.9") > 0);
+  assert.ok(compareVersions("2.0", "2.0.1") < 0);
+  assert.equal(compareVersions("2.0", "2.0.0"), 0);
+  assert.ok(compareVersions("1.0-beta", "1.0-alpha") > 0);
+});
+
+test("versionMatches checks exact versions and range bounds", () => {
+  assert.ok(versionMatches("9.0.80", { version: "9.0.80" }));
+  assert.ok(!versionMatches("9.0.81", { version: "9.0.80" }));
+  assert.ok(!versionMatches("1.0", { version: "-" }));
+
+  const range = { version: "*", versionStartIncluding: "9.0.0", versionEndExcluding: "9.0.80" };
+  assert.ok(versionMatches("9.0.0", range));
+  assert.ok(versionMatches("9.0.79", range));
+  assert.ok(!versionMatches("9.0.80", range));
+  assert.ok(!versionMatches("8.5.99", range));
+
+  assert.ok(!versionMatches("2.0", { versionStartExcluding: "2.0", versionEndIncluding: "3.0" }));
+  assert.ok(versionMatches("3.0", { versionStartExcluding: "2.0", versionEndIncluding: "3.0" }));
+});
+
+test("versionMatches treats a missing or wildcard version as matching", () => {
+  assert.ok(versionMatches(null, { version: "1.0" }));
+  assert.ok(versionMatches("*", { versionEndExcluding: "1.0" }));
+});
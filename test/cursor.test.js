@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encodeCursor, decodeCursor } from "../src/cloudflare/api.js";
+
+test("cursors round-trip as URL-safe strings", () => {
+  const cursor = { sort: "published", order: "desc", value: "2024-05-01T00:00:00.000", id: 42, asOf: 1000 };
+  const encoded = encodeCursor(cursor);
+  assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCursor(encoded), cursor);
+});
+
+test("cursors carry search terms outside Latin-1", () => {
+  const cursor = { sort: "rank", q: "日本語 \"buffer overflow\" ?>>", offset: 20, asOf: 7 };
+  const encoded = encodeCursor(cursor);
+  assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCursor(encoded), cursor);
+});
+
+test("decodeCursor rejects malformed cursors", () => {
+  assert.equal(decodeCursor("not a cursor"), null);
+  assert.equal(decodeCursor(btoa("[1")), null);
+  assert.equal(decodeCursor(btoa("42")), null);
+  assert.equal(decodeCursor(btoa("null")), null);
+});
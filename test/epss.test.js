@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { gzipSync } from "node:zlib";
+import { parseEpssCsv, fetchEpssScores } from "../src/cloudflare/feeds/epss.js";
+import { createD1Stub } from "./helpers/d1-stub.js";
+
+const fixture = (name) => readFile(new URL(`./fixtures/feeds/${name}`, import.meta.url));
+
+test("parseEpssCsv reads the model, the score date and the valid rows", async () => {
+  const { modelVersion, scoreDate, rows } = parseEpssCsv((await fixture("epss_scores.csv")).toString("utf8"));
+
+  assert.equal(modelVersion, "v2023.03.01");
+  assert.equal(scoreDate, "2024-05-01");
+  assert.deepEqual(rows, [
+    ["CVE-1999-0001", 0.01141, 0.77909],
+    ["CVE-2024-3400", 0.95654, 0.99419],
+    ["CVE-2023-4966", 0.96812, 0.99689],
+  ]);
+});
+
+test("parseEpssCsv accepts a file without the comment line", () => {
+  const { modelVersion, scoreDate, rows } = parseEpssCsv("cve,epss,percentile\r\nCVE-2024-3400,0.9,0.99\r\n");
+  assert.equal(modelVersion, null);
+  assert.equal(scoreDate, null);
+  assert.deepEqual(rows, [["CVE-2024-3400", 0.9, 0.99]]);
+});
+
+test("fetchEpssScores imports an uploaded gzipped file once per score date", async (t) => {
+  t.mock.method(console, "log", () => {});
+  let imported = null;
+  const d1 = createD1Stub({
+    respond: ({ sql }) => (sql.includes("FROM fetch_metadata") && imported ? { high_water_mark: imported } : undefined),
+  });
+  const env = { THREAT_INTEL_DB: d1 };
+  const payload = gzipSync(await fixture("epss_scores.csv"));
+
+  const result = await fetchEpssScores(env, { payload });
+
+  assert.equal(result.scoreDate, "2024-05-01");
+  assert.equal(result.modelVersion, "v2023.03.01");
+  assert.equal(result.totalScores, 3);
+  const [history] = d1.executed("INSERT INTO epss_history");
+  assert.equal(history.args[0], "2024-05-01");
+  assert.deepEqual(JSON.parse(history.args[1]).map(([cve]) => cve), ["CVE-1999-0001", "CVE-2024-3400", "CVE-2023-4966"]);
+  assert.equal(d1.executed("SET high_water_mark")[0].args[0], "2024-05-01");
+
+  imported = "2024-05-01";
+  const again = await fetchEpssScores(env, { payload });
+  assert.equal(again.skipped, true);
+  assert.equal(d1.executed("INSERT INTO epss_history").length, 1);
+});
+
+test("fetchEpssScores refuses a file without scores", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const d1 = createD1Stub();
+
+  const result = await fetchEpssScores({ THREAT_INTEL_DB: d1 }, { payload: new TextEncoder().encode("cve,epss,percentile\n") });
+
+  assert.equal(result.error, "EPSS file contains no scores");
+  assert.deepEqual(d1.executed("epss"), []);
+});
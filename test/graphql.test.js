@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Kind, parse } from "graphql";
+import { measureOperation } from "../src/cloudflare/graphql.js";
+
+const measure = (query, variables = {}) => {
+  const document = parse(query);
+  const operation = document.definitions.find((definition) => definition.kind === Kind.OPERATION_DEFINITION);
+  const fragments = Object.fromEntries(document.definitions
+    .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map((fragment) => [fragment.name.value, fragment]));
+  return measureOperation(operation, fragments, variables);
+};
+
+test("measureOperation counts scalar fields once", () => {
+  assert.deepEqual(measure(`{ vulnerability(cveId: "CVE-2024-0001") { cveId baseScore } }`), { cost: 3, depth: 2 });
+});
+
+test("measureOperation multiplies list selections by their limit", () => {
+  assert.deepEqual(measure(`{ vulnerabilities(limit: 5) { cveId description } }`), { cost: 11, depth: 2 });
+  assert.deepEqual(measure(`query ($n: Int) { vulnerabilities(limit: $n) { cveId } }`, { n: 50 }), { cost: 51, depth: 2 });
+  // Limits are clamped like the resolvers clamp them
+  assert.deepEqual(measure(`{ vulnerabilities(limit: 100000) { cveId } }`), { cost: 101, depth: 2 });
+});
+
+test("measureOperation uses the schema default limit", () => {
+  assert.deepEqual(measure(`{ projects { name } }`), { cost: 21, depth: 2 });
+});
+
+test("measureOperation nests list costs and follows fragments", () => {
+  const { cost, depth } = measure(`
+    query {
+      vulnerabilities(limit: 2) { ...details }
+    }
+    fragment details on Vulnerability {
+      cveId
+      references { url }
+    }
+  `);
+  // vulnerabilities (1) + 2 rows × (cveId 1 + references (1 + 10 rows × url 1))
+  assert.equal(cost, 1 + 2 * (1 + 1 + 10));
+  assert.equal(depth, 3);
+});
+
+test("measureOperation ignores __typename", () => {
+  assert.deepEqual(measure(`{ __typename indicator(id: "1") { __typename value } }`), { cost: 2, depth: 2 });
+});
+
+test("measureOperation costs an unset limit variable at the schema default", () => {
+  const query = `query ($n: Int) { vulnerabilities(limit: $n) { cveId } }`;
+  assert.deepEqual(measure(query), measure(`{ vulnerabilities { cveId } }`));
+  assert.deepEqual(measure(query), { cost: 21, depth: 2 });
+});
+
+test("measureOperation costs nested finding lists by their limit", () => {
+  assert.deepEqual(
+    measure(`{ project(name: "web") { findings { id } vulnerabilities(limit: 3) { cveId } } }`),
+    { cost: 1 + 1 + 20 + 1 + 3, depth: 3 }
+  );
+});
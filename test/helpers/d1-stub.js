@@ -0,0 +1,52 @@
+/**
+ * D1 stand-in for tests. Every statement goes through `respond({ sql, args,
+ * method })`, which returns the result, throws to fail it, or returns
+ * undefined for the default (no row, no results, one change). `batch` is a
+ * transaction: it is recorded only when every statement succeeds.
+ */
+export function createD1Stub({ respond = () => undefined } = {}) {
+  const statements = [];
+  const defaults = {
+    first: () => null,
+    all: () => ({ results: [] }),
+    run: () => ({ meta: { changes: 1 } }),
+  };
+
+  const execute = (sql, args, method) => {
+    const result = respond({ sql, args, method });
+    return result === undefined ? defaults[method]() : result;
+  };
+
+  const statement = (sql, args = []) => ({
+    sql,
+    args,
+    bind: (...values) => statement(sql, values),
+    first: async () => {
+      const result = execute(sql, args, "first");
+      statements.push({ sql, args });
+      return result;
+    },
+    all: async () => {
+      const result = execute(sql, args, "all");
+      statements.push({ sql, args });
+      return result;
+    },
+    run: async () => {
+      const result = execute(sql, args, "run");
+      statements.push({ sql, args });
+      return result;
+    },
+  });
+
+  return {
+    statements,
+    prepare: (sql) => statement(sql),
+    batch: async (list) => {
+      const results = list.map(({ sql, args }) => execute(sql, args, /^\s*SELECT/i.test(sql) ? "all" : "run"));
+      statements.push(...list.map(({ sql, args }) => ({ sql, args })));
+      return results.map((result) => ({ results: [], meta: { changes: 1 }, ...result }));
+    },
+    /** Recorded statements whose SQL contains `fragment` */
+    executed: (fragment) => statements.filter(({ sql }) => sql.includes(fragment)),
+  };
+}
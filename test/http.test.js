@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SlidingWindowLimiter, HttpError, fetchWithRetry } from "../src/utils/http.js";
+
+/**
+ * Advance the mocked clock in steps, letting the promises woken by each
+ * step settle before the next
+ */
+async function advance(t, ms, step = 50) {
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+  await settle();
+  for (let elapsed = 0; elapsed < ms; elapsed += step) {
+    t.mock.timers.tick(step);
+    await settle();
+  }
+}
+
+const fakeTimers = (t) => t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: 0 });
+
+test("SlidingWindowLimiter never allows more than `requests` in a rolling window", async (t) => {
+  fakeTimers(t);
+  const limiter = new SlidingWindowLimiter({ requests: 5, windowMs: 1000 });
+  const granted = [];
+
+  for (let i = 0; i < 12; i++) limiter.take().then(() => granted.push(Date.now()));
+  await advance(t, 3000);
+
+  assert.equal(granted.length, 12);
+  assert.deepEqual(granted.slice(0, 5), [0, 0, 0, 0, 0]);
+  for (let i = 5; i < granted.length; i++) {
+    assert.ok(granted[i] - granted[i - 5] > 1000, `request ${i} shares a window with request ${i - 5}`);
+  }
+});
+
+test("SlidingWindowLimiter lets requests through once the window has passed", async (t) => {
+  fakeTimers(t);
+  const limiter = new SlidingWindowLimiter({ requests: 2, windowMs: 1000 });
+
+  await limiter.take();
+  await advance(t, 600);
+  await limiter.take();
+  let third = false;
+  limiter.take().then(() => (third = true));
+
+  await advance(t, 350);
+  assert.equal(third, false, "the first request is still in the window");
+  await advance(t, 100);
+  assert.equal(third, true);
+});
+
+test("fetchWithRetry waits for Retry-After before retrying", async (t) => {
+  fakeTimers(t);
+  t.mock.method(console, "log", () => {});
+  const calls = [];
+  const responses = [new Response("slow down", { status: 429, headers: { "Retry-After": "2" } }), new Response("ok")];
+  t.mock.method(globalThis, "fetch", async () => {
+    calls.push(Date.now());
+    return responses.shift();
+  });
+
+  let response;
+  fetchWithRetry("https://example.test/feed").then((result) => (response = result));
+  await advance(t, 1950);
+  assert.deepEqual(calls, [0]);
+  await advance(t, 100);
+
+  assert.deepEqual(calls, [0, 2000]);
+  assert.equal(await response.text(), "ok");
+});
+
+test("fetchWithRetry backs off exponentially without Retry-After and gives up after `retries`", async (t) => {
+  fakeTimers(t);
+  t.mock.method(console, "log", () => {});
+  t.mock.method(Math, "random", () => 1);
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async () => {
+    calls.push(Date.now());
+    return new Response("unavailable", { status: 503 });
+  });
+
+  let error;
+  fetchWithRetry("https://example.test/feed", {}, { retries: 2, baseDelayMs: 1000 }).catch((e) => (error = e));
+  await advance(t, 4000);
+
+  assert.deepEqual(calls, [0, 1000, 3000]);
+  assert.ok(error instanceof HttpError);
+  assert.equal(error.status, 503);
+  assert.equal(error.retryable, true);
+  assert.equal(error.attempts, 3);
+});
+
+test("fetchWithRetry fails retryable instead of waiting out a long Retry-After", async (t) => {
+  t.mock.method(globalThis, "fetch", async () =>
+    new Response("slow down", { status: 429, headers: { "Retry-After": "3600" } })
+  );
+
+  await assert.rejects(fetchWithRetry("https://example.test/feed"), (error) => {
+    assert.equal(error.retryable, true);
+    assert.equal(error.attempts, 1);
+    assert.match(error.message, /Retry-After 3600s/);
+    return true;
+  });
+  assert.equal(globalThis.fetch.mock.callCount(), 1);
+});
+
+test("fetchWithRetry does not retry a non-retryable status", async (t) => {
+  t.mock.method(globalThis, "fetch", async () => new Response("forbidden", { status: 403 }));
+
+  await assert.rejects(fetchWithRetry("https://example.test/feed"), { name: "HttpError", status: 403, retryable: false });
+  assert.equal(globalThis.fetch.mock.callCount(), 1);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { parseKevCatalog, KevCatalogError } from "../src/cloudflare/feeds/kev.js";
+import worker from "../src/cloudflare/worker-threat-intel-ingest.js";
+import { requiredMigration } from "../src/cloudflare/schema.js";
+import { createD1Stub } from "./helpers/d1-stub.js";
+
+const fixture = (name) => readFile(new URL(`./fixtures/feeds/${name}`, import.meta.url), "utf8");
+
+test("parseKevCatalog maps entries and drops those without a CVE id", async () => {
+  const catalog = parseKevCatalog(await fixture("kev.json"));
+  assert.equal(catalog.catalogVersion, "2024.05.01");
+  assert.equal(catalog.dateReleased, "2024-05-01T17:24:04.6497Z");
+  assert.equal(catalog.entries.length, 2);
+
+  const [panOs, citrixBleed] = catalog.entries;
+  assert.deepEqual(panOs, {
+    cveId: "CVE-2024-3400",
+    vendorProject: "Palo Alto Networks",
+    product: "PAN-OS",
+    vulnerabilityName: "Palo Alto Networks PAN-OS Command Injection Vulnerability",
+    shortDescription: "Palo Alto Networks PAN-OS GlobalProtect feature contains a command injection vulnerability.",
+    requiredAction: "Apply mitigations per vendor instructions or discontinue use of the product if mitigations are unavailable.",
+    dateAdded: "2024-04-12",
+    dueDate: "2024-04-19",
+    knownRansomwareCampaignUse: "Unknown",
+    notes: "https://security.paloaltonetworks.com/CVE-2024-3400",
+    cwes: '["CWE-77"]',
+  });
+
+  assert.equal(citrixBleed.cveId, "CVE-2023-4966");
+  assert.equal(citrixBleed.knownRansomwareCampaignUse, "Known");
+  assert.equal(citrixBleed.notes, null);
+  assert.equal(citrixBleed.cwes, "[]");
+});
+
+test("parseKevCatalog accepts a parsed catalog", async () => {
+  const catalog = parseKevCatalog(JSON.parse(await fixture("kev.json")));
+  assert.equal(catalog.entries.length, 2);
+});
+
+test("parseKevCatalog rejects text that is not a catalog", () => {
+  assert.throws(() => parseKevCatalog("<html>maintenance</html>"), {
+    name: "KevCatalogError",
+    message: /^Invalid KEV catalog: not JSON/,
+  });
+  assert.throws(() => parseKevCatalog('{"count": 0}'), new KevCatalogError("missing vulnerabilities array"));
+});
+
+test("POST /fetchkev answers a body that is not a catalog with 400", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const env = {
+    THREAT_INTEL_DB: createD1Stub({
+      respond: ({ sql }) => (sql.includes("d1_migrations") ? { name: requiredMigration } : undefined),
+    }),
+  };
+
+  for (const body of ["{not json", '{"count": 0}']) {
+    const response = await worker.fetch(new Request("https://worker.test/fetchkev", { method: "POST", body }), env);
+    assert.equal(response.status, 400);
+    const { error } = await response.json();
+    assert.equal(error.code, "invalid_body");
+    assert.match(error.message, /^Invalid KEV catalog: /);
+  }
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { mapMispEvent } from "../src/cloudflare/feeds/misp.js";
+
+const fixture = async (name) => JSON.parse(await readFile(new URL(`./fixtures/feeds/${name}`, import.meta.url), "utf8"));
+
+test("mapMispEvent maps the event row and its objects", async () => {
+  const { event, objects } = mapMispEvent((await fixture("misp-event.json")).Event);
+
+  assert.deepEqual(event, {
+    uuid: "5f6d1e8a-2b4c-4d7e-9a1b-3c5d7e9f1a2b",
+    eventId: "1842",
+    info: "Cobalt Strike beacons delivered through fake browser updates",
+    org: "XSIGHT",
+    orgc: "CIRCL",
+    threatLevelId: 2,
+    analysis: 1,
+    distribution: 3,
+    eventDate: "2024-05-01",
+    published: 1,
+    timestamp: 1714557600,
+    tags: JSON.stringify(["tlp:green", 'misp-galaxy:malpedia="Cobalt Strike"']),
+  });
+  assert.deepEqual(objects, [{
+    uuid: "4f8d4e7c-3a2b-4c1d-e0f9-a8b7c6d5e4f3",
+    name: "file",
+    metaCategory: "file",
+    comment: "dropped loader",
+    timestamp: 1714554000,
+    deleted: 0,
+  }]);
+});
+
+test("mapMispEvent turns attributes into normalized indicators", async () => {
+  const { indicators } = mapMispEvent((await fixture("misp-event.json")).Event);
+
+  // The empty text attribute is dropped
+  assert.deepEqual(indicators.map(({ type, value, status }) => [type, value, status]), [
+    ["ipv4-addr", "203.0.113.7", "active"],
+    ["domain-name", "update-browser.example", "withdrawn"], // no longer flagged for IDS
+    ["url", "https://update-browser.example/chrome.exe", "withdrawn"], // deleted
+    ["sha256", "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855", "active"],
+  ]);
+
+  const [c2, , , loader] = indicators;
+  assert.equal(c2.externalId, "0b4f0a3e-9c8d-4e7f-a6b5-c4d3e2f1a0b9");
+  assert.equal(c2.malwareFamily, "Cobalt Strike");
+  assert.equal(c2.firstSeen, "2024-05-01T08:00:00.000Z", "falls back to the attribute timestamp");
+  assert.deepEqual(c2.tags, ["tlp:green", 'misp-galaxy:malpedia="Cobalt Strike"', "c2"]);
+  assert.equal(c2.eventRef, "5f6d1e8a-2b4c-4d7e-9a1b-3c5d7e9f1a2b");
+  assert.equal(c2.objectRef, null);
+  assert.deepEqual(JSON.parse(c2.context), { mispType: "ip-dst|port", eventId: "1842" });
+
+  assert.equal(loader.objectRef, "4f8d4e7c-3a2b-4c1d-e0f9-a8b7c6d5e4f3");
+  assert.equal(loader.firstSeen, "2024-04-30T08:00:00.000000+00:00");
+  assert.equal(JSON.parse(loader.context).objectName, "file");
+});
+
+test("mapMispEvent maps galaxy clusters to threat objects linked to the event", async () => {
+  const { threatObjects, relationships } = mapMispEvent((await fixture("misp-event.json")).Event);
+
+  assert.deepEqual(threatObjects.map(({ id, type, name, aliases }) => ({ id, type, name, aliases })), [
+    {
+      id: "misp-galaxy--d7c1b4a5-7f0e-4c43-8c9b-0e5c1e1a6b3d",
+      type: "malware",
+      name: "Cobalt Strike",
+      aliases: ["BEACON", "CobaltStrike"],
+    },
+    {
+      id: "misp-galaxy--4f9a3b2c-1d0e-4f5a-8b7c-6d5e4f3a2b1c",
+      type: "mitre-attack-pattern",
+      name: "Drive-by Compromise - T1189",
+      aliases: [],
+    },
+  ]);
+  assert.deepEqual(relationships.map(({ sourceRef, targetRef }) => [sourceRef, targetRef]), [
+    ["misp-event--5f6d1e8a-2b4c-4d7e-9a1b-3c5d7e9f1a2b", "misp-galaxy--d7c1b4a5-7f0e-4c43-8c9b-0e5c1e1a6b3d"],
+    ["misp-event--5f6d1e8a-2b4c-4d7e-9a1b-3c5d7e9f1a2b", "misp-galaxy--4f9a3b2c-1d0e-4f5a-8b7c-6d5e4f3a2b1c"],
+  ]);
+});
+
+test("mapMispEvent accepts an event without attributes or galaxies", () => {
+  const mapped = mapMispEvent({ id: "1", uuid: "e", info: "empty" });
+  assert.deepEqual(mapped.indicators, []);
+  assert.deepEqual(mapped.threatObjects, []);
+  assert.equal(mapped.event.threatLevelId, null);
+  assert.equal(mapped.event.published, 0);
+});
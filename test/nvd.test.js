@@ -0,0 +1,164 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { extractCvssMetrics, storeVulnerabilitiesInD1 } from "../src/cloudflare/worker-threat-intel-ingest.js";
+import { createD1Stub } from "./helpers/d1-stub.js";
+
+/**
+ * CVE records of the NVD fixture by id
+ */
+async function nvdCves() {
+  const response = JSON.parse(await readFile(new URL("./fixtures/nvd/cvss-metrics.json", import.meta.url), "utf8"));
+  return Object.fromEntries(response.vulnerabilities.map(({ cve }) => [cve.id, cve]));
+}
+
+const authoritative = (cve) => {
+  const rows = extractCvssMetrics(cve).filter((row) => row.isAuthoritative);
+  assert.equal(rows.length, 1, `${cve.id} has one authoritative metric`);
+  return rows[0];
+};
+
+const cveId = (n) => `CVE-2024-${String(n).padStart(4, "0")}`;
+
+/**
+ * Processed CVE with 43 references: with its upsert and the 6 statements
+ * replacing its child rows, 50 statements
+ */
+const vulnerability = (n) => ({
+  cveId: cveId(n),
+  description: `Vulnerability ${n}`,
+  source: "nvd@nist.gov",
+  published: "2024-01-01T00:00:00.000",
+  lastModified: "2024-02-01T00:00:00.000",
+  vulnStatus: "Analyzed",
+  baseScore: 7.5,
+  baseSeverity: "HIGH",
+  vectorString: null,
+  cwe: null,
+  refUrls: "",
+  fetched_at: "2024-02-02T00:00:00.000Z",
+  metrics: [],
+  affectedProducts: [],
+  weaknesses: [],
+  references: Array.from({ length: 43 }, (_, i) => ({ url: `https://example.test/${n}/${i}`, source: null, tags: "[]" })),
+});
+
+test("storeVulnerabilitiesInD1 isolates the CVE that fails and commits the others", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const bad = cveId(13);
+  const d1 = createD1Stub({
+    respond: ({ sql, args }) => {
+      if (sql.includes("INSERT INTO vulnerabilities") && args[0] === bad) {
+        throw Object.assign(new Error("D1_ERROR: CHECK constraint failed"), { code: "SQLITE_CONSTRAINT" });
+      }
+      if (sql.includes("SELECT COUNT(*) AS count FROM vulnerabilities")) {
+        return { results: [{ count: JSON.parse(args[0]).includes(cveId(1)) ? 1 : 0 }] };
+      }
+    },
+  });
+  const batches = [];
+  const batch = d1.batch;
+  d1.batch = async (list) => {
+    const cves = list.filter(({ sql }) => sql.includes("INSERT INTO vulnerabilities")).map(({ args }) => args[0]);
+    batches.push({ cves: cves.length, statements: list.length });
+    return batch(list);
+  };
+
+  const vulnerabilities = Array.from({ length: 25 }, (_, i) => vulnerability(i + 1));
+  const result = await storeVulnerabilitiesInD1(d1, vulnerabilities, {}, "run-1");
+
+  // 500 statements per chunk, plus the leading count of existing CVEs
+  assert.deepEqual(batches.slice(0, 2), [{ cves: 10, statements: 501 }, { cves: 10, statements: 501 }]);
+  assert.ok(batches.every(({ statements }) => statements <= 501));
+  // The failing chunk is halved down to the bad CVE: 11-20, 11-15, 11-13, 11-12, 13, 14-15, 16-20
+  assert.deepEqual(batches.slice(1).map(({ cves }) => cves), [10, 5, 3, 2, 1, 2, 5, 5]);
+
+  assert.equal(result.successCount, 24);
+  assert.equal(result.errorCount, 1);
+  assert.equal(result.inserted, 23);
+  assert.equal(result.updated, 1);
+  assert.equal(result.batches, 9);
+  assert.equal(result.failedBatches, 4);
+  assert.deepEqual(result.errors, [
+    { itemId: bad, error: "D1_ERROR: CHECK constraint failed", code: "SQLITE_CONSTRAINT" },
+  ]);
+
+  const committed = d1.executed("INSERT INTO vulnerabilities").map(({ args }) => args[0]);
+  assert.deepEqual(committed.sort(), vulnerabilities.map(({ cveId }) => cveId).filter((id) => id !== bad));
+  assert.ok(d1.executed("INSERT INTO vulnerabilities").every(({ args }) => args[12] === "run-1"));
+  assert.deepEqual(d1.executed("INSERT INTO vulnerability_references").filter(({ args }) => args[0] === bad), []);
+});
+
+test("storeVulnerabilitiesInD1 gives a CVE too large for a chunk a batch of its own", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const d1 = createD1Stub();
+  const sizes = [];
+  const batch = d1.batch;
+  d1.batch = async (list) => {
+    sizes.push(list.length);
+    return batch(list);
+  };
+  const large = {
+    ...vulnerability(2),
+    references: Array.from({ length: 600 }, (_, i) => ({ url: `https://example.test/large/${i}`, source: null, tags: "[]" })),
+  };
+
+  const result = await storeVulnerabilitiesInD1(d1, [vulnerability(1), large, vulnerability(3)], {});
+
+  assert.deepEqual(sizes, [51, 608, 51]);
+  assert.equal(result.successCount, 3);
+});
+
+test("extractCvssMetrics prefers NVD's Primary metric over a newer CNA Secondary one", async () => {
+  const cve = (await nvdCves())["CVE-2024-3400"];
+  const rows = extractCvssMetrics(cve);
+
+  assert.deepEqual(rows.map(({ cvssVersion, source, type }) => [cvssVersion, source, type]), [
+    ["4.0", "psirt@paloaltonetworks.com", "Secondary"],
+    ["3.1", "psirt@paloaltonetworks.com", "Secondary"],
+    ["3.1", "nvd@nist.gov", "Primary"],
+  ]);
+  const metric = authoritative(cve);
+  assert.equal(metric.source, "nvd@nist.gov");
+  assert.equal(metric.baseScore, 9.8);
+  assert.equal(metric.vectorString, "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H");
+
+  // CVSS 4.0 impact fields are read from their vuln* names
+  assert.equal(rows[0].confidentialityImpact, "HIGH");
+  assert.equal(rows[0].attackRequirements, "NONE");
+});
+
+test("extractCvssMetrics takes the newest CVSS version among Primary metrics", async () => {
+  const cve = (await nvdCves())["CVE-2024-21413"];
+
+  assert.deepEqual(extractCvssMetrics(cve).map(({ cvssVersion }) => cvssVersion), ["4.0", "3.1", "2.0"]);
+  const metric = authoritative(cve);
+  assert.equal(metric.cvssVersion, "4.0");
+  assert.equal(metric.baseScore, 8.7);
+  assert.equal(metric.baseSeverity, "HIGH");
+});
+
+test("extractCvssMetrics falls back to the newest Secondary metric", async () => {
+  const metric = authoritative((await nvdCves())["CVE-2024-27198"]);
+
+  assert.deepEqual([metric.cvssVersion, metric.type, metric.baseScore], ["4.0", "Secondary", 9.3]);
+});
+
+test("extractCvssMetrics reads a CVSS 2.0 record", async () => {
+  const metric = authoritative((await nvdCves())["CVE-2014-0160"]);
+
+  assert.equal(metric.cvssVersion, "2.0");
+  assert.equal(metric.baseScore, 5.0);
+  // CVSS 2.0 keeps the severity next to cvssData
+  assert.equal(metric.baseSeverity, "MEDIUM");
+  assert.equal(metric.attackVector, "NETWORK");
+  assert.equal(metric.authentication, "NONE");
+  assert.equal(metric.exploitabilityScore, 10.0);
+  assert.equal(JSON.parse(metric.cvssData).impactScore, 2.9);
+});
+
+test("extractCvssMetrics returns no rows for an unscored CVE", () => {
+  assert.deepEqual(extractCvssMetrics({ id: "CVE-2024-9999", metrics: {} }), []);
+  assert.deepEqual(extractCvssMetrics({ id: "CVE-2024-9999" }), []);
+});
@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runIngestSources } from "../src/cloudflare/orchestrator.js";
+import { osvSubrequests } from "../src/cloudflare/feeds/osv.js";
+import { createD1Stub } from "./helpers/d1-stub.js";
+
+/**
+ * Env whose orchestrator row resumes at `startIndex`
+ */
+function createEnv(startIndex = 0, vars = {}) {
+  return {
+    ...vars,
+    THREAT_INTEL_DB: createD1Stub({
+      respond: ({ sql, args }) =>
+        sql.includes("FROM fetch_metadata") && args[0] === "orchestrator"
+          ? { next_start_index: startIndex }
+          : undefined,
+    }),
+    MY_QUEUE: { sendBatch: async () => {} },
+  };
+}
+
+/**
+ * Source that records its calls and answers them with `results` in turn
+ */
+function fakeSource(id, { cost = 10, results = [{}] } = {}) {
+  const calls = [];
+  return {
+    id,
+    cost,
+    calls,
+    run: async (env, run) => {
+      calls.push(run.id);
+      const result = results[Math.min(calls.length - 1, results.length - 1)];
+      if (result instanceof Error) throw result;
+      return result;
+    },
+  };
+}
+
+/**
+ * next_start_index written to the orchestrator row
+ */
+const savedPosition = (env) =>
+  env.THREAT_INTEL_DB.executed("INSERT INTO fetch_metadata").find(({ args }) => args[0] === "orchestrator").args[4];
+
+const quiet = (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+};
+
+test("runIngestSources stops at the first source the budget cannot cover", async (t) => {
+  quiet(t);
+  const sources = [fakeSource("a"), fakeSource("b"), fakeSource("c")];
+  const env = createEnv();
+
+  // Each chunk costs 10 plus 2 ledger writes, on top of the 2 metadata calls
+  const summary = await runIngestSources(env, sources, { maxSubrequests: 30 });
+
+  assert.deepEqual(summary.sources.map(({ source, status }) => [source, status]), [["a", "complete"], ["b", "complete"]]);
+  assert.equal(sources[2].calls.length, 0);
+  assert.equal(summary.budgetExhausted, true);
+  assert.equal(summary.nextSource, "c");
+  assert.equal(savedPosition(env), 2);
+});
+
+test("runIngestSources resumes at the saved position and wraps around", async (t) => {
+  quiet(t);
+  const sources = [fakeSource("a"), fakeSource("b"), fakeSource("c")];
+  const env = createEnv(2);
+
+  const summary = await runIngestSources(env, sources);
+
+  assert.deepEqual(summary.sources.map(({ source }) => source), ["c", "a", "b"]);
+  assert.equal(summary.budgetExhausted, false);
+  assert.equal(savedPosition(env), 2);
+});
+
+test("runIngestSources caps the chunks of a source with a backlog", async (t) => {
+  quiet(t);
+  const backlog = fakeSource("backlog", { results: [{ hasMore: true }] });
+  const sources = [backlog, fakeSource("b")];
+
+  const summary = await runIngestSources(createEnv(), sources, { maxChunksPerSource: 3 });
+
+  assert.equal(backlog.calls.length, 3);
+  assert.deepEqual(summary.sources.map(({ source, status, chunks }) => [source, status, chunks]), [
+    ["backlog", "partial", 3],
+    ["b", "complete", 1],
+  ]);
+  assert.equal(summary.nextSource, "backlog");
+});
+
+test("runIngestSources reports a failing source and runs the others", async (t) => {
+  quiet(t);
+  const failing = fakeSource("failing", { results: [Object.assign(new Error("upstream 500"), { retryable: true })] });
+  const erroring = fakeSource("erroring", { results: [{ error: "bad payload" }] });
+  const healthy = fakeSource("healthy");
+
+  const summary = await runIngestSources(createEnv(), [failing, erroring, healthy]);
+
+  assert.deepEqual(summary.sources.map(({ source, status, error, retryable }) => ({ source, status, error, retryable })), [
+    { source: "failing", status: "error", error: "upstream 500", retryable: true },
+    { source: "erroring", status: "error", error: "bad payload", retryable: null },
+    { source: "healthy", status: "complete", error: undefined, retryable: undefined },
+  ]);
+  assert.equal(healthy.calls.length, 1);
+});
+
+test("runIngestSources skips a source whose configuration cannot be read", async (t) => {
+  quiet(t);
+  const osv = { ...fakeSource("osv"), cost: osvSubrequests };
+  const healthy = fakeSource("healthy");
+  const env = createEnv(0, { OSV_ECOSYSTEMS: "[npm" });
+
+  const summary = await runIngestSources(env, [osv, healthy]);
+
+  assert.equal(osv.calls.length, 0);
+  assert.equal(summary.sources[0].status, "error");
+  assert.match(summary.sources[0].error, /^Invalid source configuration/);
+  assert.equal(summary.sources[1].status, "complete");
+  assert.equal(savedPosition(env), 0);
+});
+
+test("runIngestSources treats a non-numeric cost as a configuration error", async (t) => {
+  quiet(t);
+  const broken = { ...fakeSource("broken"), cost: () => undefined };
+  const summary = await runIngestSources(createEnv(), [broken, fakeSource("healthy")]);
+
+  assert.deepEqual(summary.sources.map(({ status }) => status), ["error", "complete"]);
+  assert.equal(summary.budgetExhausted, false);
+});
@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fetchOsvEcosystem } from "../src/cloudflare/feeds/osv.js";
+import { createD1Stub } from "./helpers/d1-stub.js";
+
+const base = "https://osv-vulnerabilities.storage.googleapis.com/npm";
+
+// modified_id.csv lists the newest files first
+const index = [
+  "2024-05-03T00:00:00Z,GHSA-cccc-cccc-cccc",
+  "2024-05-02T00:00:00Z,GHSA-bbbb-bbbb-bbbb",
+  "2024-05-01T00:00:00Z,GHSA-aaaa-aaaa-aaaa",
+].join("\n");
+
+const advisory = (id) => ({
+  id,
+  summary: `Advisory ${id}`,
+  modified: "2024-05-01T00:00:00Z",
+  affected: [{ package: { ecosystem: "npm", name: "left-pad" }, versions: ["1.0.0"] }],
+});
+
+/**
+ * Serve the index and the advisory files, answering `failing` file ids with
+ * the given response instead
+ */
+function mockOsvBucket(t, failing = {}) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  t.mock.method(Math, "random", () => 0); // no backoff between retries
+  t.mock.method(globalThis, "fetch", async (url) => {
+    if (url === `${base}/modified_id.csv`) return new Response(index);
+    const id = url.slice(base.length + 1, -".json".length);
+    if (failing[id]) return failing[id]();
+    return Response.json(advisory(id));
+  });
+}
+
+/**
+ * D1 with no cursor yet; `attempts` is how many runs already failed on a file
+ */
+function createEnv(attempts = 0) {
+  return {
+    THREAT_INTEL_DB: createD1Stub({
+      respond: ({ sql }) => (sql.includes("FROM ingest_errors") ? { attempts } : undefined),
+    }),
+  };
+}
+
+const createRun = () => ({ errors: [] });
+
+const storedAdvisories = (env) =>
+  env.THREAT_INTEL_DB.executed("INSERT INTO osv_advisories").map(({ args }) => args[0]);
+
+/**
+ * [high_water_mark, next_start_index] saved for the ecosystem
+ */
+const savedCursor = (env) => [
+  env.THREAT_INTEL_DB.executed("SET high_water_mark")[0].args[0],
+  env.THREAT_INTEL_DB.executed("INSERT INTO fetch_metadata").find(({ args }) => args[0] === "osv:npm").args[4],
+];
+
+test("fetchOsvEcosystem syncs the files oldest first", async (t) => {
+  mockOsvBucket(t);
+  const env = createEnv();
+
+  const result = await fetchOsvEcosystem(env, "npm", createRun());
+
+  assert.equal(result.error, undefined);
+  assert.deepEqual(storedAdvisories(env), ["GHSA-aaaa-aaaa-aaaa", "GHSA-bbbb-bbbb-bbbb", "GHSA-cccc-cccc-cccc"]);
+  assert.deepEqual(savedCursor(env), ["2024-05-03T00:00:00Z", 1]);
+});
+
+test("a transient file failure stops the sync before the file and fails the run", async (t) => {
+  mockOsvBucket(t, { "GHSA-bbbb-bbbb-bbbb": () => new Response("unavailable", { status: 503 }) });
+  const env = createEnv();
+  const run = createRun();
+
+  const result = await fetchOsvEcosystem(env, "npm", run);
+
+  assert.equal(result.stalled, "GHSA-bbbb-bbbb-bbbb");
+  assert.equal(result.retryable, true);
+  assert.match(result.error, /^OSV download of GHSA-bbbb-bbbb-bbbb failed: HTTP 503/);
+  assert.equal(result.hasMore, true);
+  assert.deepEqual(storedAdvisories(env), ["GHSA-aaaa-aaaa-aaaa"]);
+  assert.deepEqual(savedCursor(env), ["2024-05-01T00:00:00Z", 1]);
+  assert.deepEqual(run.errors.map(({ itemId, code }) => [itemId, code]), [["npm/GHSA-bbbb-bbbb-bbbb", "download_failed"]]);
+});
+
+test("a file that keeps failing is skipped once it reaches the attempt cap", async (t) => {
+  mockOsvBucket(t, { "GHSA-bbbb-bbbb-bbbb": () => new Response("unavailable", { status: 503 }) });
+  const env = createEnv(2);
+  const run = createRun();
+
+  const result = await fetchOsvEcosystem(env, "npm", run);
+
+  assert.equal(result.error, undefined);
+  assert.deepEqual(result.skipped, ["GHSA-bbbb-bbbb-bbbb"]);
+  assert.deepEqual(storedAdvisories(env), ["GHSA-aaaa-aaaa-aaaa", "GHSA-cccc-cccc-cccc"]);
+  assert.deepEqual(savedCursor(env), ["2024-05-03T00:00:00Z", 1]);
+  assert.deepEqual(run.errors.map(({ itemId, code }) => [itemId, code]), [["npm/GHSA-bbbb-bbbb-bbbb", "skipped"]]);
+});
+
+test("missing and malformed files are skipped and recorded right away", async (t) => {
+  mockOsvBucket(t, {
+    "GHSA-aaaa-aaaa-aaaa": () => new Response("not found", { status: 404 }),
+    "GHSA-bbbb-bbbb-bbbb": () => Response.json({ summary: "no id" }),
+  });
+  const env = createEnv();
+  const run = createRun();
+
+  const result = await fetchOsvEcosystem(env, "npm", run);
+
+  assert.equal(result.error, undefined);
+  assert.deepEqual(result.skipped, ["GHSA-aaaa-aaaa-aaaa", "GHSA-bbbb-bbbb-bbbb"]);
+  assert.deepEqual(storedAdvisories(env), ["GHSA-cccc-cccc-cccc"]);
+  assert.deepEqual(run.errors.map(({ error }) => error), [
+    "HTTP 404: not found",
+    "not an OSV record",
+  ]);
+  assert.equal(globalThis.fetch.mock.callCount(), 4, "non-retryable failures are not retried");
+  assert.deepEqual(env.THREAT_INTEL_DB.executed("FROM ingest_errors"), []);
+});
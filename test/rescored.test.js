@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handleRescoredCves } from "../src/cloudflare/api.js";
+import { createD1Stub } from "./helpers/d1-stub.js";
+
+const rescored = async (query, respond) => {
+  const d1 = createD1Stub({ respond });
+  const response = await handleRescoredCves({ THREAT_INTEL_DB: d1 }, new URLSearchParams(query));
+  return { d1, response, body: await response.json() };
+};
+
+test("handleRescoredCves filters and limits in SQL", async () => {
+  const { d1, body } = await rescored("days=30&escalated=true&minSeverity=high&limit=5", () => ({
+    results: [{ cve_id: "CVE-2024-0001", base_score: 9.8, base_severity: "CRITICAL", previous_score: 5, previous_severity: "MEDIUM" }],
+  }));
+
+  const [{ sql, args }] = d1.statements;
+  assert.match(sql, /LIMIT \?4/);
+  assert.deepEqual(args, ["-30 days", 1, 3, 5]);
+  assert.equal(body.count, 1);
+  assert.deepEqual(body.vulnerabilities[0], {
+    cveId: "CVE-2024-0001",
+    baseScore: 9.8,
+    baseSeverity: "CRITICAL",
+    previousScore: 5,
+    previousSeverity: "MEDIUM",
+  });
+});
+
+test("handleRescoredCves looks back at least a day", async () => {
+  const { d1, body } = await rescored("days=-3");
+
+  assert.equal(body.days, 1);
+  assert.deepEqual(d1.statements[0].args, ["-1 days", 0, -1, 100]);
+});
+
+test("handleRescoredCves rejects an unknown minSeverity", async () => {
+  const { d1, response, body } = await rescored("minSeverity=severe");
+
+  assert.equal(response.status, 400);
+  assert.equal(body.error.code, "invalid_parameter");
+  assert.deepEqual(d1.statements, []);
+});
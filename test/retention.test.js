@@ -0,0 +1,180 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyRetention, defaultRetentionRules, getRetentionRules } from "../src/cloudflare/retention.js";
+import { createD1Stub } from "./helpers/d1-stub.js";
+
+const now = new Date("2026-10-19T00:00:00.000Z");
+
+const vulnerabilityRule = {
+  id: "old-cves",
+  table: "vulnerabilities",
+  ageColumn: "last_seen",
+  maxAgeDays: 730,
+  exempt: ["kev", "pinned"],
+  pausedBy: "nvd-backfill",
+};
+
+const quiet = (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+};
+
+/**
+ * R2 stand-in keeping the objects put into it
+ */
+function createBucket() {
+  const objects = new Map();
+  return { objects, put: async (key, body, options) => objects.set(key, { body, options }) };
+}
+
+test("getRetentionRules keeps CVEs unless a rule opts in", () => {
+  assert.equal(getRetentionRules({}), defaultRetentionRules);
+  assert.ok(defaultRetentionRules.every((rule) => rule.table !== "vulnerabilities"));
+});
+
+test("getRetentionRules parses RETENTION_RULES and names unnamed rules", () => {
+  const rules = getRetentionRules({
+    RETENTION_RULES: JSON.stringify([vulnerabilityRule, { table: "advisories", ageColumn: "published", maxAgeDays: 30 }]),
+  });
+
+  assert.deepEqual(rules.map((rule) => rule.id), ["old-cves", "advisories-1"]);
+  assert.equal(rules[0].maxAgeDays, 730);
+});
+
+test("getRetentionRules rejects RETENTION_RULES that is not an array of rules", () => {
+  assert.throws(() => getRetentionRules({ RETENTION_RULES: "[{" }), /^Error: Invalid RETENTION_RULES: /);
+  assert.throws(() => getRetentionRules({ RETENTION_RULES: '{"table":"advisories"}' }), /expected a JSON array/);
+  assert.throws(() => getRetentionRules({ RETENTION_RULES: "[null]" }), /expected a JSON array/);
+});
+
+test("applyRetention reports unreadable rules without touching the database", async (t) => {
+  quiet(t);
+  const d1 = createD1Stub();
+
+  const result = await applyRetention({ THREAT_INTEL_DB: d1, ARCHIVE_BUCKET: createBucket(), RETENTION_RULES: "[{" }, { now });
+
+  assert.match(result.error, /^Invalid RETENTION_RULES/);
+  assert.deepEqual(d1.statements, []);
+});
+
+test("a dry run counts and samples what each rule would purge", async (t) => {
+  quiet(t);
+  const d1 = createD1Stub({
+    respond: ({ sql }) => {
+      if (sql.includes("COUNT(*)")) return { count: 2 };
+      if (sql.includes("AS key")) return { results: [{ key: "CVE-2021-0001" }, { key: "CVE-2021-0002" }] };
+    },
+  });
+  const bucket = createBucket();
+  const env = {
+    THREAT_INTEL_DB: d1,
+    ARCHIVE_BUCKET: bucket,
+    RETENTION_RULES: JSON.stringify([
+      vulnerabilityRule,
+      { id: "bad-column", table: "vulnerabilities", ageColumn: "cvss_score", maxAgeDays: 30 },
+    ]),
+  };
+
+  const result = await applyRetention(env, { dryRun: true, now });
+
+  assert.equal(result.dryRun, true);
+  assert.deepEqual(result.rules[0], {
+    rule: "old-cves",
+    table: "vulnerabilities",
+    ageColumn: "last_seen",
+    maxAgeDays: 730,
+    cutoff: "2024-10-19T00:00:00.000Z",
+    wouldPurge: 2,
+    sample: ["CVE-2021-0001", "CVE-2021-0002"],
+  });
+  assert.match(result.rules[1].error, /has no age column cvss_score/);
+
+  const [count] = d1.executed("COUNT(*)");
+  assert.match(count.sql, /last_seen < \? AND NOT \(cve_id IN \(SELECT cve_id FROM kev_entries\)\) AND NOT \(pinned = 1\)/);
+  assert.deepEqual(count.args, ["2024-10-19T00:00:00.000Z"]);
+  assert.deepEqual(d1.executed("DELETE"), []);
+  assert.deepEqual(d1.executed("INSERT INTO fetch_metadata"), []);
+  assert.equal(bucket.objects.size, 0);
+});
+
+test("a rule is skipped while the fetch it is paused by is in use", async (t) => {
+  quiet(t);
+  const d1 = createD1Stub({
+    respond: ({ sql, args }) => (sql.includes("FROM fetch_metadata") && args[0] === "nvd-backfill" ? { next_start_index: 0 } : undefined),
+  });
+
+  const result = await applyRetention(
+    { THREAT_INTEL_DB: d1, ARCHIVE_BUCKET: createBucket(), RETENTION_RULES: JSON.stringify([vulnerabilityRule]) },
+    { now }
+  );
+
+  assert.equal(result.rules[0].skipped, "paused while nvd-backfill is in use");
+  assert.deepEqual(d1.executed("DELETE"), []);
+});
+
+test("applyRetention archives rows with their children to R2 before deleting them", async (t) => {
+  quiet(t);
+  const rows = [
+    { cve_id: "CVE-2021-0001", description: "first", last_seen: "2022-01-01T00:00:00.000Z" },
+    { cve_id: "CVE-2021-0002", description: "second", last_seen: "2022-02-01T00:00:00.000Z" },
+  ];
+  const d1 = createD1Stub({
+    respond: ({ sql }) => {
+      if (sql.includes("SELECT * FROM vulnerabilities")) return { results: rows };
+      if (sql.includes("SELECT * FROM epss_history")) {
+        return { results: [{ cve_id: "CVE-2021-0002", score_date: "2022-02-01", epss: 0.4, percentile: 0.9 }] };
+      }
+      if (sql.includes("SELECT * FROM vulnerability_metrics")) {
+        return { results: [{ cve_id: "CVE-2021-0001", cvss_version: "3.1", base_score: 9.8 }] };
+      }
+      if (sql.includes("DELETE FROM vulnerabilities")) return { meta: { changes: 2 } };
+    },
+  });
+  const bucket = createBucket();
+  const put = bucket.put;
+  bucket.put = async (...args) => {
+    assert.deepEqual(d1.executed("DELETE"), [], "rows are archived before they are deleted");
+    return put(...args);
+  };
+  const env = { THREAT_INTEL_DB: d1, ARCHIVE_BUCKET: bucket, RETENTION_RULES: JSON.stringify([vulnerabilityRule]) };
+
+  const result = await applyRetention(env, { now });
+
+  const key = "retention/vulnerabilities/2026-10-19/old-cves-2026-10-19T00:00:00.000Z-0.ndjson";
+  assert.deepEqual(result.rules[0].archives, [key]);
+  assert.equal(result.rules[0].purged, 2);
+
+  const { body, options } = bucket.objects.get(key);
+  assert.deepEqual(options.customMetadata, { rule: "old-cves", rows: "2" });
+  const lines = body.trimEnd().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(lines.map(({ table, rule, row }) => [table, rule, row.cve_id]), [
+    ["vulnerabilities", "old-cves", "CVE-2021-0001"],
+    ["vulnerabilities", "old-cves", "CVE-2021-0002"],
+  ]);
+  assert.deepEqual(lines[0].children.vulnerability_metrics, [{ cve_id: "CVE-2021-0001", cvss_version: "3.1", base_score: 9.8 }]);
+  assert.deepEqual(lines[0].children.epss_history, []);
+  assert.deepEqual(lines[1].children.epss_history, [
+    { cve_id: "CVE-2021-0002", score_date: "2022-02-01", epss: 0.4, percentile: 0.9 },
+  ]);
+
+  // epss_history has no foreign key, so it is deleted alongside its CVEs
+  const keys = JSON.stringify(["CVE-2021-0001", "CVE-2021-0002"]);
+  const deletes = d1.executed("DELETE FROM");
+  assert.deepEqual(deletes.map(({ sql, args }) => [sql.match(/DELETE FROM (\w+)/)[1], args]), [
+    ["epss_history", [keys]],
+    ["vulnerabilities", [keys]],
+  ]);
+
+  const [metadata] = d1.executed("INSERT INTO fetch_metadata");
+  assert.deepEqual(metadata.args.slice(0, 2), ["retention", "2026-10-19T00:00:00.000Z"]);
+});
+
+test("applyRetention refuses to delete without an archive bucket", async (t) => {
+  quiet(t);
+  const d1 = createD1Stub();
+
+  const result = await applyRetention({ THREAT_INTEL_DB: d1 }, { now });
+
+  assert.match(result.error, /ARCHIVE_BUCKET is not bound/);
+  assert.deepEqual(d1.executed("DELETE"), []);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { parseFeed, extractIdentifiers } from "../src/cloudflare/feeds/rss.js";
+
+const fixture = (name) => readFile(new URL(`./fixtures/feeds/${name}`, import.meta.url), "utf8");
+
+test("parseFeed reads RSS items and their identifiers", async () => {
+  const advisories = parseFeed(await fixture("advisories.rss.xml"));
+  assert.equal(advisories.length, 2);
+
+  const [fortinet, other] = advisories;
+  assert.equal(fortinet.guid, "advisory-2024-0501");
+  assert.equal(fortinet.title, "Fortinet Releases Security Updates for FortiOS & FortiProxy");
+  assert.equal(fortinet.link, "https://advisories.example.com/2024/05/01/fortinet");
+  assert.equal(fortinet.published, "2024-05-01T12:00:00.000Z");
+  assert.match(fortinet.summary, /^Fortinet fixed CVE-2024-21762/);
+  assert.deepEqual(fortinet.cveIds, ["CVE-2024-21762", "CVE-2024-23113"]);
+  assert.deepEqual(fortinet.ghsaIds, ["GHSA-jfh8-c2jp-5v3q"]);
+  assert.deepEqual(fortinet.products, ["FortiOS"]);
+
+  assert.equal(other.guid, "https://advisories.example.com/2024/05/02/other");
+  assert.equal(other.published, null);
+  assert.equal(other.summary, "No identifiers here — just text.");
+  assert.deepEqual(other.cveIds, []);
+});
+
+test("parseFeed reads Atom entries and prefers the alternate link", async () => {
+  const [entry] = parseFeed(await fixture("advisories.atom.xml"));
+  assert.equal(entry.guid, "tag:psirt.example.com,2024:advisory-17");
+  assert.equal(entry.link, "https://psirt.example.com/advisories/17");
+  assert.equal(entry.published, "2024-04-30T18:30:00.000Z");
+  assert.deepEqual(entry.cveIds, ["CVE-2024-3400"]);
+  assert.deepEqual(entry.products, ["Example Server"]);
+});
+
+test("extractIdentifiers de-duplicates mentions", () => {
+  const { cveIds, products } = extractIdentifiers("CVE-2021-44228 and CVE-2021-44228 affects Apache Log4j before 2.15.0");
+  assert.deepEqual(cveIds, ["CVE-2021-44228"]);
+  assert.deepEqual(products, ["Apache Log4j"]);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePurl, osvRangeAffects } from "../src/core/sbom.js";
+
+const range = (...events) => ({
+  type: "ECOSYSTEM",
+  events: events.map(([type, version]) => ({ type, version })),
+});
+
+test("parsePurl maps package URLs to OSV ecosystems and names", () => {
+  assert.deepEqual(parsePurl("pkg:npm/%40babel/core@7.22.0"), {
+    type: "npm",
+    namespace: "@babel",
+    name: "core",
+    version: "7.22.0",
+    ecosystem: "npm",
+    packageName: "@babel/core",
+  });
+  assert.equal(parsePurl("pkg:maven/org.apache.logging.log4j/log4j-core@2.14.1?type=jar").packageName,
+    "org.apache.logging.log4j:log4j-core");
+  assert.equal(parsePurl("pkg:pypi/django").version, null);
+  assert.equal(parsePurl("not-a-purl"), null);
+});
+
+test("osvRangeAffects applies introduced and fixed events", () => {
+  const fixed = range(["introduced", "0"], ["fixed", "1.2.3"]);
+  assert.ok(osvRangeAffects("1.2.2", fixed));
+  assert.ok(!osvRangeAffects("1.2.3", fixed));
+  assert.ok(!osvRangeAffects("2.0.0", fixed));
+});
+
+test("osvRangeAffects handles several introduced/fixed pairs", () => {
+  const ranges = range(["introduced", "1.0.0"], ["fixed", "1.0.5"], ["introduced", "2.0.0"], ["fixed", "2.1.0"]);
+  assert.ok(!osvRangeAffects("0.9.0", ranges));
+  assert.ok(osvRangeAffects("1.0.4", ranges));
+  assert.ok(!osvRangeAffects("1.5.0", ranges));
+  assert.ok(osvRangeAffects("2.0.9", ranges));
+  assert.ok(!osvRangeAffects("2.1.0", ranges));
+});
+
+test("osvRangeAffects includes last_affected and ignores the Go v prefix", () => {
+  const lastAffected = range(["introduced", "v1.0.0"], ["last_affected", "v1.4.0"]);
+  assert.ok(osvRangeAffects("1.4.0", lastAffected));
+  assert.ok(!osvRangeAffects("v1.4.1", lastAffected));
+});
+
+test("osvRangeAffects never matches GIT ranges", () => {
+  assert.ok(!osvRangeAffects("1.0.0", { type: "GIT", events: [{ type: "introduced", version: "0" }] }));
+});
+
+test("osvRangeAffects orders events by version before walking them", () => {
+  const unordered = range(["fixed", "2.1.0"], ["introduced", "2.0.0"], ["fixed", "1.0.5"], ["introduced", "0"]);
+  assert.ok(osvRangeAffects("1.0.0", unordered));
+  assert.ok(!osvRangeAffects("1.0.5", unordered));
+  assert.ok(!osvRangeAffects("1.9.0", unordered));
+  assert.ok(osvRangeAffects("2.0.3", unordered));
+  assert.ok(!osvRangeAffects("2.1.0", unordered));
+  assert.ok(osvRangeAffects("1.10.0", range(["last_affected", "1.10.0"], ["introduced", "1.2.0"])));
+});
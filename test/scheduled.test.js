@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../src/cloudflare/worker-threat-intel-ingest.js";
+import { requiredMigration } from "../src/cloudflare/schema.js";
+import { createD1Stub } from "./helpers/d1-stub.js";
+
+const kevCatalog = {
+  catalogVersion: "2024.05.01",
+  dateReleased: "2024-05-01T12:00:00.000Z",
+  vulnerabilities: [
+    { cveID: "CVE-2024-3400", vendorProject: "Palo Alto Networks", product: "PAN-OS", dateAdded: "2024-04-12" },
+  ],
+};
+
+const createEnv = () => ({
+  THREAT_INTEL_DB: createD1Stub({
+    respond: ({ sql }) => (sql.includes("d1_migrations") ? { name: requiredMigration } : undefined),
+  }),
+});
+
+/**
+ * Fire a cron and wait for the work it handed to ctx.waitUntil
+ */
+async function runCron(env, cron) {
+  const pending = [];
+  await worker.scheduled({ cron }, env, { waitUntil: (promise) => pending.push(promise) });
+  await Promise.all(pending);
+}
+
+/**
+ * ingest_runs rows as recorded: started by the INSERT, finished by the UPDATE
+ */
+function ingestRuns(d1) {
+  const finished = new Map(d1.executed("UPDATE ingest_runs").map(({ args }) => [args.at(-1), args]));
+  return d1.executed("INSERT INTO ingest_runs").map(({ args: [id, source, trigger] }) => ({
+    source,
+    trigger,
+    status: finished.get(id)?.[0] ?? null,
+    error: finished.get(id)?.[7] ?? null,
+  }));
+}
+
+test("the KEV cron records its run in ingest_runs", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(globalThis, "fetch", async () => Response.json(kevCatalog));
+  const env = createEnv();
+
+  await runCron(env, "0 6 * * *");
+
+  assert.deepEqual(ingestRuns(env.THREAT_INTEL_DB), [
+    { source: "kev", trigger: "cron", status: "complete", error: null },
+  ]);
+});
+
+test("a failing KEV cron run is recorded as an error", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  t.mock.method(globalThis, "fetch", async () => new Response("<html>maintenance</html>"));
+  const env = createEnv();
+
+  await runCron(env, "0 6 * * *");
+
+  const [run] = ingestRuns(env.THREAT_INTEL_DB);
+  assert.equal(run.source, "kev");
+  assert.equal(run.trigger, "cron");
+  assert.equal(run.status, "error");
+  assert.ok(run.error);
+});
+
+test("a failed EPSS cron download is recorded as an error", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  t.mock.method(globalThis, "fetch", async () => new Response("not found", { status: 404 }));
+  const env = createEnv();
+
+  await runCron(env, "0 14 * * *");
+
+  const [run] = ingestRuns(env.THREAT_INTEL_DB);
+  assert.deepEqual({ ...run, error: run.error?.startsWith("EPSS download failed") }, {
+    source: "epss",
+    trigger: "cron",
+    status: "error",
+    error: true,
+  });
+});
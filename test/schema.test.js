@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkSchemaVersion, requiredMigration } from "../src/cloudflare/schema.js";
+import worker from "../src/cloudflare/worker-threat-intel-ingest.js";
+import { createD1Stub } from "./helpers/d1-stub.js";
+
+// A verified schema is cached for the life of the module, so the tests of an
+// outdated database run first
+
+const createEnv = (latestApplied) => ({
+  THREAT_INTEL_DB: createD1Stub({
+    respond: ({ sql }) => (sql.includes("d1_migrations") ? (latestApplied && { name: latestApplied }) : undefined),
+  }),
+});
+
+test("checkSchemaVersion compares migration numbers, not names", async (t) => {
+  t.mock.method(console, "error", () => {});
+
+  // As a string "9_init.sql" sorts after "0019_graphql.sql"
+  const result = await checkSchemaVersion(createEnv("9_init.sql"));
+  assert.equal(result.ok, false);
+  assert.equal(result.latestApplied, "9_init.sql");
+
+  assert.equal((await checkSchemaVersion(createEnv(null))).ok, false);
+});
+
+test("an ingest route answers 503 while the schema is behind", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const env = createEnv("0018_cve_search.sql");
+  t.mock.method(globalThis, "fetch", async () => assert.fail("nothing is fetched upstream"));
+
+  const response = await worker.fetch(new Request("https://worker.test/fetchkev"), env);
+
+  assert.equal(response.status, 503);
+  const body = await response.json();
+  assert.equal(body.error.code, "schema_behind");
+  assert.ok(body.error.message.includes(`migration ${requiredMigration} is required but the latest applied is 0018_cve_search.sql`));
+  assert.equal(body.requiredMigration, requiredMigration);
+  assert.equal(body.latestApplied, "0018_cve_search.sql");
+  assert.deepEqual(env.THREAT_INTEL_DB.executed("ingest_runs"), []);
+});
+
+test("checkSchemaVersion accepts a later migration and remembers it", async () => {
+  const env = createEnv(`${String(parseInt(requiredMigration, 10) + 1).padStart(4, "0")}_later.sql`);
+
+  assert.deepEqual(await checkSchemaVersion(env), { ok: true });
+  assert.deepEqual(await checkSchemaVersion(createEnv(null)), { ok: true });
+  assert.equal(env.THREAT_INTEL_DB.statements.length, 1);
+});
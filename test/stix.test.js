@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseStixPattern, stixCveId } from "../src/core/stix.js";
+
+test("parseStixPattern maps equality comparisons joined by OR", () => {
+  assert.deepEqual(
+    parseStixPattern("[ipv4-addr:value = '198.51.100.1' OR domain-name:value = 'evil.example']"),
+    [
+      { type: "ipv4-addr", value: "198.51.100.1" },
+      { type: "domain-name", value: "evil.example" },
+    ]
+  );
+  assert.deepEqual(
+    parseStixPattern("[file:hashes.'SHA-256' = 'aabb'] OR [url:value = 'http://evil.example/a']"),
+    [
+      { type: "sha256", value: "aabb" },
+      { type: "url", value: "http://evil.example/a" },
+    ]
+  );
+  assert.deepEqual(parseStixPattern("[file:hashes.MD5 = 'd41d8cd98f00b204e9800998ecf8427e']"), [
+    { type: "md5", value: "d41d8cd98f00b204e9800998ecf8427e" },
+  ]);
+});
+
+test("parseStixPattern unescapes quoted values", () => {
+  assert.deepEqual(parseStixPattern("[url:value = 'http://evil.example/it\\'s']"), [
+    { type: "url", value: "http://evil.example/it's" },
+  ]);
+});
+
+test("parseStixPattern rejects patterns it cannot turn into indicators", () => {
+  assert.deepEqual(parseStixPattern("[ipv4-addr:value = '198.51.100.1' AND domain-name:value = 'evil.example']"), []);
+  assert.deepEqual(parseStixPattern("[ipv4-addr:value != '198.51.100.1']"), []);
+  assert.deepEqual(parseStixPattern("[process:name = 'evil.exe']"), []);
+  assert.deepEqual(parseStixPattern("[url:value = 'a'] FOLLOWEDBY [url:value = 'b']"), []);
+  assert.deepEqual(parseStixPattern(null), []);
+});
+
+test("stixCveId reads the CVE external reference or the name", () => {
+  assert.equal(stixCveId({ external_references: [{ source_name: "cve", external_id: "cve-2024-1234" }] }), "CVE-2024-1234");
+  assert.equal(stixCveId({ name: "CVE-2023-44487" }), "CVE-2023-44487");
+  assert.equal(stixCveId({ name: "Log4Shell" }), null);
+});
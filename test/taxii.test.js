@@ -0,0 +1,199 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { fetchTaxiiCollections } from "../src/cloudflare/feeds/taxii.js";
+
+const fixture = async (name) => JSON.parse(await readFile(new URL(`./fixtures/taxii/${name}`, import.meta.url), "utf8"));
+
+const collectionId = "91a7b528-80eb-42ed-a74d-c6fbd5a26116";
+const firstPageAdded = "2024-05-01T10:05:00.000Z";
+const lastPageAdded = "2024-05-01T11:00:00.000Z";
+
+/**
+ * TAXII 2.1 server serving the fixtures: discovery, one API root, and a
+ * collection whose objects come in two pages linked by `next`. Requests made
+ * after the last page was added get an empty envelope. `brokenCollections`
+ * are listed first and answer 404.
+ */
+async function startTaxiiServer({ brokenCollections = [] } = {}) {
+  const [discovery, collections, page1, page2] = await Promise.all([
+    fixture("discovery.json"),
+    fixture("collections.json"),
+    fixture("objects-page-1.json"),
+    fixture("objects-page-2.json"),
+  ]);
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams), headers: req.headers });
+
+    const send = (body, headers = {}) => {
+      res.writeHead(200, { "Content-Type": "application/taxii+json;version=2.1", ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === "/taxii2/") return send(discovery);
+    if (url.pathname === "/api1/collections/") {
+      const broken = brokenCollections.map((id) => ({ id, title: "Broken", can_read: true }));
+      return send({ collections: [...broken, ...collections.collections] });
+    }
+    if (url.pathname === `/api1/collections/${collectionId}/objects/`) {
+      if (url.searchParams.get("added_after") === lastPageAdded) return send({ more: false });
+      if (url.searchParams.get("next") === "page-2") {
+        return send(page2, { "X-TAXII-Date-Added-Last": lastPageAdded });
+      }
+      return send(page1, { "X-TAXII-Date-Added-Last": firstPageAdded });
+    }
+    res.writeHead(404);
+    res.end();
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}/taxii2/` };
+}
+
+/**
+ * D1 stand-in recording bound statements. fetch_metadata only keeps the
+ * high-water mark, which is all the TAXII client reads back.
+ */
+function createD1() {
+  const statements = [];
+  const highWaterMarks = new Map();
+
+  const statement = (sql, args = []) => ({
+    sql,
+    args,
+    bind: (...values) => statement(sql, values),
+    first: async () => {
+      if (!/FROM fetch_metadata/.test(sql)) return null;
+      const highWaterMark = highWaterMarks.get(args[0]);
+      return highWaterMark ? { source: args[0], high_water_mark: highWaterMark } : null;
+    },
+    all: async () => ({ results: [] }),
+    run: async () => {
+      statements.push({ sql, args });
+      if (/SET high_water_mark/.test(sql)) highWaterMarks.set(args[3], args[0]);
+      return { meta: { changes: 1 } };
+    },
+  });
+
+  return {
+    statements,
+    highWaterMarks,
+    prepare: (sql) => statement(sql),
+    batch: async (list) => {
+      statements.push(...list.map(({ sql, args }) => ({ sql, args })));
+      return list.map(() => ({ results: [], meta: { changes: 1 } }));
+    },
+  };
+}
+
+test("fetchTaxiiCollections pages a collection and resumes from its cursor", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const { server, requests, url } = await startTaxiiServer();
+  t.after(() => server.close());
+
+  const d1 = createD1();
+  const env = {
+    THREAT_INTEL_DB: d1,
+    TAXII_SERVERS: JSON.stringify([{ id: "mock", url, username: "partner", password: "secret" }]),
+  };
+
+  const result = await fetchTaxiiCollections(env);
+  assert.equal(result.servers, 1);
+  assert.equal(result.hasMore, false);
+  assert.equal(result.collections.length, 1, "the unreadable collection is skipped");
+  assert.deepEqual(
+    { ...result.collections[0] },
+    {
+      server: "mock",
+      collection: collectionId,
+      pages: 2,
+      hasMore: false,
+      addedAfter: lastPageAdded,
+      objects: 7,
+      indicators: 3,
+      threatObjects: 3,
+      relationships: 1,
+      vulnerabilities: 1,
+    }
+  );
+
+  assert.deepEqual(requests.map((request) => request.path), [
+    "/taxii2/",
+    "/api1/collections/",
+    `/api1/collections/${collectionId}/objects/`,
+    `/api1/collections/${collectionId}/objects/`,
+  ]);
+  assert.equal(requests[0].headers.authorization, `Basic ${btoa("partner:secret")}`);
+  assert.match(requests[0].headers.accept, /^application\/taxii\+json;version=2\.1/);
+  assert.deepEqual(requests[2].params, { limit: "500" });
+  // `next` pages keep the original added_after, here none
+  assert.deepEqual(requests[3].params, { limit: "500", next: "page-2" });
+
+  const indicators = d1.statements
+    .filter(({ sql }) => sql.includes("INSERT INTO indicators"))
+    .map(({ args }) => args.slice(0, 4));
+  assert.deepEqual(indicators, [
+    ["taxii:mock", "indicator--8e2e2d2b-17d4-4cbf-938f-98ee46b3cd3f#0", "ipv4-addr", "198.51.100.7"],
+    ["taxii:mock", "indicator--8e2e2d2b-17d4-4cbf-938f-98ee46b3cd3f#1", "domain-name", "c2.evil.example"],
+    [
+      "taxii:mock",
+      "indicator--c410e480-e42b-47d1-9476-85307c12bcbf",
+      "sha256",
+      "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855",
+    ],
+  ]);
+
+  // CVEs are linked through their vulnerability object, never stored as bare CVE rows
+  assert.deepEqual(d1.statements.filter(({ sql }) => sql.includes("INSERT INTO vulnerabilities")), []);
+  const cveLinks = d1.statements
+    .filter(({ sql, args }) => sql.includes("INSERT INTO threat_objects") && args[2] === "vulnerability")
+    .map(({ args }) => args.slice(1, 4));
+  assert.deepEqual(cveLinks, [["taxii:mock", "vulnerability", "CVE-2024-3400"]]);
+
+  assert.equal(d1.highWaterMarks.get(`taxii:mock:${collectionId}`), lastPageAdded);
+
+  // The next poll asks only for objects added since the stored cursor
+  requests.length = 0;
+  const resumed = await fetchTaxiiCollections(env);
+  assert.equal(resumed.collections[0].objects, 0);
+  assert.deepEqual(requests[2].params, { limit: "500", added_after: lastPageAdded });
+});
+
+test("fetchTaxiiCollections does nothing without configured servers", async () => {
+  const result = await fetchTaxiiCollections({ THREAT_INTEL_DB: createD1() });
+  assert.equal(result.servers, 0);
+  assert.deepEqual(result.collections, []);
+});
+
+test("fetchTaxiiCollections records a failing collection and polls the others", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const brokenId = "0c6f3f6e-1f6b-4a53-9d1e-5d8f2f3c7a10";
+  const { server, url } = await startTaxiiServer({ brokenCollections: [brokenId] });
+  t.after(() => server.close());
+
+  const d1 = createD1();
+  const env = { THREAT_INTEL_DB: d1, TAXII_SERVERS: JSON.stringify([{ id: "mock", url }]) };
+
+  const result = await fetchTaxiiCollections(env);
+
+  assert.equal(result.collections.length, 2);
+  const [broken, healthy] = result.collections;
+  assert.deepEqual({ ...broken, error: broken.error.startsWith("HTTP 404") }, {
+    server: "mock",
+    collection: brokenId,
+    error: true,
+    retryable: false,
+  });
+  assert.equal(healthy.collection, collectionId);
+  assert.equal(healthy.objects, 7);
+
+  const [recorded] = d1.statements.filter(({ sql }) => sql.includes("last_error"));
+  assert.equal(recorded.args[0], `taxii:mock:${brokenId}`);
+  assert.equal(d1.highWaterMarks.has(`taxii:mock:${brokenId}`), false);
+  assert.equal(d1.highWaterMarks.get(`taxii:mock:${collectionId}`), lastPageAdded);
+});